@@ -1,31 +1,154 @@
 import 'dotenv/config';
-import OpenAI from 'openai';
 import fs from 'fs';
-import { exec, spawn } from 'child_process';
-import { promisify } from 'util';
+import path from 'path';
+import { spawn } from 'child_process';
+import { parseArgs } from 'util';
 import { createInterface } from 'readline';
+import { pathToFileURL } from 'url';
+import { loadConfig, menuOptions } from './config.js';
+import { createProvider } from './providers.js';
+import { openJob, hashKey } from './job-manifest.js';
+import { writeSubtitles, readSubtitles } from './subtitles.js';
+import { DEFAULT_GLOSSARY_FILE, loadGlossary, glossaryFor, buildGlossaryPrompt, checkGlossary } from './glossary.js';
+import { CHARS_PER_TOKEN, emptyUsage, priceUsage, formatUsd, printCostTable, createUsageRecorder, trackUsage } from './cost.js';
+import { createCache, withCache } from './cache.js';
+import { withRetries } from './retry.js';
+import { createScheduler, withRateLimit } from './scheduler.js';
+import { runFfmpeg, probeDuration, probeAudioChannels, concatListLine, progressPrinter } from './ffmpeg.js';
+import { installCleanupHandlers, keepWorkdirs } from './workdir.js';
+import { trimSilence, fitPauses } from './speech-timing.js';
+import { detectSilences, calibrateSilence, parseSilenceThreshold, parseMinSilence, silenceNoise, formatSilenceSettings, DEFAULT_MIN_SILENCE } from './silence.js';
+import { CHUNK_OVERLAP, planChunks, mergeChunkTexts, mergeChunkSegments, mergeChunkWords } from './audio-chunks.js';
+import { alignSentences } from './word-timing.js';
+import { speechRegions } from './speech-regions.js';
+import { parseLoudness, measureLoudness, normalizeLoudness, isAudible, formatLoudness } from './loudness.js';
+
+// Prompt is opened on first question, so importing this module doesn't hold stdin
+let rl = null;
+
+// Rejects with code NO_INPUT when stdin ends before the answer (e.g. </dev/null in a script),
+// instead of leaving the process to exit with nothing done
+const question = (query) => {
+  if (!rl) {
+    rl = createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+  }
+  const prompt = rl;
+  return new Promise((resolve, reject) => {
+    const onClose = () => {
+      if (rl === prompt) rl = null;
+      const error = new Error('Entrada encerrada antes da resposta: passe as opções na linha de comando (e --yes) em scripts');
+      error.code = 'NO_INPUT';
+      reject(error);
+    };
+    prompt.once('close', onClose);
+    prompt.question(query, (answer) => {
+      prompt.off('close', onClose);
+      resolve(answer);
+    });
+  });
+};
+
+const closePrompt = () => {
+  if (rl) {
+    rl.close();
+    rl = null;
+  }
+};
+
+// Runs transcription chunks and TTS blocks in parallel, within the concurrency and requests-per-minute limits
+const scheduler = createScheduler();
+
+// Change the scheduler limits (e.g. from CLI flags); shared by every dub running in this process
+export function configureScheduler({ concurrency, requestsPerMinute } = {}) {
+  if (concurrency !== undefined) scheduler.concurrency = Math.max(1, concurrency);
+  if (requestsPerMinute !== undefined) scheduler.requestsPerMinute = requestsPerMinute;
+}
+
+// Results already paid for are reused across runs (DUB_CACHE=off or --no-cache disables it)
+const cache = createCache();
+
+// Calls are retried on temporary errors and counted so each run can record what it actually
+// used; cache hits never reach the counter
+function wrapProvider(baseProvider) {
+  return withCache(trackUsage(withRetries(withRateLimit(baseProvider, scheduler))), cache);
+}
 
-const execAsync = promisify(exec);
+// ASR, translation and TTS provider (DUB_PROVIDER=openai | openai-compatible | fake); created by configureDubbing()
+let provider;
 
-const rl = createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+// Replace the provider used by the pipeline (e.g. the offline fake provider in tests)
+export function setProvider(newProvider) {
+  provider = wrapProvider(newProvider);
+}
 
-const question = (query) => new Promise((resolve) => rl.question(query, resolve));
+// Settings from dubbing.config.json (see config.js), set by configureDubbing():
+//   LANGUAGES       - menu of languages: { '1': { code, iso639_2, name, systemPrompt } }; iso639_2 tags
+//                     the audio/subtitle tracks in the output container
+//   VOICES          - menu of TTS voices: { '1': { id, name } }
+//   QUALITY_OPTIONS - menu of YouTube download qualities: { '1': { id, name, format, ytdl } }
+//   MAX_TTS_CHARS   - maximum characters per TTS request (OpenAI limit is 4096)
+//   AUDIO_CHUNK_DURATION - chunk duration (s) for splitting long audio files
+//   MAX_BLOCK_DURATION   - speech blocks longer than this are split at sentence ends, when word timings give them
+let config;
+export let LANGUAGES;
+export let VOICES;
+export let QUALITY_OPTIONS;
+let MAX_TTS_CHARS;
+let AUDIO_CHUNK_DURATION;
+let MAX_BLOCK_DURATION;
+
+// Load the configuration (file: DUB_CONFIG / --config, profile: DUB_PROFILE / --profile) and
+// recreate the provider with its models. Runs on import; call again to switch file or profile
+export function configureDubbing(options = {}) {
+  config = loadConfig(options);
+  LANGUAGES = menuOptions(config.languages, 'code');
+  VOICES = menuOptions(config.voices, 'id');
+  QUALITY_OPTIONS = menuOptions(config.qualities, 'id');
+  MAX_TTS_CHARS = config.limits.maxTtsChars;
+  AUDIO_CHUNK_DURATION = config.limits.audioChunkDuration;
+  MAX_BLOCK_DURATION = config.limits.maxBlockDuration;
+  provider = wrapProvider(createProvider(undefined, { models: config.models }));
+  return config;
+}
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// A broken configuration doesn't fail the import: main() loads it again and reports it as a usage
+// error, and dubVideo() throws it
+try {
+  configureDubbing();
+} catch {
+  config = null;
+}
 
-// Maximum characters per TTS request (OpenAI limit is 4096)
-const MAX_TTS_CHARS = 4000;
+// Audio shorter than this is transcribed by speech regions, one request each (see speech-regions.js);
+// longer audio is cut into chunks of AUDIO_CHUNK_DURATION. Fixed, so the chunk size setting
+// doesn't also change which method short audio gets
+const SHORT_AUDIO_DURATION = 300;
 
 // Maximum file size for Whisper API (25MB limit)
 const MAX_WHISPER_FILE_SIZE = 24 * 1024 * 1024; // 24MB to be safe
 
-// Chunk duration for splitting long audio files (in seconds)
-const AUDIO_CHUNK_DURATION = 300; // 5 minutes per chunk
+// Shortest silence where a chunk can be cut (see audio-chunks.js); its level is the calibrated threshold
+const CHUNK_CUT_MIN_SILENCE = 0.3;
+
+// Shortest silence taken as the end of the speech in long audio (fast method)
+const SPEECH_END_MIN_SILENCE = 0.5;
+
+// Speed change atempo can apply to a block in one pass
+const MIN_STRETCH = 0.5;
+const MAX_STRETCH = 2.0;
+
+// Times a block is rewritten when its speech can't be stretched to fit its slot
+const DEFAULT_RETRANSLATE_ATTEMPTS = 2;
+
+// Cost estimate heuristics (used before anything is transcribed)
+const SPEECH_CHARS_PER_SECOND = 15;       // ~150 words per minute
+const ESTIMATED_BLOCK_SECONDS = 20;       // Average speech block between pauses
+const TRANSLATION_PROMPT_TOKENS = 350;    // System prompt sent with every translation request
+const BLOCK_CONTEXT_FACTOR = 3;           // Per-block requests also send the neighbouring blocks
+const REASONING_OUTPUT_FACTOR = 3;        // Reasoning models bill hidden reasoning as output tokens
 
 // Helper function to split text into chunks intelligently
 function splitTextIntoChunks(text, maxChars = MAX_TTS_CHARS) {
@@ -73,7 +196,7 @@ function splitTextIntoChunks(text, maxChars = MAX_TTS_CHARS) {
 }
 
 // Helper function to generate TTS for text chunks
-async function generateTTSForChunks(text, voiceId, timestamp, targetDuration = null) {
+async function generateTTSForChunks(text, voiceId, job, targetDuration = null) {
   const chunks = splitTextIntoChunks(text);
   
   if (chunks.length === 1) {
@@ -89,20 +212,13 @@ async function generateTTSForChunks(text, voiceId, timestamp, targetDuration = n
     console.log(`🔊 Gerando áudio para chunk ${i + 1}/${chunks.length}...`);
     console.log(`   Texto do chunk: ${chunks[i].length} caracteres`);
     
-    const speechResponse = await openai.audio.speech.create({
-      model: 'gpt-4o-mini-tts',
-      voice: voiceId,
-      input: chunks[i],
-    });
-    
-    const buffer = Buffer.from(await speechResponse.arrayBuffer());
-    const chunkFile = `temp_chunk_${timestamp}_${i}.mp3`;
+    const buffer = await provider.speak({ text: chunks[i], voice: voiceId });
+    const chunkFile = job.temp(`tts_chunk_${i}.mp3`);
     fs.writeFileSync(chunkFile, buffer);
     audioChunks.push(chunkFile);
     
     // Check duration of generated chunk
-    const { stdout: chunkDurationInfo } = await execAsync(`ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${chunkFile}"`);
-    const chunkDuration = parseFloat(chunkDurationInfo.trim());
+    const chunkDuration = await probeDuration(chunkFile);
     
     console.log(`✅ Chunk ${i + 1}/${chunks.length} gerado - ${chunkDuration.toFixed(2)}s de áudio`);
   }
@@ -119,26 +235,24 @@ async function generateTTSForChunks(text, voiceId, timestamp, targetDuration = n
       throw new Error(`Chunk file missing: ${chunkFile}`);
     }
     
-    const { stdout: chunkDurInfo } = await execAsync(`ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${chunkFile}"`);
-    const chunkDur = parseFloat(chunkDurInfo.trim());
+    const chunkDur = await probeDuration(chunkFile);
     totalChunkDuration += chunkDur;
     console.log(`   Chunk ${i + 1}: ${chunkDur.toFixed(2)}s ✓`);
   }
   console.log(`   Total esperado: ${totalChunkDuration.toFixed(2)}s\n`);
   
   // Create a file list for ffmpeg concat
-  const concatListFile = `temp_concat_${timestamp}.txt`;
-  const concatList = audioChunks.map(file => `file '${file}'`).join('\n');
+  const concatListFile = job.temp('tts_concat.txt');
+  const concatList = audioChunks.map(concatListLine).join('\n');
   fs.writeFileSync(concatListFile, concatList);
   
-  const finalAudioFile = `dubbed_audio_${timestamp}.mp3`;
+  const finalAudioFile = job.temp('tts_audio.mp3');
   
   // Concatenate all audio chunks
-  await execAsync(`ffmpeg -f concat -safe 0 -i "${concatListFile}" -c copy "${finalAudioFile}" -y`);
+  await runFfmpeg(['-y', '-f', 'concat', '-safe', '0', '-i', concatListFile, '-c', 'copy', finalAudioFile]);
   
   // Verify final concatenated duration
-  const { stdout: finalDurInfo } = await execAsync(`ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${finalAudioFile}"`);
-  const finalDur = parseFloat(finalDurInfo.trim());
+  const finalDur = await probeDuration(finalAudioFile);
   
   console.log('✅ Áudio completo concatenado');
   console.log(`   Duração final: ${finalDur.toFixed(2)}s`);
@@ -150,8 +264,7 @@ async function generateTTSForChunks(text, voiceId, timestamp, targetDuration = n
   
   // If target duration is specified, stretch audio to match
   if (targetDuration) {
-    const { stdout: currentDurationInfo } = await execAsync(`ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${finalAudioFile}"`);
-    const currentDuration = parseFloat(currentDurationInfo.trim());
+    const currentDuration = await probeDuration(finalAudioFile);
     const stretchRatio = targetDuration / currentDuration;
     
     console.log(`\n📊 Análise de duração:`);
@@ -163,7 +276,7 @@ async function generateTTSForChunks(text, voiceId, timestamp, targetDuration = n
     // Only stretch if we need to slow down (make longer) and difference is significant
     if (stretchRatio > 1.05 && stretchRatio <= 2.0) {
       console.log(`🎚️  Ajustando velocidade do áudio dublado (desacelerando para ${(stretchRatio * 100).toFixed(1)}%)...`);
-      const stretchedFile = `dubbed_audio_stretched_${timestamp}.mp3`;
+      const stretchedFile = job.temp('tts_audio_stretched.mp3');
       
       // atempo filter: values < 1.0 SLOW DOWN (desacelera), values > 1.0 SPEED UP (acelera)
       // We need to SLOW DOWN to make audio longer, so use INVERSE of stretchRatio
@@ -183,7 +296,7 @@ async function generateTTSForChunks(text, voiceId, timestamp, targetDuration = n
       }
       
       console.log(`   Aplicando atempo=${slowdownFactor.toFixed(3)} (${atempoCommand})`);
-      await execAsync(`ffmpeg -i "${finalAudioFile}" -filter:a "${atempoCommand}" "${stretchedFile}" -y`);
+      await runFfmpeg(['-y', '-i', finalAudioFile, '-filter:a', atempoCommand, stretchedFile]);
       
       // Replace original with stretched
       fs.unlinkSync(finalAudioFile);
@@ -193,9 +306,9 @@ async function generateTTSForChunks(text, voiceId, timestamp, targetDuration = n
     } else if (stretchRatio > 2.0) {
       console.log(`⚠️  AVISO: Ratio muito alto (${(stretchRatio * 100).toFixed(1)}%) - tradução pode estar incompleta!`);
       console.log(`   Desacelerando no máximo possível (4x via atempo=0.5,atempo=0.5)...\n`);
-      const stretchedFile = `dubbed_audio_stretched_${timestamp}.mp3`;
+      const stretchedFile = job.temp('tts_audio_stretched.mp3');
       // Chain two atempo=0.5 for 4x slowdown (maximum practical)
-      await execAsync(`ffmpeg -i "${finalAudioFile}" -filter:a "atempo=0.5,atempo=0.5" "${stretchedFile}" -y`);
+      await runFfmpeg(['-y', '-i', finalAudioFile, '-filter:a', 'atempo=0.5,atempo=0.5', stretchedFile]);
       fs.unlinkSync(finalAudioFile);
       fs.renameSync(stretchedFile, finalAudioFile);
       console.log('✅ Áudio desacelerado (pode ainda ficar dessincronizado)\n');
@@ -211,11 +324,8 @@ async function generateTTSForChunks(text, voiceId, timestamp, targetDuration = n
   return finalAudioFile;
 }
 
-// Generate TTS with preserved silence gaps
-async function generateTTSWithGaps(translatedText, voiceId, timestamp, segments, silenceGaps, totalDuration, silenceAtStart, silenceAtEnd, inputVideo, audioFile, targetLang) {
-  console.log('🎯 Dividindo texto em blocos correspondentes às pausas...\n');
-  
-  // Create speech blocks based on silence gaps
+// Group segments into speech blocks, splitting wherever a silence gap follows a segment
+function buildSpeechBlocks(segments, silenceGaps, totalDuration, silenceAtStart, silenceAtEnd) {
   const speechBlocks = [];
   
   if (segments.length === 0) {
@@ -224,67 +334,212 @@ async function generateTTSWithGaps(translatedText, voiceId, timestamp, segments,
       start: silenceAtStart,
       end: totalDuration - silenceAtEnd,
       duration: totalDuration - silenceAtStart - silenceAtEnd,
-      text: translatedText
+      sourceText: '',
+      text: ''
     });
-  } else {
-    // Create blocks from segments, grouping segments between gaps
-    let currentBlockSegments = [];
-    let blockStart = segments[0].start;
+    return speechBlocks;
+  }
+  
+  let currentBlockSegments = [];
+  let blockStart = segments[0].start;
+  
+  segments.forEach((seg, i) => {
+    currentBlockSegments.push(seg);
     
-    segments.forEach((seg, i) => {
-      currentBlockSegments.push(seg);
+    // Check if there's a gap after this segment
+    const gapAfter = silenceGaps.find(g => g.afterSegment === i);
+    
+    if (gapAfter || i === segments.length - 1) {
+      // End of block
+      const blockEnd = seg.end;
       
-      // Check if there's a gap after this segment
-      const gapAfter = silenceGaps.find(g => g.afterSegment === i);
+      speechBlocks.push({
+        start: blockStart,
+        end: blockEnd,
+        duration: blockEnd - blockStart,
+        // ORIGINAL language text spoken inside this block's time window
+        sourceText: currentBlockSegments.map(s => (s.text || '').trim()).filter(Boolean).join(' '),
+        text: '', // Will be filled with TRANSLATED text
+        segmentCount: currentBlockSegments.length
+      });
       
-      if (gapAfter || i === segments.length - 1) {
-        // End of block
-        const blockEnd = seg.end;
-        const blockDuration = blockEnd - blockStart;
-        
-        speechBlocks.push({
-          start: blockStart,
-          end: blockEnd,
-          duration: blockDuration,
-          text: '', // Will be filled with TRANSLATED text below
-          segmentCount: currentBlockSegments.length
-        });
-        
-        // Start new block after gap
-        if (i < segments.length - 1) {
-          blockStart = segments[i + 1].start;
-          currentBlockSegments = [];
-        }
+      // Start new block after gap
+      if (i < segments.length - 1) {
+        blockStart = segments[i + 1].start;
+        currentBlockSegments = [];
       }
+    }
+  });
+  
+  return speechBlocks;
+}
+
+// Split blocks longer than maxDuration between sentences, so each dubbed block covers a few
+// sentences and its speech can't drift far inside it. Blocks whose text isn't known yet are kept
+function splitBlocksAtSentences(speechBlocks, sentences, maxDuration = MAX_BLOCK_DURATION) {
+  return speechBlocks.flatMap(block => {
+    if (block.duration <= maxDuration || !block.sourceText) return [block];
+
+    const inside = sentences.filter(sentence => {
+      const middle = (sentence.start + sentence.end) / 2;
+      return middle >= block.start && middle <= block.end;
     });
+    if (inside.length < 2) return [block];
+
+    // Sentences are added to a piece until the next one would make it too long
+    const pieces = [[inside[0]]];
+    for (const sentence of inside.slice(1)) {
+      const piece = pieces[pieces.length - 1];
+      if (sentence.end - piece[0].start > maxDuration) {
+        pieces.push([sentence]);
+      } else {
+        piece.push(sentence);
+      }
+    }
+    if (pieces.length === 1) return [block];
+
+    return pieces.map((piece, i) => {
+      // The outer edges stay where the block's segments put them
+      const start = i === 0 ? block.start : piece[0].start;
+      const end = i === pieces.length - 1 ? block.end : piece[piece.length - 1].end;
+      return {
+        start: start,
+        end: end,
+        duration: end - start,
+        sourceText: piece.map(sentence => sentence.text).join(' '),
+        text: '',
+        sentenceCount: piece.length
+      };
+    });
+  });
+}
+
+// Pause between each pair of consecutive blocks, in the shape of silenceGaps
+function gapsBetweenBlocks(speechBlocks) {
+  return speechBlocks.slice(1).map((block, i) => ({
+    start: speechBlocks[i].end,
+    end: block.start,
+    duration: Math.max(0, block.start - speechBlocks[i].end),
+    afterBlock: i,
+    beforeBlock: i + 1
+  }));
+}
+
+// Translate each speech block on its own, with neighbouring blocks as context,
+// so the dubbed text of a block matches what was said in that time window
+async function translateSpeechBlocks(speechBlocks, sourceLang, targetLang, glossaryPrompt = '') {
+  console.log(`🌐 Traduzindo ${speechBlocks.length} blocos de fala individualmente...\n`);
+  
+  for (let i = 0; i < speechBlocks.length; i++) {
+    const block = speechBlocks[i];
+    const previousBlock = speechBlocks[i - 1];
+    const nextBlock = speechBlocks[i + 1];
+    const wordCount = block.sourceText.split(/\s+/).length;
+    
+    const contextParts = [];
+    if (previousBlock) {
+      contextParts.push(`PREVIOUS BLOCK (context only, do NOT translate):\n${previousBlock.sourceText}`);
+      if (previousBlock.text) {
+        contextParts.push(`PREVIOUS BLOCK TRANSLATION (keep terminology consistent, do NOT repeat):\n${previousBlock.text}`);
+      }
+    }
+    if (nextBlock) {
+      contextParts.push(`NEXT BLOCK (context only, do NOT translate):\n${nextBlock.sourceText}`);
+    }
+    contextParts.push(`BLOCK TO TRANSLATE:\n${block.sourceText}`);
     
-    // ALWAYS distribute TRANSLATED text proportionally to blocks
-    // NOTE: Segments contain ORIGINAL language text, but we need TRANSLATED text for TTS
-    const totalSpeechDuration = speechBlocks.reduce((sum, b) => sum + b.duration, 0);
-    
-    console.log('📝 Distribuindo texto traduzido proporcionalmente aos blocos...\n');
-    
-    const words = translatedText.split(/\s+/);
-    let wordIndex = 0;
-    
-    speechBlocks.forEach((block, i) => {
-      const proportion = block.duration / totalSpeechDuration;
-      const wordsForBlock = Math.round(words.length * proportion);
-      const blockWords = words.slice(wordIndex, wordIndex + wordsForBlock);
-      block.text = blockWords.join(' ');
-      wordIndex += wordsForBlock;
-      
-      console.log(`   Bloco ${i + 1}: ${block.duration.toFixed(1)}s (${(proportion * 100).toFixed(1)}%) → ${blockWords.length} palavras`);
+    const translation = await provider.translate({
+      system: `You are a professional translator for video dubbing. Translate ONE speech block of a video from ${sourceLang.systemPrompt} to ${targetLang.systemPrompt}.
+
+CRITICAL RULES FOR VIDEO DUBBING:
+- Translate ONLY the text under "BLOCK TO TRANSLATE"
+- The surrounding blocks are context to resolve meaning, pronouns and sentence fragments - never include them in the output
+- If the block starts or ends mid-sentence, translate it so it still fits between its neighbours
+- Do NOT summarize, shorten, or skip ANY content of the block
+- Keep the same tone, style, and natural flow
+- This block lasts ${block.duration.toFixed(1)}s, so the output should have approximately the SAME NUMBER OF WORDS (${Math.floor(wordCount * 0.85)}-${Math.ceil(wordCount * 1.15)} words acceptable)${glossaryPrompt}
+
+Return ONLY the translated block, no explanations or notes.`,
+      user: contextParts.join('\n\n')
     });
     
-    // Add any remaining words to last block
-    if (wordIndex < words.length) {
-      const remaining = words.slice(wordIndex).join(' ');
-      speechBlocks[speechBlocks.length - 1].text += ' ' + remaining;
-      console.log(`   ⚠️  ${words.length - wordIndex} palavras restantes adicionadas ao último bloco`);
-    }
-    console.log('');
+    block.text = translation.trim();
+    console.log(`   Bloco ${i + 1}/${speechBlocks.length}: ${wordCount} → ${block.text.split(/\s+/).length} palavras`);
+  }
+  
+  console.log('');
+  return speechBlocks;
+}
+
+// Distribute a translation made for the whole transcript across blocks by duration.
+// Only used when the blocks carry no original text of their own (e.g. long audio with the fast method,
+// or a region whose batch text couldn't be split)
+function distributeTextProportionally(translatedText, speechBlocks) {
+  if (speechBlocks.length === 1) {
+    speechBlocks[0].text = translatedText;
+    return speechBlocks;
+  }
+  
+  // NOTE: Segments contain ORIGINAL language text, but we need TRANSLATED text for TTS
+  const totalSpeechDuration = speechBlocks.reduce((sum, b) => sum + b.duration, 0);
+  
+  console.log('📝 Distribuindo texto traduzido proporcionalmente aos blocos...\n');
+  
+  const words = translatedText.split(/\s+/);
+  let wordIndex = 0;
+  
+  speechBlocks.forEach((block, i) => {
+    const proportion = block.duration / totalSpeechDuration;
+    const wordsForBlock = Math.round(words.length * proportion);
+    const blockWords = words.slice(wordIndex, wordIndex + wordsForBlock);
+    block.text = blockWords.join(' ');
+    wordIndex += wordsForBlock;
+    
+    console.log(`   Bloco ${i + 1}: ${block.duration.toFixed(1)}s (${(proportion * 100).toFixed(1)}%) → ${blockWords.length} palavras`);
+  });
+  
+  // Add any remaining words to last block
+  if (wordIndex < words.length) {
+    const remaining = words.slice(wordIndex).join(' ');
+    speechBlocks[speechBlocks.length - 1].text += ' ' + remaining;
+    console.log(`   ⚠️  ${words.length - wordIndex} palavras restantes adicionadas ao último bloco`);
+  }
+  console.log('');
+  
+  return speechBlocks;
+}
+
+// Rewrite one block so its speech fits the slot: shorter when TTS came out too long, longer when too short.
+// The budget scales the current text by how far off the generated speech was
+async function rewriteBlockForDuration(block, text, speechDuration, sourceLang, targetLang, glossaryPrompt = '') {
+  const budgetChars = Math.max(1, Math.round(text.length * block.duration / speechDuration));
+  const budgetWords = Math.max(1, Math.round(text.split(/\s+/).length * block.duration / speechDuration));
+  const direction = speechDuration > block.duration ? 'SHORTER' : 'LONGER';
+  
+  const userParts = [];
+  if (block.sourceText) {
+    userParts.push(`ORIGINAL (${sourceLang.systemPrompt}, for meaning only):\n${block.sourceText}`);
   }
+  userParts.push(`TRANSLATION TO REWRITE:\n${text}`);
+  
+  const rewritten = await provider.translate({
+    system: `You are a professional translator adapting a video dub in ${targetLang.systemPrompt}. The current translation of this speech block takes ${speechDuration.toFixed(1)}s to speak, but the block lasts ${block.duration.toFixed(1)}s of video.
+
+Rewrite the translation to be ${direction}:
+- Target about ${budgetChars} characters (around ${budgetWords} words)
+- Keep the full meaning of the original; ${direction === 'SHORTER' ? 'drop filler words and use more compact phrasing' : 'use fuller phrasing, without adding new information'}
+- Keep the same tone, and stay in ${targetLang.systemPrompt}${glossaryPrompt}
+
+Return ONLY the rewritten block, no explanations or notes.`,
+    user: userParts.join('\n\n')
+  });
+  
+  return rewritten.trim();
+}
+
+// Generate TTS with preserved silence gaps
+async function generateTTSWithGaps(voiceId, job, speechBlocks, silenceGaps, totalDuration, silenceAtStart, silenceAtEnd, inputVideo, audioFile, outputVideo, subtitleTracks = [], backgroundFile = null, retranslation = null, loudness = parseLoudness()) {
+  const timestamp = job.timestamp;
   
   console.log(`📊 Total de ${speechBlocks.length} blocos de fala:\n`);
   speechBlocks.forEach((block, i) => {
@@ -294,154 +549,356 @@ async function generateTTSWithGaps(translatedText, voiceId, timestamp, segments,
   });
   console.log('');
   
-  // Generate TTS for each block
-  const audioFiles = [];
+  // Generate TTS for each block, several at a time; results are kept in timeline order
+  const blockKeys = speechBlocks.map(block => hashKey(voiceId, block.text, block.duration, loudness.mode === 'block'));
+  // Every TTS attempt per block, saved to debug_logs when some block had to be rewritten
+  const retranslationLog = [];
   
-  for (let i = 0; i < speechBlocks.length; i++) {
-    const block = speechBlocks[i];
-    console.log(`🔊 Gerando áudio para bloco ${i + 1}/${speechBlocks.length}...`);
-    console.log(`   Duração alvo: ${block.duration.toFixed(2)}s`);
-    console.log(`   Texto: ${block.text.substring(0, 100)}...`);
-    
-    const blockAudioFile = `speech_block_${timestamp}_${i}.mp3`;
-    
-    // Generate TTS for this block
-    const speechResponse = await openai.audio.speech.create({
-      model: 'gpt-4o-mini-tts',
-      voice: voiceId,
-      input: block.text
-    });
-    
-    const buffer = Buffer.from(await speechResponse.arrayBuffer());
-    fs.writeFileSync(blockAudioFile, buffer);
+  const audioFiles = await scheduler.map(speechBlocks, async (block, i) => {
+    const blockStage = `tts:block:${i}`;
+    const blockKey = blockKeys[i];
+    const blockFinalFile = job.path('blocks', `block_${i}.mp3`);
     
-    // Check duration and adjust if needed
-    const { stdout: blockDurInfo } = await execAsync(`ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${blockAudioFile}"`);
-    const blockAudioDuration = parseFloat(blockDurInfo.trim());
+    if (job.isDone(blockStage, blockKey)) {
+      console.log(`♻️  Bloco ${i + 1}/${speechBlocks.length} carregado do checkpoint\n`);
+      return blockFinalFile;
+    }
     
-    console.log(`   Gerado: ${blockAudioDuration.toFixed(2)}s`);
+    // Blocks run in parallel, so each one's log is printed in one piece when it's done
+    const lines = [];
+    const log = (line) => lines.push(line);
     
-    // Adjust speed if needed
-    if (Math.abs(blockAudioDuration - block.duration) > 1.0) {
-      const ratio = block.duration / blockAudioDuration;
-      console.log(`   Ajustando velocidade (ratio: ${(ratio * 100).toFixed(1)}%)...`);
+    try {
+      log(`🔊 Gerando áudio para bloco ${i + 1}/${speechBlocks.length}...`);
+      log(`   Duração alvo: ${block.duration.toFixed(2)}s`);
+      log(`   Texto: ${block.text.substring(0, 100)}...`);
+      
+      const blockAudioFile = job.temp(`speech_block_${i}.mp3`);
+      
+      // Generate TTS for this block. When the speech can't be stretched into the slot, the block is
+      // rewritten shorter/longer and synthesized again, keeping the attempt that fits best
+      const maxAttempts = retranslation ? retranslation.maxAttempts : 0;
+      let text = block.text;
+      let best = null;
+      
+      for (let attempt = 0; attempt <= maxAttempts; attempt++) {
+        const rawFile = job.temp(`speech_block_${i}_try${attempt}_raw.mp3`);
+        const attemptFile = job.temp(`speech_block_${i}_try${attempt}.mp3`);
+        const buffer = await provider.speak({ text: text, voice: voiceId });
+        fs.writeFileSync(rawFile, buffer);
+        
+        // The silence TTS puts around the speech doesn't count toward the slot
+        const trimmed = await trimSilence(rawFile, attemptFile);
+        fs.unlinkSync(rawFile);
+        const attemptDuration = trimmed.duration;
+        const stretch = attemptDuration / block.duration;
+        const fits = stretch >= MIN_STRETCH && stretch <= MAX_STRETCH;
+        
+        retranslationLog.push({ block: i + 1, attempt: attempt, slot: block.duration, generated: trimmed.original, speech: attemptDuration, stretch: stretch, fits: fits, chars: text.length, text: text });
+        if (attempt > 0) {
+          log(`   Tentativa ${attempt + 1}: ${text.length} chars → ${attemptDuration.toFixed(2)}s (ratio ${(stretch * 100).toFixed(1)}%)`);
+        }
+        
+        // Closest to the slot on a log scale: 2x too long is as bad as 2x too short
+        if (!best || Math.abs(Math.log(stretch)) < Math.abs(Math.log(best.stretch))) {
+          if (best) fs.unlinkSync(best.file);
+          best = { file: attemptFile, duration: attemptDuration, stretch: stretch, text: text, attempt: attempt };
+        } else {
+          fs.unlinkSync(attemptFile);
+        }
+        
+        if (fits || attempt === maxAttempts) break;
+        
+        log(`   ⚠️  Fala de ${attemptDuration.toFixed(2)}s não cabe em ${block.duration.toFixed(2)}s (ratio ${(stretch * 100).toFixed(1)}%), reescrevendo ${stretch > 1 ? 'mais curto' : 'mais longo'}...`);
+        text = await rewriteBlockForDuration(block, text, attemptDuration, retranslation.sourceLang, retranslation.targetLang, retranslation.glossaryPrompt);
+      }
+      
+      fs.renameSync(best.file, blockAudioFile);
+      let blockAudioDuration = best.duration;
+      if (best.attempt > 0) {
+        log(`   ✍️  Usando texto da tentativa ${best.attempt + 1}: ${best.text.substring(0, 100)}...`);
+      }
       
-      const slowdownFactor = 1 / ratio;
-      const adjustedFile = `speech_block_${timestamp}_${i}_adjusted.mp3`;
+      log(`   Gerado: ${blockAudioDuration.toFixed(2)}s de fala`);
       
-      if (slowdownFactor >= 0.5 && slowdownFactor <= 2.0) {
-        await execAsync(`ffmpeg -i "${blockAudioFile}" -filter:a "atempo=${slowdownFactor.toFixed(6)}" "${adjustedFile}" -y`);
-        fs.unlinkSync(blockAudioFile);
-        audioFiles.push(adjustedFile);
-        console.log(`   ✅ Ajustado para ${block.duration.toFixed(2)}s`);
+      let blockResultFile = blockAudioFile;
+      
+      // Pauses between sentences absorb the difference first, so atempo changes the speech rate less
+      let pauses = null;
+      if (Math.abs(blockAudioDuration - block.duration) > 0.1) {
+        const pausedFile = job.temp(`speech_block_${i}_paused.mp3`);
+        pauses = await fitPauses(blockAudioFile, pausedFile, block.duration);
+        if (pauses) {
+          fs.unlinkSync(blockAudioFile);
+          blockResultFile = pausedFile;
+          blockAudioDuration = pauses.duration;
+          log(`   ⏸️  ${pauses.count} pausa(s): ${pauses.before.toFixed(2)}s → ${pauses.after.toFixed(2)}s (total ${blockAudioDuration.toFixed(2)}s)`);
+        }
+      }
+      
+      // Adjust speed if needed
+      if (Math.abs(blockAudioDuration - block.duration) > 1.0) {
+        const ratio = block.duration / blockAudioDuration;
+        log(`   Ajustando velocidade (ratio: ${(ratio * 100).toFixed(1)}%)...`);
+        
+        const slowdownFactor = 1 / ratio;
+        const adjustedFile = job.temp(`speech_block_${i}_adjusted.mp3`);
+        
+        if (slowdownFactor >= MIN_STRETCH && slowdownFactor <= MAX_STRETCH) {
+          await runFfmpeg(['-y', '-i', blockResultFile, '-filter:a', `atempo=${slowdownFactor.toFixed(6)}`, adjustedFile]);
+          fs.unlinkSync(blockResultFile);
+          blockResultFile = adjustedFile;
+          log(`   ✅ Ajustado para ${block.duration.toFixed(2)}s`);
+        } else {
+          log(`   ⚠️  Ratio fora do limite, usando sem ajuste`);
+        }
       } else {
-        console.log(`   ⚠️  Ratio fora do limite, usando sem ajuste`);
-        audioFiles.push(blockAudioFile);
+        log(`   ✅ Duração OK`);
       }
-    } else {
-      audioFiles.push(blockAudioFile);
-      console.log(`   ✅ Duração OK`);
+      
+      // Per-block loudness: match the level the original had over the same stretch
+      let blockLoudness = null;
+      if (loudness.mode === 'block') {
+        const original = await measureLoudness(audioFile, { start: block.start, duration: block.duration });
+        const dub = await measureLoudness(blockResultFile);
+        blockLoudness = { original: original, dub: dub };
+        if (isAudible(original) && isAudible(dub)) {
+          const normalizedFile = job.temp(`speech_block_${i}_normalized.mp3`);
+          blockResultFile = await normalizeLoudness(blockResultFile, normalizedFile, original.integrated, dub);
+          log(`   🔉 Loudness: ${formatLoudness(dub)} → ${formatLoudness(original)} (original do bloco)`);
+        } else {
+          log(`   🔉 Loudness mantido: original ${formatLoudness(original)}, dublagem ${formatLoudness(dub)}`);
+        }
+      }
+      
+      // Keep the finished block in the job directory so a rerun doesn't pay for it again
+      fs.renameSync(blockResultFile, blockFinalFile);
+      job.complete(blockStage, { artifacts: [blockFinalFile], key: blockKey, data: { text: best.text, attempts: best.attempt + 1, pauses: pauses, loudness: blockLoudness } });
+      return blockFinalFile;
+    } finally {
+      console.log(lines.join('\n') + '\n');
     }
-    console.log('');
+  });
+  
+  // Attempts were logged as blocks finished; keep them in block order
+  retranslationLog.sort((a, b) => a.block - b.block || a.attempt - b.attempt);
+  
+  if (retranslationLog.some(entry => entry.attempt > 0)) {
+    const retranslationFile = `debug_logs/retranslations_${timestamp}.json`;
+    fs.writeFileSync(retranslationFile, JSON.stringify(retranslationLog, null, 2));
+    console.log(`✍️  Blocos reescritos para caber no tempo: ${new Set(retranslationLog.filter(entry => entry.attempt > 0).map(entry => entry.block)).size} (tentativas em ${retranslationFile})\n`);
   }
   
-  // Now concatenate with silences
-  console.log('🔗 Concatenando blocos com pausas...\n');
+  const assembleKey = hashKey(blockKeys, silenceAtStart, silenceAtEnd);
+  const finalAudioFile = job.path('dubbed_audio.mp3');
   
-  const concatParts = [];
+  if (job.isDone('assemble', assembleKey)) {
+    console.log('♻️  Áudio final carregado do checkpoint\n');
+  } else {
+    // Now concatenate with silences
+    console.log('🔗 Concatenando blocos com pausas...\n');
   
-  // Add initial silence
-  if (silenceAtStart > 0.1) {
-    const startSilenceFile = `silence_start_${timestamp}.mp3`;
-    await execAsync(`ffmpeg -f lavfi -t ${silenceAtStart} -i anullsrc=r=44100:cl=stereo "${startSilenceFile}" -y`);
-    concatParts.push(`file '${startSilenceFile}'`);
-    console.log(`   🔇 Silêncio inicial: ${silenceAtStart.toFixed(2)}s`);
-  }
+    const concatParts = [];
   
-  // Add speech blocks with gaps between them
-  for (let i = 0; i < audioFiles.length; i++) {
-    concatParts.push(`file '${audioFiles[i]}'`);
-    console.log(`   🗣️  Bloco ${i + 1}: ${speechBlocks[i].duration.toFixed(2)}s`);
-    
-    // Add gap if not last block
-    if (i < audioFiles.length - 1) {
-      const gap = silenceGaps[i];
-      if (gap) {
-        const gapFile = `silence_gap_${timestamp}_${i}.mp3`;
-        await execAsync(`ffmpeg -f lavfi -t ${gap.duration} -i anullsrc=r=44100:cl=stereo "${gapFile}" -y`);
-        concatParts.push(`file '${gapFile}'`);
-        console.log(`   🔇 Pausa: ${gap.duration.toFixed(2)}s`);
+    // Add initial silence
+    if (silenceAtStart > 0.1) {
+      const startSilenceFile = job.temp('silence_start.mp3');
+      await runFfmpeg(['-y', '-f', 'lavfi', '-t', String(silenceAtStart), '-i', 'anullsrc=r=44100:cl=stereo', startSilenceFile]);
+      concatParts.push(concatListLine(startSilenceFile));
+      console.log(`   🔇 Silêncio inicial: ${silenceAtStart.toFixed(2)}s`);
+    }
+  
+    // Add speech blocks with gaps between them
+    for (let i = 0; i < audioFiles.length; i++) {
+      concatParts.push(concatListLine(audioFiles[i]));
+      console.log(`   🗣️  Bloco ${i + 1}: ${speechBlocks[i].duration.toFixed(2)}s`);
+    
+      // Add gap if not last block
+      if (i < audioFiles.length - 1) {
+        const gap = silenceGaps[i];
+        // Blocks split between sentences may follow each other with no pause at all
+        if (gap && gap.duration > 0.01) {
+          const gapFile = job.temp(`silence_gap_${i}.mp3`);
+          await runFfmpeg(['-y', '-f', 'lavfi', '-t', String(gap.duration), '-i', 'anullsrc=r=44100:cl=stereo', gapFile]);
+          concatParts.push(concatListLine(gapFile));
+          console.log(`   🔇 Pausa: ${gap.duration.toFixed(2)}s`);
+        }
       }
     }
-  }
   
-  // Add final silence
-  if (silenceAtEnd > 0.1) {
-    const endSilenceFile = `silence_end_${timestamp}.mp3`;
-    await execAsync(`ffmpeg -f lavfi -t ${silenceAtEnd} -i anullsrc=r=44100:cl=stereo "${endSilenceFile}" -y`);
-    concatParts.push(`file '${endSilenceFile}'`);
-    console.log(`   🔇 Silêncio final: ${silenceAtEnd.toFixed(2)}s`);
-  }
+    // Add final silence
+    if (silenceAtEnd > 0.1) {
+      const endSilenceFile = job.temp('silence_end.mp3');
+      await runFfmpeg(['-y', '-f', 'lavfi', '-t', String(silenceAtEnd), '-i', 'anullsrc=r=44100:cl=stereo', endSilenceFile]);
+      concatParts.push(concatListLine(endSilenceFile));
+      console.log(`   🔇 Silêncio final: ${silenceAtEnd.toFixed(2)}s`);
+    }
+  
+    // Concatenate all parts
+    const concatListFile = job.temp('concat_with_gaps.txt');
+    fs.writeFileSync(concatListFile, concatParts.join('\n'));
   
-  // Concatenate all parts
-  const concatListFile = `concat_with_gaps_${timestamp}.txt`;
-  fs.writeFileSync(concatListFile, concatParts.join('\n'));
+    await runFfmpeg(['-y', '-f', 'concat', '-safe', '0', '-i', concatListFile, '-c', 'copy', finalAudioFile]);
+    job.complete('assemble', { artifacts: [finalAudioFile], key: assembleKey });
   
-  const finalAudioFile = `dubbed_audio_with_gaps_${timestamp}.mp3`;
-  await execAsync(`ffmpeg -f concat -safe 0 -i "${concatListFile}" -c copy "${finalAudioFile}" -y`);
+    console.log(`\n✅ Áudio final gerado com pausas preservadas!`);
+  }
   
-  console.log(`\n✅ Áudio final gerado com pausas preservadas!`);
+  // Whole-dub loudness (block mode was already applied to each block)
+  const dubAudioFile = loudness.mode === 'block'
+    ? finalAudioFile
+    : await normalizeDubLoudness(job, finalAudioFile, audioFile, loudness, assembleKey);
   
   // Verify duration
-  const { stdout: finalDurInfo } = await execAsync(`ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${finalAudioFile}"`);
-  const finalDuration = parseFloat(finalDurInfo.trim());
+  const finalDuration = await probeDuration(dubAudioFile);
   
   console.log(`   Duração final: ${finalDuration.toFixed(2)}s`);
   console.log(`   Duração esperada: ${totalDuration.toFixed(2)}s`);
   console.log(`   Diferença: ${Math.abs(finalDuration - totalDuration).toFixed(2)}s\n`);
   
-  // Cleanup temp files
-  audioFiles.forEach(f => { if (fs.existsSync(f)) fs.unlinkSync(f); });
-  if (fs.existsSync(concatListFile)) fs.unlinkSync(concatListFile);
-  
   // Continue with video merging (copied from original flow)
   console.log('✅ Áudio dublado gerado\n');
   
   console.log('⏱️  Verificando duração do vídeo/áudio...');
-  const { stdout: videoInfo } = await execAsync(`ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${inputVideo}"`);
-  const videoDuration = parseFloat(videoInfo.trim());
+  const videoDuration = await probeDuration(inputVideo);
   
   console.log(`📹 Vídeo: ${videoDuration.toFixed(2)}s`);
   console.log(`🎵 Áudio: ${finalDuration.toFixed(2)}s\n`);
   
-  const dubbedAudioFile = `dubbed_audio_${timestamp}.mp3`;
-  const outputVideo = inputVideo.replace('.mp4', `_${targetLang.code}.mp4`);
+  const muxKey = hashKey(assembleKey, loudness, outputVideo, subtitleTracks, backgroundFile);
   
-  console.log('🎥 Substituindo áudio no vídeo...');
-  await execAsync(`ffmpeg -i "${inputVideo}" -i "${finalAudioFile}" -c:v copy -c:a aac -b:a 192k -map 0:v:0 -map 1:a:0 -shortest "${outputVideo}" -y`);
-  console.log('✅ Vídeo dublado criado!\n');
+  if (job.isDone('mux', muxKey)) {
+    console.log('♻️  Vídeo dublado já criado com este áudio (checkpoint)\n');
+  } else {
+    // Background-preserving mode: the dub goes on top of the voice-reduced original
+    let muxAudioFile = dubAudioFile;
+    if (backgroundFile) {
+      muxAudioFile = await mixWithBackground(dubAudioFile, backgroundFile, job.temp('dubbed_audio_mix.mp3'));
+    }
+    
+    console.log('🎥 Substituindo áudio no vídeo...');
+    await muxDubbedAudio(inputVideo, muxAudioFile, outputVideo, { subtitleTracks, videoDuration, shortest: true });
+    job.complete('mux', { artifacts: [outputVideo], key: muxKey });
+    console.log('✅ Vídeo dublado criado!\n');
+  }
   
   console.log('🧹 Limpando arquivos temporários...');
-  if (fs.existsSync(audioFile)) fs.unlinkSync(audioFile);
-  if (fs.existsSync(finalAudioFile)) fs.unlinkSync(finalAudioFile);
-  if (fs.existsSync(dubbedAudioFile)) fs.unlinkSync(dubbedAudioFile);
-  
-  // Clean up any remaining temp files
-  const tempFiles = fs.readdirSync('.').filter(f => 
-    f.includes(`_${timestamp}`) && 
-    (f.endsWith('.mp3') || f.endsWith('.txt'))
-  );
-  tempFiles.forEach(f => {
-    if (fs.existsSync(f)) fs.unlinkSync(f);
-  });
-  
+  job.removeTemp();
   console.log('✅ Limpeza concluída\n');
   
   console.log(`🎉 PRONTO! Seu vídeo dublado está aqui: ${outputVideo}\n`);
+  console.log(`♻️  Checkpoints do job mantidos em: ${job.dir}\n`);
   
   return outputVideo;
 }
 
+// Filters that pull a voice-reduced bed (music, ambience, effects) out of the original audio
+const BACKGROUND_FILTERS = {
+  // Center-channel cancellation: dialogue is usually mixed to the center, so L-R removes it.
+  // Only works on stereo sources
+  center: 'pan=stereo|c0=c0-c1|c1=c1-c0',
+  // Band-reject over the speech band (~300-3400 Hz); works on mono, but also dulls the music
+  bandreject: 'bandreject=f=1850:width_type=h:width=3100,bandreject=f=1850:width_type=h:width=3100'
+};
+
+// Extract the background bed of the original audio, reusing the job checkpoint when present
+async function extractBackgroundBed(job, audioFile, method = 'center') {
+  const stage = `background:${method}`;
+  const bedFile = job.path(`background_${method}.mp3`);
+  
+  if (job.isDone(stage)) {
+    console.log('♻️  Trilha de fundo carregada do checkpoint\n');
+    return bedFile;
+  }
+  
+  let filterMethod = method;
+  if (method === 'center') {
+    // Center cancellation on a mono file would cancel everything
+    if (await probeAudioChannels(audioFile) < 2) {
+      console.log('   ⚠️  Áudio mono: usando filtro band-reject em vez de cancelamento de centro');
+      filterMethod = 'bandreject';
+    }
+  }
+  
+  console.log(`🎼 Extraindo trilha de fundo sem voz (${filterMethod})...`);
+  await runFfmpeg(['-y', '-i', audioFile, '-af', BACKGROUND_FILTERS[filterMethod], '-ac', '2', '-acodec', 'libmp3lame', '-q:a', '2', bedFile]);
+  job.complete(stage, { artifacts: [bedFile], data: { filter: filterMethod } });
+  console.log('✅ Trilha de fundo extraída\n');
+  
+  return bedFile;
+}
+
+// Mix the dubbed speech track (already laid out on the timeline) over the background bed.
+// The bed is ducked while the dub is speaking so the new voice stays intelligible
+async function mixWithBackground(dubbedAudioFile, bedFile, outputFile) {
+  console.log('🎚️  Mixando dublagem sobre a trilha de fundo...');
+  // amix halves each input, so the result is brought back up with volume=2
+  const filter = '[1:a]asplit=2[dub][sidechain];' +
+    '[0:a][sidechain]sidechaincompress=threshold=0.03:ratio=4:attack=20:release=400[bed];' +
+    '[bed][dub]amix=inputs=2:duration=first:dropout_transition=0,volume=2[out]';
+  await runFfmpeg(['-y', '-i', bedFile, '-i', dubbedAudioFile, '-filter_complex', filter, '-map', '[out]', '-acodec', 'libmp3lame', '-q:a', '2', outputFile]);
+  console.log('✅ Fundo preservado\n');
+  return outputFile;
+}
+
+// Put the dub in place of the original audio. An .m4a output gets the dubbed track alone, which is
+// how dubVideoMulti collects its languages without writing a copy of the video for each of them
+async function muxDubbedAudio(inputVideo, dubbedAudioFile, outputVideo, { audioFilter = [], subtitleTracks = [], videoDuration, shortest = false }) {
+  if (path.extname(outputVideo).toLowerCase() === '.m4a') {
+    await runFfmpeg([
+      '-y', '-i', dubbedAudioFile, ...audioFilter, ...(shortest ? ['-t', String(videoDuration)] : []),
+      '-vn', '-c:a', 'aac', '-b:a', '192k', outputVideo
+    ], { duration: videoDuration, onProgress: progressPrinter('Gerando faixa') });
+    return;
+  }
+  
+  const subtitleArgs = buildSubtitleMuxArgs(subtitleTracks, outputVideo, 2);
+  await runFfmpeg([
+    '-y', '-i', inputVideo, '-i', dubbedAudioFile, ...subtitleArgs.inputs,
+    '-c:v', 'copy', ...audioFilter, '-c:a', 'aac', '-b:a', '192k', '-map', '0:v:0', '-map', '1:a:0', ...subtitleArgs.maps,
+    ...(shortest ? ['-shortest'] : []), outputVideo
+  ], { duration: videoDuration, onProgress: progressPrinter('Gerando vídeo') });
+}
+
+// Bring the assembled dub to the integrated loudness of the original audio, or to a fixed target.
+// The measurements before and after are recorded in the job manifest
+async function normalizeDubLoudness(job, dubbedAudioFile, originalAudioFile, loudness, assembleKey) {
+  if (loudness.mode === 'off') return dubbedAudioFile;
+  
+  const stage = 'loudness';
+  const stageKey = hashKey(assembleKey, loudness);
+  const outputFile = job.path('dubbed_audio_normalized.mp3');
+  
+  if (job.isDone(stage, stageKey)) {
+    console.log('♻️  Loudness já normalizado (checkpoint)\n');
+    return outputFile;
+  }
+  
+  console.log('🔉 Medindo loudness (EBU R128)...');
+  const original = await measureLoudness(originalAudioFile);
+  const dub = await measureLoudness(dubbedAudioFile);
+  const target = loudness.mode === 'fixed' ? loudness.target : original.integrated;
+  console.log(`   Original: ${formatLoudness(original)} (pico ${original.truePeak.toFixed(1)} dBTP)`);
+  console.log(`   Dublagem: ${formatLoudness(dub)} (pico ${dub.truePeak.toFixed(1)} dBTP)`);
+  
+  let normalized = null;
+  if (isAudible(dub) && target > -Infinity && (loudness.mode === 'fixed' || isAudible(original))) {
+    await normalizeLoudness(dubbedAudioFile, outputFile, target, dub);
+    normalized = await measureLoudness(outputFile);
+    console.log(`✅ Dublagem normalizada para ${formatLoudness(normalized)} (alvo ${target.toFixed(1)} LUFS${loudness.mode === 'fixed' ? '' : ', do original'})\n`);
+  } else {
+    fs.copyFileSync(dubbedAudioFile, outputFile);
+    console.log('⚠️  Áudio sem sinal suficiente para medir, loudness mantido\n');
+  }
+  
+  job.complete(stage, {
+    artifacts: [outputFile],
+    key: stageKey,
+    data: { mode: loudness.mode, target: target, original: original, dub: dub, normalized: normalized }
+  });
+  return outputFile;
+}
+
 // Helper function to detect silence gaps between speech segments
 function detectSilenceGaps(segments, minGapDuration = 2.0) {
   const gaps = [];
@@ -465,62 +922,128 @@ function detectSilenceGaps(segments, minGapDuration = 2.0) {
   return gaps;
 }
 
+// Chunks of a long audio file, cut in silences near AUDIO_CHUNK_DURATION and overlapping a little
+async function planTranscriptionChunks(audioFile, duration, silence) {
+  console.log('🔍 Procurando silêncios para cortar os chunks...');
+  const silences = await detectSilences(audioFile, { noise: silenceNoise(silence), minDuration: CHUNK_CUT_MIN_SILENCE });
+  const chunks = planChunks(duration, silences, { target: AUDIO_CHUNK_DURATION });
+  
+  console.log(`🔪 Dividindo em ${chunks.length} chunks de até ~${AUDIO_CHUNK_DURATION}s (sobreposição de ${CHUNK_OVERLAP}s)`);
+  chunks.forEach(chunk => {
+    console.log(`   Chunk ${chunk.index + 1}: ${chunk.from.toFixed(1)}s → ${chunk.to.toFixed(1)}s${chunk.inSilence ? '' : ' (nenhum silêncio perto, corte no tempo)'}`);
+  });
+  console.log('');
+  return chunks;
+}
+
+// Cut one chunk out of the audio and transcribe it, reusing the job checkpoint when a
+// previous run already transcribed this chunk
+async function transcribeChunk(job, chunk, audioFile, language, timestamps) {
+  const stage = `transcribe:chunk:${chunk.index}`;
+  const key = hashKey(chunk.start, chunk.end);
+  const resultFile = job.path('chunks', `chunk_${chunk.index}.json`);
+  
+  if (job.isDone(stage, key)) {
+    console.log(`♻️  Chunk ${chunk.index + 1} carregado do checkpoint`);
+    return JSON.parse(fs.readFileSync(resultFile, 'utf8'));
+  }
+  
+  const chunkFile = job.temp(`audio_chunk_${chunk.index}.mp3`);
+  
+  // Split audio using ffmpeg
+  await runFfmpeg(['-y', '-i', audioFile, '-ss', String(chunk.start), '-t', String(chunk.end - chunk.start), '-acodec', 'libmp3lame', '-q:a', '2', chunkFile]);
+  
+  const transcription = await provider.transcribe({
+    file: chunkFile,
+    language: language,
+    timestamps: timestamps
+  });
+  
+  // Cleanup chunk file
+  if (fs.existsSync(chunkFile)) fs.unlinkSync(chunkFile);
+  
+  const result = {
+    text: transcription.text,
+    segments: (transcription.segments || []).map(({ start, end, text }) => ({ start, end, text })),
+    words: (transcription.words || []).map(({ word, start, end }) => ({ word, start, end }))
+  };
+  fs.writeFileSync(resultFile, JSON.stringify(result, null, 2));
+  job.complete(stage, { artifacts: [resultFile], key: key });
+  
+  return result;
+}
+
+// Transcribe one speech region (fast method): only its audio is sent, with the cheap model and
+// no timestamps. Checkpointed like the chunks
+async function transcribeRegion(job, region, index, audioFile, language) {
+  const stage = `transcribe:regions:${index}`;
+  const key = hashKey(region.start, region.end);
+  const resultFile = job.path('regions', `region_${index}.json`);
+  
+  if (job.isDone(stage, key)) {
+    console.log(`♻️  Trecho ${index + 1} carregado do checkpoint`);
+    return JSON.parse(fs.readFileSync(resultFile, 'utf8'));
+  }
+  
+  const regionFile = job.temp(`audio_region_${index}.mp3`);
+  await runFfmpeg(['-y', '-i', audioFile, '-ss', String(region.start), '-t', String(region.end - region.start), '-acodec', 'libmp3lame', '-q:a', '2', regionFile]);
+  
+  const transcription = await provider.transcribe({
+    file: regionFile,
+    language: language,
+    timestamps: false
+  });
+  
+  if (fs.existsSync(regionFile)) fs.unlinkSync(regionFile);
+  
+  const result = { text: (transcription.text || '').trim() };
+  fs.writeFileSync(resultFile, JSON.stringify(result, null, 2));
+  job.complete(stage, { artifacts: [resultFile], key: key });
+  
+  return result;
+}
+
 // Hybrid method: Whisper-1 for timestamps + GPT for refinement
-async function transcribeWithHybridMethod(audioFile, language, duration, timestamp) {
+async function transcribeWithHybridMethod(audioFile, language, duration, job, silence) {
   console.log('🔬 Método híbrido: Whisper-1 (timestamps precisos)\n');
   
-  const numChunks = Math.ceil(duration / AUDIO_CHUNK_DURATION);
-  console.log(`🔪 Dividindo em ${numChunks} chunks de ~${AUDIO_CHUNK_DURATION}s cada\n`);
+  const chunks = await planTranscriptionChunks(audioFile, duration, silence);
   
-  const allSegments = [];
-  const allTranscriptions = [];
+  // Step 1: Transcribe every chunk with Whisper-1 to get timestamps, several at a time
+  console.log(`📝 Transcrevendo com Whisper-1 (timestamps), até ${scheduler.concurrency} chunks em paralelo...\n`);
+  const transcriptions = await scheduler.map(chunks, async (chunk) => {
+    const transcription = await transcribeChunk(job, chunk, audioFile, language, true);
+    console.log(`✅ Chunk ${chunk.index + 1}/${chunks.length} processado`);
+    return transcription;
+  });
+  console.log('');
   
-  for (let i = 0; i < numChunks; i++) {
-    const startTime = i * AUDIO_CHUNK_DURATION;
-    const chunkFile = `temp_audio_chunk_${timestamp}_${i}.mp3`;
-    
-    console.log(`🎙️  Processando chunk ${i + 1}/${numChunks}...`);
-    
-    // Split audio using ffmpeg
-    await execAsync(`ffmpeg -i "${audioFile}" -ss ${startTime} -t ${AUDIO_CHUNK_DURATION} -acodec libmp3lame -q:a 2 "${chunkFile}" -y`);
-    
-    // Step 1: Transcribe with Whisper-1 to get timestamps
-    console.log(`📝 Transcrevendo com Whisper-1 (timestamps)...`);
-    const transcription = await openai.audio.transcriptions.create({
-      file: fs.createReadStream(chunkFile),
-      model: 'whisper-1',
-      language: language,
-      response_format: 'verbose_json',
-      timestamp_granularities: ['segment']
-    });
-    
-    // Use transcription directly - GPT refinement is causing content loss
-    // The Whisper-1 transcription is already very accurate
-    console.log(`✅ Usando transcrição direta (sem refinamento para evitar perda de conteúdo)`);
-    allTranscriptions.push(transcription.text);
-    
-    // Store segments with adjusted timestamps
-    if (transcription.segments) {
-      transcription.segments.forEach(seg => {
-        allSegments.push({
-          start: seg.start + startTime,
-          end: seg.end + startTime,
-          text: seg.text
-        });
-      });
-    }
-    
-    console.log(`✅ Chunk ${i + 1}/${numChunks} processado\n`);
-    
-    // Cleanup chunk file
-    if (fs.existsSync(chunkFile)) fs.unlinkSync(chunkFile);
-  }
+  // Use transcription directly - GPT refinement is causing content loss
+  // The Whisper-1 transcription is already very accurate
+  console.log(`✅ Usando transcrição direta (sem refinamento para evitar perda de conteúdo)\n`);
+  
+  // Chunks are joined in timeline order, whatever order they finished in; segments heard
+  // twice in the overlaps are dropped
+  const allSegments = mergeChunkSegments(chunks, transcriptions);
+  const segmentCount = transcriptions.reduce((sum, transcription) => sum + (transcription.segments || []).length, 0);
+  const text = allSegments.length > 0
+    ? allSegments.map(seg => seg.text.trim()).join(' ')
+    : mergeChunkTexts(transcriptions.map(transcription => transcription.text));
   
   console.log('✅ Transcrição híbrida completa\n');
-  console.log(`📊 Total de segmentos: ${allSegments.length}\n`);
+  console.log(`📊 Total de segmentos: ${allSegments.length} (${segmentCount - allSegments.length} descartado(s) na sobreposição dos chunks)\n`);
+  
+  // Word timings regrouped into sentences give exact sentence boundaries
+  const words = mergeChunkWords(chunks, transcriptions);
+  const sentences = alignSentences(text, words);
+  if (sentences.length > 0) {
+    console.log(`🔤 ${words.length} palavras com tempo, ${sentences.length} frases\n`);
+  } else if (words.length > 0) {
+    console.log('⚠️  Palavras com tempo não batem com o texto, frases não alinhadas\n');
+  }
   
   // Detect silence gaps between segments
-  const silenceGaps = detectSilenceGaps(allSegments, 2.0);
+  const silenceGaps = detectSilenceGaps(allSegments, silence.minDuration);
   
   if (silenceGaps.length > 0) {
     console.log(`🔇 Pausas/silêncios detectados no meio: ${silenceGaps.length}`);
@@ -533,98 +1056,94 @@ async function transcribeWithHybridMethod(audioFile, language, duration, timesta
   }
   
   return {
-    text: allTranscriptions.join(' '),
+    text: text,
     duration: duration,
     segments: allSegments,
+    silenceGaps: silenceGaps,
+    words: words,
+    sentences: sentences,
+    silence: silence
+  };
+}
+
+// Use an existing SRT/VTT file as the transcript instead of calling ASR.
+// Returns the same { text, duration, segments, silenceGaps } shape as transcribeAudioFile
+async function transcribeFromSubtitles(subtitleFile, audioFile, minSilence = null) {
+  console.log(`💬 Usando legenda existente como transcrição: ${subtitleFile}\n`);
+  
+  const duration = await probeDuration(audioFile);
+  
+  // Cues past the end of the audio (e.g. captions of a longer cut) are dropped or clamped
+  const segments = readSubtitles(subtitleFile)
+    .filter(cue => cue.start < duration)
+    .map(cue => ({ start: cue.start, end: Math.min(cue.end, duration), text: cue.text }));
+  
+  if (segments.length === 0) {
+    throw new Error(`Nenhuma legenda encontrada em ${subtitleFile}`);
+  }
+  
+  console.log(`   Legendas carregadas: ${segments.length}`);
+  console.log(`⏱️  Duração real do áudio: ${duration.toFixed(2)}s (${(duration / 60).toFixed(1)} minutos)\n`);
+  
+  // Caption timings give the pauses directly, no ASR or silencedetect needed
+  const silenceGaps = detectSilenceGaps(segments, minSilence ?? DEFAULT_MIN_SILENCE);
+  
+  if (silenceGaps.length > 0) {
+    console.log(`🔇 Pausas/silêncios detectados no meio: ${silenceGaps.length}`);
+    silenceGaps.forEach((gap, i) => {
+      const mins = Math.floor(gap.start / 60);
+      const secs = (gap.start % 60).toFixed(1);
+      console.log(`   ${i + 1}. ${mins}:${secs.padStart(4, '0')} → ${gap.duration.toFixed(2)}s`);
+    });
+    console.log('');
+  }
+  
+  return {
+    text: segments.map(seg => seg.text).join(' '),
+    duration: duration,
+    segments: segments,
     silenceGaps: silenceGaps
   };
 }
 
 // Helper function to split audio file into chunks and transcribe
-async function transcribeAudioFile(audioFile, language, timestamp, useHybridMethod = false) {
+// silenceOverrides: { threshold, minDuration } fixed for this job, null to calibrate from the audio
+async function transcribeAudioFile(audioFile, language, job, useHybridMethod = false, silenceOverrides = {}) {
   const fileSize = fs.statSync(audioFile).size;
   
   // Get audio duration first
-  const { stdout: durationInfo } = await execAsync(`ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${audioFile}"`);
-  const duration = parseFloat(durationInfo.trim());
+  const duration = await probeDuration(audioFile);
   
   console.log(`📏 Tamanho do arquivo: ${(fileSize / 1024 / 1024).toFixed(2)} MB`);
-  console.log(`⏱️  Duração real do áudio: ${duration.toFixed(2)}s (${(duration / 60).toFixed(1)} minutos)\n`);
+  console.log(`⏱️  Duração real do áudio: ${duration.toFixed(2)}s (${(duration / 60).toFixed(1)} minutos)`);
+  
+  // Silence threshold and minimum pause for this recording, used for every silence detection below
+  const silence = await calibrateSilence(audioFile, silenceOverrides);
+  console.log(`🔇 Silêncio: ${formatSilenceSettings(silence)}\n`);
   
-  // Force chunking for audio longer than 5 minutes (300s) to avoid incomplete transcriptions
-  if (fileSize < MAX_WHISPER_FILE_SIZE && duration < 300) {
+  // Long audio is always chunked (SHORT_AUDIO_DURATION), to avoid incomplete transcriptions
+  if (fileSize < MAX_WHISPER_FILE_SIZE && duration < SHORT_AUDIO_DURATION) {
     console.log('📝 Arquivo de áudio dentro do limite, transcrevendo...\n');
-    const transcription = await openai.audio.transcriptions.create({
-      file: fs.createReadStream(audioFile),
-      model: 'gpt-4o-mini-transcribe',
-      language: language
-    });
-    
-    const fullText = transcription.text;
     
     // Detect ALL silences using ffmpeg
     console.log('🔍 Detectando silêncios no áudio...');
-    const { stdout: silenceOutput } = await execAsync(`ffmpeg -i "${audioFile}" -af silencedetect=noise=-30dB:d=2.0 -f null - 2>&1 | grep "silence_"`);
-    
-    // Parse silence detection output
-    const silences = [];
-    const lines = silenceOutput.split('\n');
-    let currentSilence = {};
-    
-    for (const line of lines) {
-      const startMatch = line.match(/silence_start: ([\d.]+)/);
-      const endMatch = line.match(/silence_end: ([\d.]+) \| silence_duration: ([\d.]+)/);
-      
-      if (startMatch) {
-        currentSilence.start = parseFloat(startMatch[1]);
-      }
-      
-      if (endMatch && currentSilence.start !== undefined) {
-        currentSilence.end = parseFloat(endMatch[1]);
-        currentSilence.duration = parseFloat(endMatch[2]);
-        silences.push({ ...currentSilence });
-        currentSilence = {};
-      }
-    }
+    const silences = await detectSilences(audioFile, { noise: silenceNoise(silence), minDuration: silence.minDuration });
     
     console.log(`   Silêncios detectados: ${silences.length}`);
     
-    // Create segments based on silences
-    const pseudoSegments = [];
-    let lastEnd = 0;
-    
-    silences.forEach((silence, i) => {
-      // Speech segment before silence
-      if (silence.start > lastEnd) {
-        pseudoSegments.push({
-          start: lastEnd,
-          end: silence.start,
-          text: '' // Text will be distributed later
-        });
-      }
-      lastEnd = silence.end;
+    // Each speech region between the silences gets its own text
+    const pseudoSegments = speechRegions(silences, duration);
+    console.log(`📝 Transcrevendo ${pseudoSegments.length} trecho(s) de fala...`);
+    const texts = await scheduler.map(pseudoSegments, async (region, i) => {
+      const result = await transcribeRegion(job, region, i, audioFile, language);
+      console.log(`✅ Trecho ${i + 1}/${pseudoSegments.length}: ${(region.end - region.start).toFixed(1)}s de fala`);
+      return result.text;
+    });
+    texts.forEach((text, i) => {
+      pseudoSegments[i].text = text;
     });
     
-    // Final speech segment
-    if (lastEnd < duration) {
-      pseudoSegments.push({
-        start: lastEnd,
-        end: duration,
-        text: ''
-      });
-    }
-    
-    // If no segments created, create one for entire duration
-    if (pseudoSegments.length === 0) {
-      pseudoSegments.push({
-        start: 0,
-        end: duration,
-        text: fullText
-      });
-    } else {
-      // Put all text in first segment for now
-      pseudoSegments[0].text = fullText;
-    }
+    const fullText = pseudoSegments.map(seg => seg.text).filter(Boolean).join(' ');
     
     const silenceGaps = silences.map((s, i) => ({
       start: s.start,
@@ -649,115 +1168,76 @@ async function transcribeAudioFile(audioFile, language, timestamp, useHybridMeth
       text: fullText, 
       duration: duration,
       segments: pseudoSegments,
-      silenceGaps: silenceGaps
+      silenceGaps: silenceGaps,
+      silence: silence
     };
   }
   
   console.log('⚠️  Vídeo longo detectado - usando chunking para garantir transcrição completa\n');
   
   if (useHybridMethod) {
-    return await transcribeWithHybridMethod(audioFile, language, duration, timestamp);
+    return await transcribeWithHybridMethod(audioFile, language, duration, job, silence);
   }
   
   // File is too large, need to split
   console.log(`⚠️  Arquivo de áudio grande detectado (${(fileSize / 1024 / 1024).toFixed(2)} MB)`);
   console.log('📝 Dividindo áudio em chunks para transcrição...\n');
   
-  const numChunks = Math.ceil(duration / AUDIO_CHUNK_DURATION);
-  console.log(`🔪 Dividindo em ${numChunks} chunks de ~${AUDIO_CHUNK_DURATION}s cada\n`);
+  const chunks = await planTranscriptionChunks(audioFile, duration, silence);
   
-  const transcriptions = [];
-  const allSegments = [];
-  
-  for (let i = 0; i < numChunks; i++) {
-    const startTime = i * AUDIO_CHUNK_DURATION;
-    const chunkFile = `temp_audio_chunk_${timestamp}_${i}.mp3`;
-    
-    console.log(`🎙️  Processando chunk ${i + 1}/${numChunks}...`);
-    
-    // Split audio using ffmpeg
-    await execAsync(`ffmpeg -i "${audioFile}" -ss ${startTime} -t ${AUDIO_CHUNK_DURATION} -acodec libmp3lame -q:a 2 "${chunkFile}" -y`);
-    
-    // Transcribe chunk
-    console.log(`📝 Transcrevendo chunk ${i + 1}/${numChunks}...`);
-    const transcription = await openai.audio.transcriptions.create({
-      file: fs.createReadStream(chunkFile),
-      model: 'gpt-4o-mini-transcribe',
-      language: language
-    });
-    
-    transcriptions.push(transcription.text);
-    console.log(`✅ Chunk ${i + 1}/${numChunks} transcrito`);
-    
-    // Cleanup chunk file
-    if (fs.existsSync(chunkFile)) fs.unlinkSync(chunkFile);
-  }
+  // Chunks are transcribed several at a time and joined in timeline order
+  console.log(`📝 Transcrevendo até ${scheduler.concurrency} chunks em paralelo...`);
+  const transcriptions = await scheduler.map(chunks, async (chunk) => {
+    const transcription = await transcribeChunk(job, chunk, audioFile, language, false);
+    console.log(`✅ Chunk ${chunk.index + 1}/${chunks.length} transcrito`);
+    return transcription.text;
+  });
   
   console.log('\n✅ Todas as transcrições completas, juntando texto...\n');
+  // Words heard at the end of one chunk and again at the start of the next are kept once
+  const fullText = mergeChunkTexts(transcriptions);
   
   // Detect silence at the end using ffmpeg on the original file
   console.log('🔍 Detectando silêncios no áudio original...');
-  const { stdout: silenceOutput } = await execAsync(`ffmpeg -i "${audioFile}" -af silencedetect=noise=-30dB:d=0.5 -f null - 2>&1 | grep silence_end || echo ""`);
+  const endSilences = await detectSilences(audioFile, { noise: silenceNoise(silence), minDuration: SPEECH_END_MIN_SILENCE });
   
   let lastSpeechEnd = duration;
-  if (silenceOutput && silenceOutput.trim()) {
-    const silenceMatches = silenceOutput.match(/silence_end: ([\d.]+)/g);
-    if (silenceMatches && silenceMatches.length > 0) {
-      const lastMatch = silenceMatches[silenceMatches.length - 1];
-      const lastSilenceEnd = parseFloat(lastMatch.match(/([\d.]+)/)[0]);
-      // If last silence ends close to the end, assume speech ends there
-      if (duration - lastSilenceEnd < 2) {
-        lastSpeechEnd = lastSilenceEnd;
-      }
-    }
+  const lastSilence = endSilences[endSilences.length - 1];
+  // If last silence ends close to the end, assume speech ends there
+  if (lastSilence && duration - lastSilence.end < 2) {
+    lastSpeechEnd = lastSilence.end;
   }
   
   // Create a pseudo-segment for the end
   const pseudoSegments = [{
     start: 0,
     end: lastSpeechEnd,
-    text: transcriptions.join(' ')
+    text: fullText
   }];
   
   return { 
-    text: transcriptions.join(' '), 
+    text: fullText, 
     duration: duration, 
-    segments: pseudoSegments
+    segments: pseudoSegments,
+    silence: silence
   };
 }
 
-// Language configurations
-const LANGUAGES = {
-  '1': { code: 'pt', name: 'Português 🇧🇷', systemPrompt: 'Brazilian Portuguese' },
-  '2': { code: 'en', name: 'English 🇺🇸', systemPrompt: 'English' },
-  '3': { code: 'es', name: 'Español 🇪🇸', systemPrompt: 'Spanish' },
-  '4': { code: 'fr', name: 'Français 🇫🇷', systemPrompt: 'French' },
-  '5': { code: 'de', name: 'Deutsch 🇩🇪', systemPrompt: 'German' },
-  '6': { code: 'it', name: 'Italiano 🇮🇹', systemPrompt: 'Italian' },
-  '7': { code: 'ja', name: '日本語 🇯🇵', systemPrompt: 'Japanese' },
-  '8': { code: 'ko', name: '한국어 🇰🇷', systemPrompt: 'Korean' },
-  '9': { code: 'zh', name: '中文 🇨🇳', systemPrompt: 'Chinese' }
+// Exit codes of the command line
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,    // Download or dubbing failed
+  USAGE: 2,      // Invalid or missing arguments
+  CANCELLED: 3,  // User rejected the translation review
+  BUDGET: 4      // Estimated cost is above the budget
 };
 
-// Voice options
-const VOICES = {
-  '1': { id: 'alloy', name: 'Alloy 🎵 (Neutro e equilibrado)' },
-  '2': { id: 'echo', name: 'Echo 🎙️ (Masculino e claro)' },
-  '3': { id: 'fable', name: 'Fable ✨ (Expressivo e animado)' },
-  '4': { id: 'onyx', name: 'Onyx 🎬 (Masculino profundo)' },
-  '5': { id: 'nova', name: 'Nova 🌟 (Feminino jovem)' },
-  '6': { id: 'shimmer', name: 'Shimmer 💫 (Feminino suave)' }
-};
-
-// Quality options for YouTube download
-const QUALITY_OPTIONS = {
-  '1': { name: 'Original 🌟 (Melhor qualidade disponível)', format: 'bestvideo+bestaudio/best' },
-  '2': { name: '1080p 📺 (Full HD)', format: 'bestvideo[height<=1080]+bestaudio/best[height<=1080]' },
-  '3': { name: '720p 💻 (HD)', format: 'bestvideo[height<=720]+bestaudio/best[height<=720]' },
-  '4': { name: '480p 📱 (SD)', format: 'bestvideo[height<=480]+bestaudio/best[height<=480]' }
-};
+// Transcription methods accepted by --method
+export const TRANSCRIPTION_METHODS = ['fast', 'timestamps'];
 
-async function downloadYouTubeVideo(url, formatOption) {
+// outputFolder: where the video is saved; give each concurrent download its own folder, since the
+// file is found by name there (or as the newest .mp4 when yt-dlp doesn't print it)
+export async function downloadYouTubeVideo(url, formatOption, outputFolder = 'downloads') {
   console.log('\n🚀 Iniciando download do YouTube...\n');
 
   const args = [
@@ -767,13 +1247,11 @@ async function downloadYouTubeVideo(url, formatOption) {
     '-N', '10',
     '--progress',
     '--newline',
-    '-o', 'downloads/%(title)s.%(ext)s'
+    '-o', path.join(outputFolder, '%(title)s.%(ext)s')
   ];
 
   // Create downloads folder if it doesn't exist
-  if (!fs.existsSync('downloads')) {
-    fs.mkdirSync('downloads');
-  }
+  fs.mkdirSync(outputFolder, { recursive: true });
 
   const ytdlp = spawn('yt-dlp', args);
 
@@ -817,12 +1295,12 @@ async function downloadYouTubeVideo(url, formatOption) {
         
         // If we couldn't capture the filename, find the most recent .mp4 file
         if (!outputFile) {
-          const files = fs.readdirSync('downloads')
+          const files = fs.readdirSync(outputFolder)
             .filter(file => file.endsWith('.mp4'))
             .map(file => ({
               name: file,
-              path: `downloads/${file}`,
-              time: fs.statSync(`downloads/${file}`).mtime.getTime()
+              path: path.join(outputFolder, file),
+              time: fs.statSync(path.join(outputFolder, file)).mtime.getTime()
             }))
             .sort((a, b) => b.time - a.time); // Sort by most recent first
           
@@ -840,25 +1318,370 @@ async function downloadYouTubeVideo(url, formatOption) {
   });
 }
 
-async function dubVideo(inputVideo, sourceLang, targetLang, voiceId, askConfirmation = true, useHybridMethod = false) {
+// Write SRT and VTT files next to the output video: <output>.<source code> and <output>.<target code>.
+// Returns the subtitle tracks that can be muxed into the output container
+function writeSubtitleFiles(outputVideo, sourceLang, targetLang, transcriptionResult, translatedText, speechBlocks) {
+  const segments = transcriptionResult.segments || [];
+  const basePath = subtitleBasePath(outputVideo);
+  
+  // Without segments, the whole speech becomes one cue (split into readable pieces)
+  const speechStart = segments.length > 0 ? segments[0].start : 0;
+  const speechEnd = segments.length > 0 ? segments[segments.length - 1].end : transcriptionResult.duration;
+  
+  // Pseudo-segments of long audio (fast method) hold no text of their own, so only use segments that all have text
+  const sourceCues = segments.length > 0 && segments.every(seg => seg.text && seg.text.trim())
+    ? segments
+    : [{ start: speechStart, end: speechEnd, text: transcriptionResult.text }];
+  const targetCues = speechBlocks
+    ? speechBlocks
+    : [{ start: speechStart, end: speechEnd, text: translatedText }];
+  
+  console.log('💬 Gerando legendas...');
+  const tracks = [];
+  for (const [lang, cues, title] of [[sourceLang, sourceCues, 'Original'], [targetLang, targetCues, 'Tradução']]) {
+    const files = writeSubtitles(`${basePath}.${lang.code}`, cues);
+    console.log(`   ${lang.name}: ${files.srt}, ${files.vtt} (${files.cueCount} legendas)`);
+    tracks.push(subtitleTrack(basePath, lang, title));
+  }
+  console.log('');
+  
+  return tracks;
+}
+
+// Subtitle files are named after the video: video.mp4 → video.<language code>.srt
+function subtitleBasePath(outputVideo) {
+  return outputVideo.replace(/\.[^./\\]+$/, '');
+}
+
+// Soft subtitle track for the SRT file written by writeSubtitleFiles
+function subtitleTrack(basePath, lang, title) {
+  return { file: `${basePath}.${lang.code}.srt`, language: lang.iso639_2, title: `${title} (${lang.code})` };
+}
+
+// Extra ffmpeg inputs and maps that add subtitle files as soft tracks (mov_text for MP4, srt for MKV)
+function buildSubtitleMuxArgs(subtitleTracks, outputVideo, firstInputIndex) {
+  if (subtitleTracks.length === 0) {
+    return { inputs: [], maps: [] };
+  }
+  
+  const codec = outputVideo.toLowerCase().endsWith('.mkv') ? 'srt' : 'mov_text';
+  const inputs = subtitleTracks.flatMap(track => ['-i', track.file]);
+  const maps = subtitleTracks.flatMap((track, i) => [
+    '-map', `${firstInputIndex + i}:s:0`,
+    `-metadata:s:s:${i}`, `language=${track.language}`,
+    `-metadata:s:s:${i}`, `title=${track.title}`
+  ]);
+  
+  return { inputs, maps: [...maps, '-c:s', codec] };
+}
+
+// Segments with timestamps, in the format saved to debug_logs/segments_*.json
+function buildSegmentsData(transcriptionResult) {
+  const segments = transcriptionResult.segments || [];
+  return {
+    duration: transcriptionResult.duration,
+    segmentCount: segments.length,
+    segments: segments.map(s => ({
+      start: s.start,
+      end: s.end,
+      duration: s.end - s.start,
+      text: s.text || ''
+    })),
+    silenceGaps: transcriptionResult.silenceGaps || [],
+    // Only transcriptions with word timestamps (hybrid method) have these
+    ...(transcriptionResult.words?.length > 0 && {
+      words: transcriptionResult.words.map(({ word, start, end }) => ({ word, start, end }))
+    }),
+    ...(transcriptionResult.sentences?.length > 0 && {
+      sentenceCount: transcriptionResult.sentences.length,
+      sentences: transcriptionResult.sentences.map(s => ({
+        start: s.start,
+        end: s.end,
+        duration: s.end - s.start,
+        text: s.text
+      }))
+    })
+  };
+}
+
+// Checkpoint of the transcription stage: same files as debug_logs, inside the job directory
+function saveTranscriptionCheckpoint(job, transcriptionResult, key = null) {
+  const textFile = job.path('transcription.txt');
+  const segmentsFile = job.path('segments.json');
+  fs.writeFileSync(textFile, transcriptionResult.text);
+  fs.writeFileSync(segmentsFile, JSON.stringify(buildSegmentsData(transcriptionResult), null, 2));
+  // The silence settings used (calibrated or given) are kept in the manifest
+  job.complete('transcribe', { artifacts: [textFile, segmentsFile], key: key, data: { silence: transcriptionResult.silence || null } });
+}
+
+function loadTranscriptionCheckpoint(job) {
+  const segmentsData = JSON.parse(fs.readFileSync(job.path('segments.json'), 'utf8'));
+  return {
+    text: fs.readFileSync(job.path('transcription.txt'), 'utf8'),
+    duration: segmentsData.duration,
+    segments: segmentsData.segments.map(({ start, end, text }) => ({ start, end, text })),
+    silenceGaps: segmentsData.silenceGaps,
+    words: segmentsData.words || [],
+    sentences: (segmentsData.sentences || []).map(({ start, end, text }) => ({ start, end, text }))
+  };
+}
+
+// Steps 1 and 2 of a dubbing job: extract the audio and transcribe it, both checkpointed
+async function extractAndTranscribe(job, inputVideo, audioFile, sourceLang, useHybridMethod, transcriptFile, silence = {}) {
+  if (job.isDone('extract')) {
+    console.log('♻️  Áudio já extraído (checkpoint)\n');
+  } else {
+    console.log('📤 Extraindo áudio do vídeo...');
+    await runFfmpeg(['-y', '-i', inputVideo, '-vn', '-acodec', 'libmp3lame', '-q:a', '2', audioFile], {
+      duration: await probeDuration(inputVideo),
+      onProgress: progressPrinter('Extraindo áudio')
+    });
+    job.complete('extract', { artifacts: [audioFile] });
+    console.log('✅ Áudio extraído\n');
+  }
+
+  // Transcribe audio to text (with chunking for large files). Other silence settings change the blocks
+  const transcribeKey = hashKey(silence.threshold ?? 'auto', silence.minDuration ?? 'auto');
+  if (job.isDone('transcribe', transcribeKey)) {
+    console.log('♻️  Transcrição carregada do checkpoint');
+    return loadTranscriptionCheckpoint(job);
+  }
+  
+  let transcriptionResult;
+  if (transcriptFile) {
+    transcriptionResult = await transcribeFromSubtitles(transcriptFile, audioFile, silence.minDuration);
+  } else {
+    console.log(`🎙️  Transcrevendo áudio em ${sourceLang.name}...`);
+    transcriptionResult = await transcribeAudioFile(audioFile, sourceLang.code, job, useHybridMethod, silence);
+  }
+  saveTranscriptionCheckpoint(job, transcriptionResult, transcribeKey);
+  return transcriptionResult;
+}
+
+// Silence detection values fixed for a job (--silence-threshold / --min-silence); null ones are calibrated
+function silenceOverrides(options) {
+  return {
+    threshold: parseSilenceThreshold(options.silenceThreshold ?? config.silence.threshold),
+    minDuration: parseMinSilence(options.minSilence ?? config.silence.minSilence)
+  };
+}
+
+// Work and API usage a dubbing run is expected to need, worked out before any API call.
+// Uses the same chunk plan as transcribeAudioFile and the same block split as the TTS step
+async function planDubbing(inputVideo, targetLangs, useHybridMethod, options = {}) {
+  const duration = await probeDuration(inputVideo);
+  const usage = emptyUsage(provider.models);
+  
+  // Transcription: under SHORT_AUDIO_DURATION one request per speech region, otherwise one per
+  // chunk. Short audio and the timestamps method give every block its own text
+  const byRegion = duration < SHORT_AUDIO_DURATION;
+  let chunks = [];
+  let sourceText = null;
+  let blockCount = Math.max(1, Math.round(duration / ESTIMATED_BLOCK_SECONDS));
+  let perBlockTranslation = useHybridMethod || byRegion;
+  
+  if (options.transcriptFile) {
+    // The transcript is already known: exact text and blocks, no ASR. Blocks are split at the
+    // same minimum pause transcribeFromSubtitles will use for this job
+    const cues = readSubtitles(options.transcriptFile);
+    sourceText = cues.map(cue => cue.text).join(' ');
+    blockCount = detectSilenceGaps(cues, silenceOverrides(options).minDuration ?? DEFAULT_MIN_SILENCE).length + 1;
+    perBlockTranslation = true;
+  } else if (options.transcription) {
+    sourceText = options.transcription.result.text;
+  } else {
+    // Cuts are moved into silences at run time; the plan only needs their number and rough place.
+    // Regions aren't known either, so there is one per estimated block
+    if (!byRegion) {
+      chunks = planChunks(duration, [], { target: AUDIO_CHUNK_DURATION })
+        .map(chunk => ({ start: chunk.from, end: chunk.to }));
+    }
+    usage.transcribe.model = useHybridMethod ? provider.models.timestamps : provider.models.transcribe;
+    usage.transcribe.requests = byRegion ? blockCount : chunks.length;
+    usage.transcribe.seconds = duration;
+  }
+  
+  // Translation and TTS: the translation is assumed as long as the original speech
+  const sourceChars = sourceText !== null ? sourceText.length : Math.round(duration * SPEECH_CHARS_PER_SECOND);
+  const sourceTokens = Math.ceil(sourceChars / CHARS_PER_TOKEN);
+  const translateRequests = perBlockTranslation ? blockCount : 1;
+  const ttsRequests = blockCount > 1 ? blockCount : Math.ceil(sourceChars / MAX_TTS_CHARS);
+  
+  for (let i = 0; i < targetLangs.length; i++) {
+    usage.translate.requests += translateRequests;
+    usage.translate.inputTokens += translateRequests * TRANSLATION_PROMPT_TOKENS + sourceTokens * (perBlockTranslation ? BLOCK_CONTEXT_FACTOR : 1);
+    usage.translate.outputTokens += sourceTokens * REASONING_OUTPUT_FACTOR;
+    usage.speech.requests += ttsRequests;
+    usage.speech.characters += sourceChars;
+  }
+  
+  return { duration, chunks, byRegion, blockCount, blocksKnown: Boolean(options.transcriptFile), perBlockTranslation, translateRequests, ttsRequests, usage };
+}
+
+// Steps a run would take, printed by --dry-run
+function printDubbingPlan(plan, inputVideo, targetLangs, voiceId, options) {
+  const outputVideo = options.outputVideo || inputVideo.replace('.mp4', `_${targetLangs.map(lang => lang.code).join('-')}.mp4`);
+  const blocks = `${plan.blocksKnown ? '' : '~'}${plan.blockCount} bloco(s)${plan.blocksKnown ? '' : ' (estimado, definido após a transcrição)'}`;
+  const steps = [];
+  
+  steps.push(`ffmpeg: extrair áudio de ${inputVideo} (${plan.duration.toFixed(1)}s) para o diretório do job`);
+  if (options.keepBackground) {
+    steps.push(`ffmpeg: extrair trilha de fundo sem voz (${options.backgroundFilter || 'center'})`);
+  }
+  if (options.transcriptFile) {
+    steps.push(`Transcrição: legenda ${options.transcriptFile} (sem API), ${blocks}`);
+  } else if (options.transcription) {
+    steps.push('Transcrição: reaproveitada do primeiro idioma');
+  } else {
+    if (plan.byRegion) {
+      const silence = silenceOverrides(options);
+      const threshold = silence.threshold !== null ? `${silence.threshold} dB` : 'limiar calibrado pelo áudio';
+      const minDuration = silence.minDuration !== null ? `${silence.minDuration}s` : 'pausa mínima calibrada';
+      steps.push(`ffmpeg: medir o nível do áudio (astats) e detectar silêncios (silencedetect, ${threshold}, ${minDuration}) para dividir os trechos de fala`);
+      steps.push(`Transcrição (${plan.usage.transcribe.model}): ~${plan.usage.transcribe.requests} requisição(ões), uma por trecho de fala`);
+    } else {
+      steps.push(`Transcrição (${plan.usage.transcribe.model}): ${plan.chunks.length} requisição(ões)`);
+      plan.chunks.forEach((chunk, i) => steps.push(`   chunk ${i + 1}: ${chunk.start.toFixed(0)}s → ${chunk.end.toFixed(1)}s`));
+    }
+  }
+  for (const targetLang of targetLangs) {
+    steps.push(`Tradução → ${targetLang.code} (${plan.usage.translate.model}): ${plan.translateRequests} requisição(ões), ${plan.perBlockTranslation ? 'bloco a bloco' : 'texto completo'}`);
+    steps.push(`TTS ${targetLang.code} (${plan.usage.speech.model}, voz ${voiceId}): ${plan.ttsRequests} requisição(ões), ${blocks}`);
+    steps.push('ffmpeg: cortar o silêncio das bordas do TTS, ajustar pausas e velocidade (atempo) de cada bloco e concatenar');
+    const loudness = parseLoudness(options.loudness ?? config.loudness);
+    if (loudness.mode === 'block') {
+      steps.push('ffmpeg: igualar o loudness de cada bloco ao trecho original (loudnorm)');
+    } else if (loudness.mode !== 'off') {
+      steps.push(`ffmpeg: normalizar o loudness da dublagem (loudnorm) para ${loudness.mode === 'fixed' ? `${loudness.target} LUFS` : 'o do original'}`);
+    }
+  }
+  if (options.keepBackground) {
+    steps.push('ffmpeg: mixar a dublagem sobre a trilha de fundo');
+  }
+  steps.push(`ffmpeg: mux do vídeo com o áudio dublado → ${outputVideo}`);
+  
+  console.log('📋 Plano (dry run, nenhuma API será chamada):\n');
+  let number = 0;
+  steps.forEach(step => console.log(step.startsWith('   ') ? `   ${step}` : `   ${++number}. ${step}`));
+  console.log('');
+}
+
+// Budget in USD from the options or DUB_BUDGET_USD (null = no limit)
+function resolveBudget(options) {
+  const value = options.budget ?? process.env.DUB_BUDGET_USD;
+  if (value === undefined || value === null || value === '') return null;
+  const budget = Number(value);
+  if (!(budget >= 0)) {
+    throw new Error(`Orçamento inválido: ${value}`);
+  }
+  return budget;
+}
+
+// Estimate, print and check the cost of a run. Returns false for a dry run; throws when over budget
+async function checkDubbingCost(inputVideo, targetLangs, voiceId, useHybridMethod, options) {
+  const plan = await planDubbing(inputVideo, targetLangs, useHybridMethod, options);
+  const estimate = printCostTable('💵 Custo estimado:', plan.usage);
+  const budget = resolveBudget(options);
+  
+  if (options.dryRun) {
+    printDubbingPlan(plan, inputVideo, targetLangs, voiceId, options);
+    if (budget !== null) {
+      console.log(`${estimate.total > budget ? '❌' : '✅'} Orçamento: ${formatUsd(budget)}\n`);
+    }
+    return false;
+  }
+  
+  if (budget !== null && estimate.total > budget) {
+    const error = new Error(`Custo estimado ${formatUsd(estimate.total)} acima do orçamento de ${formatUsd(budget)}`);
+    error.code = 'BUDGET_EXCEEDED';
+    throw error;
+  }
+  
+  return { plan, estimate };
+}
+
+// Run fn while recording every API call it makes, then print and save the actual usage
+async function withUsageRecording(checked, fn) {
+  const recorder = createUsageRecorder();
+  try {
+    return await recorder.run(fn);
+  } finally {
+    const debugFolder = 'debug_logs';
+    if (!fs.existsSync(debugFolder)) {
+      fs.mkdirSync(debugFolder);
+    }
+    const usageFile = `${debugFolder}/usage_${Date.now()}.json`;
+    const actual = printCostTable('🧾 Uso real das APIs:', recorder.usage);
+    recorder.save(usageFile, { estimate: { usage: checked.plan.usage, cost: checked.estimate } });
+    console.log(`💾 Uso salvo em: ${usageFile} (estimado ${formatUsd(checked.estimate.total)}, real ${formatUsd(actual.total)})\n`);
+  }
+}
+
+// Options:
+//   outputVideo    - path of the dubbed video (default: <input>_<target code>.mp4)
+//   subtitles      - write SRT/VTT for source and target language next to the output (default: true)
+//   embedSubtitles - also mux both subtitle files into the output as soft tracks
+//   keepBackground - keep music/ambience: mix the dub over the original with the voice suppressed
+//   backgroundFilter - how the voice is suppressed: 'center' (default) or 'bandreject'
+//   transcriptFile - SRT/VTT file used as the transcript instead of ASR (useHybridMethod is ignored)
+//   retranslateAttempts - times a block is rewritten when its speech doesn't fit its slot (default: 2, 0 disables)
+//   loudness       - 'match', 'block', 'off' or a target in LUFS (see loudness.js; default from dubbing.config.json)
+//   silenceThreshold - silence level in dB for silencedetect, or 'auto' to calibrate it from the audio (default from the config)
+//   minSilence     - shortest pause (s) between speech blocks, or 'auto' (see silence.js; default from the config)
+//   glossaryFile   - glossary JSON (default: glossary.json in the working directory, if present)
+//   transcription  - { audioFile, result, backgroundFile } already extracted and transcribed (and the
+//                    background bed, with keepBackground), shared between target languages
+//   subtitlePath   - path the subtitle files are named after (default: outputVideo)
+//   dryRun         - only print the cost estimate and the planned steps; no API is called (returns null)
+//   budget         - maximum estimated cost in USD (default: DUB_BUDGET_USD); above it nothing runs
+//   skipCostCheck  - the caller already estimated and records usage (dubVideoMulti)
+export async function dubVideo(inputVideo, sourceLang, targetLang, voiceId, askConfirmation = true, useHybridMethod = false, options = {}) {
+  if (!config) configureDubbing();
+  if (options.skipCostCheck) {
+    return await runDubbing(inputVideo, sourceLang, targetLang, voiceId, askConfirmation, useHybridMethod, options);
+  }
+  
+  const checked = await checkDubbingCost(inputVideo, [targetLang], voiceId, useHybridMethod, options);
+  if (!checked) return null;
+  return await withUsageRecording(checked, () =>
+    runDubbing(inputVideo, sourceLang, targetLang, voiceId, askConfirmation, useHybridMethod, options)
+  );
+}
+
+// The dubbing pipeline itself: extract, transcribe, translate, TTS, assemble and mux
+async function runDubbing(inputVideo, sourceLang, targetLang, voiceId, askConfirmation, useHybridMethod, options) {
   console.log('\n🎬 Iniciando processo de dublagem...\n');
   console.log(`📹 Vídeo de entrada: ${inputVideo}`);
   console.log(`🗣️  ${sourceLang.name} → ${targetLang.name}\n`);
 
-  const timestamp = Date.now();
-  const audioFile = `temp_audio_${timestamp}.mp3`;
-  const dubbedAudioFile = `dubbed_audio_${timestamp}.mp3`;
-  const outputVideo = inputVideo.replace('.mp4', `_${targetLang.code}.mp4`);
+  // Checkpointed work directory: a rerun of the same job resumes after the last finished stage
+  const job = openJob(inputVideo, {
+    source: sourceLang.code,
+    target: targetLang.code,
+    method: options.transcriptFile ? `subtitles:${path.resolve(options.transcriptFile)}` : (useHybridMethod ? 'timestamps' : 'fast')
+  });
+  const timestamp = job.timestamp;
+  const audioFile = options.transcription ? options.transcription.audioFile : job.path('audio.mp3');
+  const loudness = parseLoudness(options.loudness ?? config.loudness);
+  const outputVideo = options.outputVideo || inputVideo.replace('.mp4', `_${targetLang.code}.mp4`);
+
+  if (job.resumed) {
+    console.log(`♻️  Retomando job ${job.id} (${job.dir})`);
+    console.log(`   Etapas já concluídas: ${job.completedStages().join(', ')}\n`);
+  }
 
   try {
-    // Step 1: Extract audio from video
-    console.log('📤 Extraindo áudio do vídeo...');
-    await execAsync(`ffmpeg -i "${inputVideo}" -vn -acodec libmp3lame -q:a 2 "${audioFile}" -y`);
-    console.log('✅ Áudio extraído\n');
+    // Steps 1 and 2: extract and transcribe the audio, unless a shared transcription was given
+    const transcriptionResult = options.transcription
+      ? options.transcription.result
+      : await extractAndTranscribe(job, inputVideo, audioFile, sourceLang, useHybridMethod, options.transcriptFile, silenceOverrides(options));
+    
+    // Voice-reduced bed of the original audio, mixed under the dub instead of silence
+    let backgroundFile = null;
+    if (options.keepBackground) {
+      backgroundFile = options.transcription?.backgroundFile || await extractBackgroundBed(job, audioFile, options.backgroundFilter);
+    }
 
-    // Step 2: Transcribe audio to text (with chunking for large files)
-    console.log(`🎙️  Transcrevendo áudio em ${sourceLang.name}...`);
-    const transcriptionResult = await transcribeAudioFile(audioFile, sourceLang.code, timestamp, useHybridMethod);
     const transcriptionText = transcriptionResult.text;
     const originalAudioDuration = transcriptionResult.duration;
     const segments = transcriptionResult.segments;
@@ -878,14 +1701,48 @@ async function dubVideo(inputVideo, sourceLang, targetLang, voiceId, askConfirma
     // Step 3: Translate text
     console.log(`🌐 Traduzindo para ${targetLang.name}...`);
     
-    const wordCount = transcriptionText.split(/\s+/).length;
+    // Get silence gaps from transcription result
+    const silenceGaps = transcriptionResult.silenceGaps || [];
+    
+    // With pauses in the middle, TTS runs per speech block. When every block has its own
+    // original text (e.g. Whisper segments), translate block by block to keep text in its time window
+    let speechBlocks = null;
+    if (silenceGaps.length > 0 && segments && segments.length > 0) {
+      speechBlocks = buildSpeechBlocks(segments, silenceGaps, originalAudioDuration, segments[0].start, originalAudioDuration - segments[segments.length - 1].end);
+      if (transcriptionResult.sentences?.length > 0) {
+        const blockCount = speechBlocks.length;
+        speechBlocks = splitBlocksAtSentences(speechBlocks, transcriptionResult.sentences);
+        if (speechBlocks.length > blockCount) {
+          console.log(`✂️  Blocos longos divididos entre frases: ${blockCount} → ${speechBlocks.length} blocos`);
+        }
+      }
+    }
     
-    const translationResponse = await openai.chat.completions.create({
-      model: 'o4-mini',
-      messages: [
-        {
-          role: 'system',
-          content: `You are a professional translator for video dubbing. Translate the following text from ${sourceLang.systemPrompt} to ${targetLang.systemPrompt}.
+    // Project glossary: terminology and do-not-translate names for this target language
+    const glossaryFile = options.glossaryFile || (fs.existsSync(DEFAULT_GLOSSARY_FILE) ? DEFAULT_GLOSSARY_FILE : null);
+    const glossary = glossaryFile ? glossaryFor(loadGlossary(glossaryFile), targetLang.code) : null;
+    const glossaryPrompt = buildGlossaryPrompt(glossary);
+    if (glossary) {
+      console.log(`📖 Glossário ${glossaryFile}: ${glossary.terms.length} termos, ${glossary.doNotTranslate.length} sem tradução`);
+    }
+    // A changed glossary, transcript or block split makes the translation checkpoint stale
+    const translateKey = hashKey(glossary, transcriptionText, speechBlocks && speechBlocks.map(block => [block.start, block.end]));
+    
+    let translatedText;
+    if (job.isDone('translate', translateKey)) {
+      console.log('♻️  Tradução carregada do checkpoint');
+      translatedText = fs.readFileSync(job.path('translation.txt'), 'utf8');
+      if (speechBlocks && fs.existsSync(job.path('blocks.json'))) {
+        speechBlocks = JSON.parse(fs.readFileSync(job.path('blocks.json'), 'utf8'));
+      }
+    } else if (speechBlocks && speechBlocks.every(block => block.sourceText)) {
+      await translateSpeechBlocks(speechBlocks, sourceLang, targetLang, glossaryPrompt);
+      translatedText = speechBlocks.map(block => block.text).join('\n\n');
+    } else {
+      const wordCount = transcriptionText.split(/\s+/).length;
+    
+      const translation = await provider.translate({
+        system: `You are a professional translator for video dubbing. Translate the following text from ${sourceLang.systemPrompt} to ${targetLang.systemPrompt}.
 
 CRITICAL RULES FOR VIDEO DUBBING:
 - Translate EVERY single sentence and piece of information
@@ -895,17 +1752,29 @@ CRITICAL RULES FOR VIDEO DUBBING:
 - The output should have approximately the SAME NUMBER OF WORDS (±15%)
 - This is for lip-sync dubbing, so completeness is critical
 
-Input has ${wordCount} words. Your translation should have around ${wordCount} words (${Math.floor(wordCount * 0.85)}-${Math.ceil(wordCount * 1.15)} words acceptable).
+Input has ${wordCount} words. Your translation should have around ${wordCount} words (${Math.floor(wordCount * 0.85)}-${Math.ceil(wordCount * 1.15)} words acceptable).${glossaryPrompt}
 
-Return ONLY the translated text, no explanations or notes.`
-        },
-        {
-          role: 'user',
-          content: transcriptionText
-        }
-      ]
-    });
-    const translatedText = translationResponse.choices[0].message.content;
+Return ONLY the translated text, no explanations or notes.`,
+        user: transcriptionText
+      });
+      translatedText = translation;
+      
+      // Blocks without their own original text get the translation split by duration
+      if (speechBlocks) {
+        console.log('🎯 Dividindo texto em blocos correspondentes às pausas...\n');
+        distributeTextProportionally(translatedText, speechBlocks);
+      }
+    }
+    
+    if (!job.isDone('translate', translateKey)) {
+      const translationArtifacts = [job.path('translation.txt')];
+      fs.writeFileSync(translationArtifacts[0], translatedText);
+      if (speechBlocks) {
+        translationArtifacts.push(job.path('blocks.json'));
+        fs.writeFileSync(translationArtifacts[1], JSON.stringify(speechBlocks, null, 2));
+      }
+      job.complete('translate', { artifacts: translationArtifacts, key: translateKey });
+    }
     console.log('✅ Tradução:', translatedText.substring(0, 150) + '...\n');
     
     // Save transcription and translation for debugging
@@ -919,21 +1788,34 @@ Return ONLY the translated text, no explanations or notes.`
     
     // Save segments with timestamps as JSON
     if (segments && segments.length > 0) {
-      const segmentsData = {
-        duration: originalAudioDuration,
-        segmentCount: segments.length,
-        segments: segments.map(s => ({
-          start: s.start,
-          end: s.end,
-          duration: s.end - s.start,
-          text: s.text || ''
-        })),
-        silenceGaps: transcriptionResult.silenceGaps || []
-      };
+      const segmentsData = buildSegmentsData(transcriptionResult);
       fs.writeFileSync(`${debugFolder}/segments_${timestamp}.json`, JSON.stringify(segmentsData, null, 2));
       console.log(`💾 Timestamps salvos em: ${debugFolder}/segments_${timestamp}.json\n`);
     }
     
+    // Save per-block source and translated text
+    if (speechBlocks) {
+      fs.writeFileSync(`${debugFolder}/blocks_${timestamp}.json`, JSON.stringify(speechBlocks, null, 2));
+    }
+    
+    // Terms the translation didn't follow; blocks with their own source text are checked one by one
+    if (glossary) {
+      const pieces = speechBlocks && speechBlocks.every(block => block.sourceText)
+        ? speechBlocks.map((block, i) => ({ label: `bloco ${i + 1}`, sourceText: block.sourceText, text: block.text }))
+        : [{ label: 'texto completo', sourceText: transcriptionText, text: translatedText }];
+      const violations = checkGlossary(glossary, pieces);
+      fs.writeFileSync(`${debugFolder}/glossary_${timestamp}.json`, JSON.stringify({ glossary: glossaryFile, target: targetLang.code, violations }, null, 2));
+      if (violations.length > 0) {
+        console.log(`⚠️  Glossário: ${violations.length} violação(ões), veja ${debugFolder}/glossary_${timestamp}.json`);
+        violations.slice(0, 5).forEach(violation => {
+          console.log(`   [${violation.where}] "${violation.term}" deveria aparecer como "${violation.expected}"`);
+        });
+        console.log('');
+      } else {
+        console.log('✅ Glossário respeitado em toda a tradução\n');
+      }
+    }
+    
     const transcriptionWords = transcriptionText.split(/\s+/).length;
     const translationWords = translatedText.split(/\s+/).length;
     
@@ -942,6 +1824,15 @@ Return ONLY the translated text, no explanations or notes.`
     console.log(`   Tradução: ${translatedText.length} caracteres, ${translationWords} palavras`);
     console.log(`   Ratio: ${(translationWords / transcriptionWords * 100).toFixed(1)}%\n`);
 
+    // Subtitles for the original transcript and for the translation
+    let subtitleTracks = [];
+    if (options.subtitles !== false) {
+      subtitleTracks = writeSubtitleFiles(options.subtitlePath || outputVideo, sourceLang, targetLang, transcriptionResult, translatedText, speechBlocks);
+    }
+    if (!options.embedSubtitles) {
+      subtitleTracks = [];
+    }
+
     // Ask if user wants to continue with this translation (only if askConfirmation is true)
     if (askConfirmation) {
       const continueChoice = await question('📋 Deseja continuar com esta tradução? (s/n): ');
@@ -957,9 +1848,6 @@ Return ONLY the translated text, no explanations or notes.`
     // Step 4: Generate speech using TTS (with chunking for long texts)
     console.log(`🔊 Gerando áudio dublado com voz ${voiceId}...`);
     
-    // Get silence gaps from transcription result
-    const silenceGaps = transcriptionResult.silenceGaps || [];
-    
     // Calculate speech boundaries (where actual speech starts and ends)
     let speechStart = 0;
     let speechEnd = originalAudioDuration;
@@ -989,154 +1877,188 @@ Return ONLY the translated text, no explanations or notes.`
       console.log('');
     }
     
+    // Pauses with no speech blocks around them: the transcript has no segments to place the dub on
+    if (silenceGaps.length > 0 && !speechBlocks?.length) {
+      throw new Error(transcriptionText.trim()
+        ? 'A transcrição não tem segmentos com tempo, não dá para preservar as pausas do vídeo'
+        : 'A transcrição veio vazia: nenhuma fala encontrada no áudio');
+    }
+
     // If there are silence gaps in the middle, we need to generate TTS per speech block
     if (silenceGaps.length > 0) {
+      // One gap per pair of blocks; blocks split between sentences are separated by the
+      // pause between those sentences rather than by a silence gap
+      const blockGaps = speechBlocks.length === silenceGaps.length + 1 ? silenceGaps : gapsBetweenBlocks(speechBlocks);
       console.log(`🎯 Modo avançado: Gerando áudio com pausas preservadas\n`);
-      return await generateTTSWithGaps(translatedText, voiceId, timestamp, segments, silenceGaps, originalAudioDuration, silenceAtStart, silenceAtEnd, inputVideo, audioFile, targetLang);
+      return await generateTTSWithGaps(voiceId, job, speechBlocks, blockGaps, originalAudioDuration, silenceAtStart, silenceAtEnd, inputVideo, audioFile, outputVideo, subtitleTracks, backgroundFile, {
+        sourceLang: sourceLang,
+        targetLang: targetLang,
+        glossaryPrompt: glossaryPrompt,
+        maxAttempts: options.retranslateAttempts ?? DEFAULT_RETRANSLATE_ATTEMPTS
+      }, loudness);
     }
     
     // Original flow: single speech block or no gaps detected
     // Target duration is only for the speech part (excluding leading/trailing silence)
     const targetDuration = speechEnd - speechStart;
     
+    const ttsKey = hashKey(voiceId, translatedText, targetDuration);
+    const ttsAudioFile = job.path('tts_audio.mp3');
     let finalAudioPath;
-    if (translatedText.length > MAX_TTS_CHARS) {
-      console.log(`⚠️  Texto longo detectado (${translatedText.length} caracteres)\n`);
-      finalAudioPath = await generateTTSForChunks(translatedText, voiceId, timestamp, targetDuration);
+    
+    if (job.isDone('tts', ttsKey)) {
+      console.log('♻️  Áudio TTS carregado do checkpoint\n');
+    } else {
+      if (translatedText.length > MAX_TTS_CHARS) {
+        console.log(`⚠️  Texto longo detectado (${translatedText.length} caracteres)\n`);
+        finalAudioPath = await generateTTSForChunks(translatedText, voiceId, job, targetDuration);
       
-      if (!finalAudioPath) {
-        // Fallback to single TTS if chunking returned null
-        const speechResponse = await openai.audio.speech.create({
-          model: 'gpt-4o-mini-tts',
-          voice: voiceId,
-          input: translatedText,
-        });
-        const buffer = Buffer.from(await speechResponse.arrayBuffer());
-        fs.writeFileSync(dubbedAudioFile, buffer);
-        finalAudioPath = dubbedAudioFile;
+        if (!finalAudioPath) {
+          // Fallback to single TTS if chunking returned null
+          const buffer = await provider.speak({ text: translatedText, voice: voiceId });
+          finalAudioPath = job.temp('tts_audio.mp3');
+          fs.writeFileSync(finalAudioPath, buffer);
+        }
+      } else {
+        // Normal single TTS for short texts
+        console.log('📝 Gerando áudio em uma única requisição\n');
+        const buffer = await provider.speak({ text: translatedText, voice: voiceId });
+        finalAudioPath = job.temp('tts_audio.mp3');
+        fs.writeFileSync(finalAudioPath, buffer);
       }
-    } else {
-      // Normal single TTS for short texts
-      console.log('📝 Gerando áudio em uma única requisição\n');
-      const speechResponse = await openai.audio.speech.create({
-        model: 'gpt-4o-mini-tts',
-        voice: voiceId,
-        input: translatedText,
-      });
-      const buffer = Buffer.from(await speechResponse.arrayBuffer());
-      fs.writeFileSync(dubbedAudioFile, buffer);
-      finalAudioPath = dubbedAudioFile;
+      
+      // Keep the generated speech in the job directory so a rerun doesn't pay for it again
+      fs.renameSync(finalAudioPath, ttsAudioFile);
+      job.complete('tts', { artifacts: [ttsAudioFile], key: ttsKey });
     }
+    finalAudioPath = ttsAudioFile;
     
-    // Add silence at start and end to match original video exactly
-    console.log(`\n🔇 Adicionando silêncios do vídeo original...`);
+    const assembleKey = hashKey(ttsKey, silenceAtStart, silenceAtEnd);
+    const finalWithSilence = job.path('dubbed_audio.mp3');
     
-    const { stdout: currentDurationInfo } = await execAsync(`ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${finalAudioPath}"`);
-    const currentAudioDuration = parseFloat(currentDurationInfo.trim());
+    if (job.isDone('assemble', assembleKey)) {
+      console.log('♻️  Áudio final carregado do checkpoint\n');
+      finalAudioPath = finalWithSilence;
+    } else {
+      // Add silence at start and end to match original video exactly
+      console.log(`\n🔇 Adicionando silêncios do vídeo original...`);
     
-    console.log(`   Áudio TTS gerado: ${currentAudioDuration.toFixed(2)}s`);
-    console.log(`   Adicionando ${silenceAtStart.toFixed(2)}s no início`);
-    console.log(`   Adicionando ${silenceAtEnd.toFixed(2)}s no final`);
+      const currentAudioDuration = await probeDuration(finalAudioPath);
     
-    const finalWithSilence = `dubbed_audio_with_silence_${timestamp}.mp3`;
+      console.log(`   Áudio TTS gerado: ${currentAudioDuration.toFixed(2)}s`);
+      console.log(`   Adicionando ${silenceAtStart.toFixed(2)}s no início`);
+      console.log(`   Adicionando ${silenceAtEnd.toFixed(2)}s no final`);
     
-    if (silenceAtStart > 0.1 || silenceAtEnd > 0.1) {
-      // Generate silence files
-      const startSilenceFile = `silence_start_${timestamp}.mp3`;
-      const endSilenceFile = `silence_end_${timestamp}.mp3`;
+      if (silenceAtStart > 0.1 || silenceAtEnd > 0.1) {
+        // Generate silence files
+        const startSilenceFile = job.temp('silence_start.mp3');
+        const endSilenceFile = job.temp('silence_end.mp3');
       
-      // Create concat list with start silence, audio, and end silence
-      const concatParts = [];
+        // Create concat list with start silence, audio, and end silence
+        const concatParts = [];
       
-      if (silenceAtStart > 0.1) {
-        await execAsync(`ffmpeg -f lavfi -t ${silenceAtStart} -i anullsrc=r=44100:cl=stereo "${startSilenceFile}" -y`);
-        concatParts.push(`file '${startSilenceFile}'`);
-      }
+        if (silenceAtStart > 0.1) {
+          await runFfmpeg(['-y', '-f', 'lavfi', '-t', String(silenceAtStart), '-i', 'anullsrc=r=44100:cl=stereo', startSilenceFile]);
+          concatParts.push(concatListLine(startSilenceFile));
+        }
       
-      concatParts.push(`file '${finalAudioPath}'`);
+        concatParts.push(concatListLine(finalAudioPath));
       
-      if (silenceAtEnd > 0.1) {
-        await execAsync(`ffmpeg -f lavfi -t ${silenceAtEnd} -i anullsrc=r=44100:cl=stereo "${endSilenceFile}" -y`);
-        concatParts.push(`file '${endSilenceFile}'`);
-      }
-      
-      // Concatenate all parts
-      const concatListFile = `concat_silence_${timestamp}.txt`;
-      fs.writeFileSync(concatListFile, concatParts.join('\n'));
+        if (silenceAtEnd > 0.1) {
+          await runFfmpeg(['-y', '-f', 'lavfi', '-t', String(silenceAtEnd), '-i', 'anullsrc=r=44100:cl=stereo', endSilenceFile]);
+          concatParts.push(concatListLine(endSilenceFile));
+        }
       
-      await execAsync(`ffmpeg -f concat -safe 0 -i "${concatListFile}" -c copy "${finalWithSilence}" -y`);
+        // Concatenate all parts
+        const concatListFile = job.temp('concat_silence.txt');
+        fs.writeFileSync(concatListFile, concatParts.join('\n'));
       
-      // Cleanup
-      if (fs.existsSync(startSilenceFile)) fs.unlinkSync(startSilenceFile);
-      if (fs.existsSync(endSilenceFile)) fs.unlinkSync(endSilenceFile);
-      if (fs.existsSync(concatListFile)) fs.unlinkSync(concatListFile);
+        await runFfmpeg(['-y', '-f', 'concat', '-safe', '0', '-i', concatListFile, '-c', 'copy', finalWithSilence]);
+        finalAudioPath = finalWithSilence;
       
-      if (finalAudioPath !== dubbedAudioFile) {
-        fs.unlinkSync(finalAudioPath);
+        console.log('✅ Silêncios adicionados\n');
+      } else {
+        console.log('✅ Sem silêncios significativos para adicionar\n');
+        // Copy to match expected filename (the TTS audio stays as checkpoint)
+        fs.copyFileSync(finalAudioPath, finalWithSilence);
+        finalAudioPath = finalWithSilence;
       }
-      finalAudioPath = finalWithSilence;
       
-      console.log('✅ Silêncios adicionados\n');
-    } else {
-      console.log('✅ Sem silêncios significativos para adicionar\n');
-      // Rename to match expected filename
-      fs.renameSync(finalAudioPath, finalWithSilence);
-      finalAudioPath = finalWithSilence;
+      job.complete('assemble', { artifacts: [finalWithSilence], key: assembleKey });
     }
     
+    // Without blocks there is nothing to match one by one, so block mode falls back to the whole dub
+    finalAudioPath = await normalizeDubLoudness(job, finalAudioPath, audioFile, loudness.mode === 'block' ? parseLoudness('match') : loudness, assembleKey);
+    
     console.log('✅ Áudio dublado gerado\n');
 
     // Step 5: Check duration and adjust if needed
     console.log('⏱️  Verificando duração do vídeo/áudio...');
-    const { stdout: videoInfo } = await execAsync(`ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${inputVideo}"`);
-    const videoDuration = parseFloat(videoInfo.trim());
+    const videoDuration = await probeDuration(inputVideo);
 
-    const { stdout: audioInfo } = await execAsync(`ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${finalAudioPath}"`);
-    const audioDuration = parseFloat(audioInfo.trim());
+    const audioDuration = await probeDuration(finalAudioPath);
 
     console.log(`📹 Vídeo: ${videoDuration.toFixed(2)}s`);
     console.log(`🎵 Áudio: ${audioDuration.toFixed(2)}s\n`);
 
     // Step 6: Replace audio in video
-    console.log('🎥 Substituindo áudio no vídeo...');
+    const muxKey = hashKey(assembleKey, loudness, outputVideo, subtitleTracks, backgroundFile);
 
-    let audioFilter = '';
-    const speedRatio = videoDuration / audioDuration;
-
-    // atempo only supports 0.5 to 2.0, for larger changes we need to chain multiple atempo filters
-    if (Math.abs(speedRatio - 1) > 0.05) {
-      if (speedRatio >= 0.5 && speedRatio <= 2.0) {
-        console.log(`⚙️  Ajustando velocidade do áudio em ${(speedRatio * 100).toFixed(1)}%...`);
-        audioFilter = `-filter:a "atempo=${speedRatio}"`;
-      } else if (speedRatio > 2.0) {
-        // Chain multiple atempo for speed > 2x
-        console.log(`⚙️  Ajustando velocidade do áudio em ${(speedRatio * 100).toFixed(1)}% (cadeia múltipla)...`);
-        const iterations = Math.ceil(Math.log2(speedRatio));
-        let filters = [];
-        let remaining = speedRatio;
-        for (let i = 0; i < iterations; i++) {
-          const step = Math.min(remaining, 2.0);
-          filters.push(`atempo=${step}`);
-          remaining /= step;
+    if (job.isDone('mux', muxKey)) {
+      console.log('♻️  Vídeo dublado já criado com este áudio (checkpoint)\n');
+    } else {
+      console.log('🎥 Substituindo áudio no vídeo...');
+
+      let audioFilter = [];
+      const speedRatio = videoDuration / audioDuration;
+
+      // atempo only supports 0.5 to 2.0, for larger changes we need to chain multiple atempo filters
+      if (Math.abs(speedRatio - 1) > 0.05) {
+        if (speedRatio >= 0.5 && speedRatio <= 2.0) {
+          console.log(`⚙️  Ajustando velocidade do áudio em ${(speedRatio * 100).toFixed(1)}%...`);
+          audioFilter = ['-filter:a', `atempo=${speedRatio}`];
+        } else if (speedRatio > 2.0) {
+          // Chain multiple atempo for speed > 2x
+          console.log(`⚙️  Ajustando velocidade do áudio em ${(speedRatio * 100).toFixed(1)}% (cadeia múltipla)...`);
+          const iterations = Math.ceil(Math.log2(speedRatio));
+          let filters = [];
+          let remaining = speedRatio;
+          for (let i = 0; i < iterations; i++) {
+            const step = Math.min(remaining, 2.0);
+            filters.push(`atempo=${step}`);
+            remaining /= step;
+          }
+          audioFilter = ['-filter:a', filters.join(',')];
+        } else {
+          // For very slow speeds, also chain
+          console.log(`⚙️  Ajustando velocidade do áudio em ${(speedRatio * 100).toFixed(1)}% (cadeia múltipla)...`);
+          const iterations = Math.ceil(Math.log2(1/speedRatio));
+          let filters = [];
+          let remaining = speedRatio;
+          for (let i = 0; i < iterations; i++) {
+            const step = Math.max(remaining, 0.5);
+            filters.push(`atempo=${step}`);
+            remaining /= step;
+          }
+          audioFilter = ['-filter:a', filters.join(',')];
         }
-        audioFilter = `-filter:a "${filters.join(',')}"`;
-      } else {
-        // For very slow speeds, also chain
-        console.log(`⚙️  Ajustando velocidade do áudio em ${(speedRatio * 100).toFixed(1)}% (cadeia múltipla)...`);
-        const iterations = Math.ceil(Math.log2(1/speedRatio));
-        let filters = [];
-        let remaining = speedRatio;
-        for (let i = 0; i < iterations; i++) {
-          const step = Math.max(remaining, 0.5);
-          filters.push(`atempo=${step}`);
-          remaining /= step;
+      }
+
+      // Background-preserving mode: fit the dub to the video first, so only speech is stretched, then mix
+      if (backgroundFile) {
+        if (audioFilter.length > 0) {
+          const fittedAudioFile = job.temp('dubbed_audio_fitted.mp3');
+          await runFfmpeg(['-y', '-i', finalAudioPath, ...audioFilter, fittedAudioFile]);
+          finalAudioPath = fittedAudioFile;
+          audioFilter = [];
         }
-        audioFilter = `-filter:a "${filters.join(',')}"`;
+        finalAudioPath = await mixWithBackground(finalAudioPath, backgroundFile, job.temp('dubbed_audio_mix.mp3'));
       }
-    }
 
-    await execAsync(`ffmpeg -i "${inputVideo}" -i "${finalAudioPath}" -c:v copy ${audioFilter} -map 0:v:0 -map 1:a:0 "${outputVideo}" -y`);
-    console.log('✅ Vídeo dublado criado!\n');
+      await muxDubbedAudio(inputVideo, finalAudioPath, outputVideo, { audioFilter, subtitleTracks, videoDuration });
+      job.complete('mux', { artifacts: [outputVideo], key: muxKey });
+      console.log('✅ Vídeo dublado criado!\n');
+    }
 
     // Cleanup
     console.log('🧹 Limpando arquivos temporários...');
@@ -1144,24 +2066,120 @@ Return ONLY the translated text, no explanations or notes.`
     console.log('✅ Limpeza concluída\n');
 
     console.log(`🎉 PRONTO! Seu vídeo dublado está aqui: ${outputVideo}`);
+    console.log(`♻️  Checkpoints do job mantidos em: ${job.dir}`);
     return outputVideo;
 
   } catch (error) {
     console.error('\n❌ Erro durante a dublagem:', error.message);
+    console.error(`♻️  Rode o mesmo comando de novo para retomar do último checkpoint (${job.dir})`);
     cleanup();
     throw error;
   }
 
+  // Only the temporary work directory goes; checkpoints in the job directory are kept
   function cleanup() {
     try {
-      if (fs.existsSync(audioFile)) fs.unlinkSync(audioFile);
-      if (fs.existsSync(dubbedAudioFile)) fs.unlinkSync(dubbedAudioFile);
+      job.removeTemp();
     } catch (e) {
       console.error('⚠️  Aviso: Não foi possível limpar todos os arquivos temporários');
     }
   }
 }
 
+// Options: same as dubVideo, plus
+//   outputVideo   - path of the multi-track video (default: <input>_<target codes>.mp4)
+//   defaultTrack  - language code of the audio track played by default (default: first target)
+// The audio is transcribed (and its background bed extracted) once; each target language is translated
+// and synthesized in its own job, then every dub is muxed next to the original audio track in one pass
+export async function dubVideoMulti(inputVideo, sourceLang, targetLangs, voiceId, askConfirmation = true, useHybridMethod = false, options = {}) {
+  if (!config) configureDubbing();
+  const outputVideo = options.outputVideo || inputVideo.replace('.mp4', `_${targetLangs.map(lang => lang.code).join('-')}.mp4`);
+  const audioLangs = [sourceLang, ...targetLangs];
+  const defaultTrack = audioLangs.findIndex(lang => lang.code === (options.defaultTrack || targetLangs[0].code));
+  if (defaultTrack === -1) {
+    throw new Error(`Faixa padrão inválida: ${options.defaultTrack} (use ${audioLangs.map(lang => lang.code).join(', ')})`);
+  }
+
+  // One estimate and one usage record for all languages together
+  const checked = await checkDubbingCost(inputVideo, targetLangs, voiceId, useHybridMethod, options);
+  if (!checked) return null;
+  return await withUsageRecording(checked, () =>
+    runMultiDubbing(inputVideo, sourceLang, targetLangs, voiceId, askConfirmation, useHybridMethod, options, outputVideo, defaultTrack)
+  );
+}
+
+async function runMultiDubbing(inputVideo, sourceLang, targetLangs, voiceId, askConfirmation, useHybridMethod, options, outputVideo, defaultTrack) {
+  const audioLangs = [sourceLang, ...targetLangs];
+  
+  console.log('\n🎬 Iniciando dublagem em vários idiomas...\n');
+  console.log(`📹 Vídeo de entrada: ${inputVideo}`);
+  console.log(`🗣️  ${sourceLang.name} → ${targetLangs.map(lang => lang.name).join(', ')}\n`);
+
+  // The transcription job only depends on the source language, so it's shared by every target
+  const sourceJob = openJob(inputVideo, {
+    source: sourceLang.code,
+    method: options.transcriptFile ? `subtitles:${path.resolve(options.transcriptFile)}` : (useHybridMethod ? 'timestamps' : 'fast')
+  });
+  const audioFile = sourceJob.path('audio.mp3');
+  let transcription;
+  try {
+    transcription = {
+      audioFile: audioFile,
+      result: await extractAndTranscribe(sourceJob, inputVideo, audioFile, sourceLang, useHybridMethod, options.transcriptFile, silenceOverrides(options)),
+      // Same original audio for every language, so the voice-reduced bed is extracted once
+      backgroundFile: options.keepBackground ? await extractBackgroundBed(sourceJob, audioFile, options.backgroundFilter) : null
+    };
+  } finally {
+    sourceJob.removeTemp();
+  }
+
+  const dubbedTracks = [];
+  for (const [i, targetLang] of targetLangs.entries()) {
+    console.log(`\n🌍 === IDIOMA ${i + 1}/${targetLangs.length}: ${targetLang.name} ===`);
+    const dubbedVideo = await dubVideo(inputVideo, sourceLang, targetLang, voiceId, askConfirmation, useHybridMethod, {
+      ...options,
+      // Only the dubbed track: every language is muxed with the video in one pass below
+      outputVideo: sourceJob.path('tracks', `dubbed_${targetLang.code}.m4a`),
+      subtitlePath: outputVideo,
+      embedSubtitles: false,
+      transcription: transcription,
+      skipCostCheck: true
+    });
+    if (!dubbedVideo) return null;
+    dubbedTracks.push(dubbedVideo);
+  }
+
+  console.log(`\n🎞️  Juntando ${audioLangs.length} faixas de áudio em ${outputVideo}...`);
+  const inputs = [inputVideo, ...dubbedTracks].flatMap(file => ['-i', file]);
+  const audioArgs = audioLangs.flatMap((lang, i) => {
+    const title = `${i === 0 ? 'Original' : 'Dublagem'} (${lang.code})`;
+    return [
+      '-map', `${i}:a:0`,
+      `-metadata:s:a:${i}`, `language=${lang.iso639_2}`,
+      `-metadata:s:a:${i}`, `title=${title}`,
+      `-disposition:a:${i}`, i === defaultTrack ? 'default' : '0'
+    ];
+  });
+
+  let subtitleTracks = [];
+  if (options.subtitles !== false && options.embedSubtitles) {
+    const basePath = subtitleBasePath(outputVideo);
+    subtitleTracks = [subtitleTrack(basePath, sourceLang, 'Original'), ...targetLangs.map(lang => subtitleTrack(basePath, lang, 'Tradução'))];
+  }
+  const subtitleArgs = buildSubtitleMuxArgs(subtitleTracks, outputVideo, audioLangs.length);
+
+  // Dubbed tracks are already AAC; only the original track may need re-encoding to fit the container
+  await runFfmpeg([
+    '-y', ...inputs, ...subtitleArgs.inputs,
+    '-map', '0:v:0', ...audioArgs, ...subtitleArgs.maps,
+    '-c:v', 'copy', '-c:a', 'copy', '-c:a:0', 'aac', '-b:a:0', '192k', outputVideo
+  ], { duration: await probeDuration(inputVideo), onProgress: progressPrinter('Juntando faixas') });
+
+  console.log(`✅ Faixas: ${audioLangs.map((lang, i) => `${lang.code}${i === defaultTrack ? ' (padrão)' : ''}`).join(', ')}`);
+  console.log(`\n🎉 PRONTO! Seu vídeo com ${targetLangs.length} dublagens está aqui: ${outputVideo}`);
+  return outputVideo;
+}
+
 async function selectLanguage(prompt) {
   console.log(prompt);
   Object.entries(LANGUAGES).forEach(([key, { name }]) => {
@@ -1216,12 +2234,103 @@ async function selectQuality() {
   return selected.format;
 }
 
-async function main() {
-  console.log('\n╔════════════════════════════════════════╗');
-  console.log('║   🎬 AI VIDEO DUBBING STUDIO 🎙️       ║');
-  console.log('║   Baixe e Duble Vídeos com IA! ✨     ║');
-  console.log('╚════════════════════════════════════════╝\n');
+// Find an option by menu number or by one of its fields (e.g. language code, voice id)
+export function findOption(options, value, field) {
+  if (options[value]) return options[value];
+  const normalized = String(value).toLowerCase();
+  return Object.values(options).find(option => option[field].toLowerCase() === normalized) || null;
+}
+
+function printUsage() {
+  console.log(`Uso: node ai-video-dub.js [opções]
+
+Sem opções, o modo interativo pergunta tudo. Opções que faltarem são perguntadas.
+
+Opções:
+  -i, --input <arquivo>     Vídeo local para dublar
+  -u, --url <url>           URL do YouTube para baixar e dublar
+  -s, --source <idioma>     Idioma original (${Object.values(LANGUAGES).map(l => l.code).join(', ')})
+  -t, --target <idiomas>    Idioma alvo (mesmos códigos). Vários separados por vírgula
+                            (ex.: en,es,fr) geram um vídeo com uma faixa de áudio por idioma
+      --default-track <idioma> Faixa de áudio padrão no vídeo com vários idiomas (padrão: primeiro alvo)
+  -v, --voice <voz>         Voz da dublagem (${Object.values(VOICES).map(v => v.id).join(', ')})
+  -m, --method <método>     Transcrição: ${TRANSCRIPTION_METHODS.join(' | ')} (padrão: fast)
+  -q, --quality <qualidade> Qualidade do download (${Object.values(QUALITY_OPTIONS).map(q => q.id).join(', ')})
+  -o, --output <arquivo>    Caminho do vídeo dublado
+      --transcript <arquivo> Legenda SRT/VTT usada como transcrição (sem Whisper)
+      --silence-threshold <dB> Nível abaixo do qual o áudio é silêncio (padrão: ${config.silence.threshold}; auto calibra
+                            pelo ruído e pela fala do áudio). Negativos com =, ex.: --silence-threshold=-35
+      --min-silence <s>     Pausa mínima que separa blocos de fala (padrão: ${config.silence.minSilence})
+      --glossary <arquivo>  Glossário de termos e nomes (padrão: glossary.json, se existir)
+      --retranslate-attempts <n>
+                            Reescritas de um bloco cuja fala não cabe no tempo (padrão: ${DEFAULT_RETRANSLATE_ATTEMPTS}, 0 desliga)
+      --embed-subtitles     Inclui as legendas (original e tradução) como faixas no vídeo
+      --no-subtitles        Não gera os arquivos .srt/.vtt
+      --keep-background     Mantém música e efeitos, removendo só a voz original
+      --background-filter <center|bandreject>
+                            Como a voz original é removida (padrão: center)
+      --dry-run             Mostra o plano e o custo estimado sem chamar nenhuma API
+      --budget <usd>        Não roda se o custo estimado passar deste valor (ou DUB_BUDGET_USD)
+      --no-cache            Não reutiliza transcrições, traduções e áudios já gerados
+      --parallel <n>        Chunks de transcrição e blocos de TTS processados ao mesmo tempo (padrão: ${scheduler.concurrency})
+      --requests-per-minute <n>
+                            Limite de requisições às APIs por minuto (padrão: sem limite)
+      --loudness <modo>     Nível da dublagem: match (igual ao original), block (por bloco), off
+                            ou um alvo em LUFS, ex.: --loudness=-16 (padrão: ${config.loudness})
+      --config <arquivo>    Configuração de idiomas, vozes, modelos e limites (padrão: DUB_CONFIG ou
+                            dubbing.config.json, se existir)
+      --profile <nome>      Perfil da configuração (${config.profiles.join(', ') || 'nenhum definido'}; ou DUB_PROFILE)
+      --keep-workdir        Não apaga a pasta de arquivos temporários ao terminar (para depuração)
+  -y, --yes                 Não pedir revisão da tradução
+  -h, --help                Mostra esta ajuda
+
+Códigos de saída: 0 sucesso, 1 falha, 2 argumentos inválidos, 3 cancelado, 4 acima do orçamento
+
+Exemplo:
+  node ai-video-dub.js --input video.mp4 --source pt --target en --voice onyx --method timestamps --yes`);
+}
+
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      input: { type: 'string', short: 'i' },
+      url: { type: 'string', short: 'u' },
+      source: { type: 'string', short: 's' },
+      target: { type: 'string', short: 't' },
+      voice: { type: 'string', short: 'v' },
+      method: { type: 'string', short: 'm' },
+      quality: { type: 'string', short: 'q' },
+      output: { type: 'string', short: 'o' },
+      transcript: { type: 'string' },
+      glossary: { type: 'string' },
+      'retranslate-attempts': { type: 'string' },
+      'silence-threshold': { type: 'string' },
+      'min-silence': { type: 'string' },
+      'embed-subtitles': { type: 'boolean' },
+      'no-subtitles': { type: 'boolean' },
+      'keep-background': { type: 'boolean' },
+      'background-filter': { type: 'string' },
+      'default-track': { type: 'string' },
+      'dry-run': { type: 'boolean' },
+      budget: { type: 'string' },
+      'no-cache': { type: 'boolean' },
+      parallel: { type: 'string' },
+      'requests-per-minute': { type: 'string' },
+      'keep-workdir': { type: 'boolean' },
+      loudness: { type: 'string' },
+      config: { type: 'string' },
+      profile: { type: 'string' },
+      yes: { type: 'boolean', short: 'y' },
+      help: { type: 'boolean', short: 'h' }
+    },
+    strict: true
+  });
+  return values;
+}
 
+// Ask where the video comes from: YouTube URL, local file or exit
+async function selectVideoSource() {
   console.log('🎯 O que você deseja fazer?\n');
   console.log('  1. 🌐 Baixar vídeo do YouTube e dublar');
   console.log('  2. 📁 Dublar um vídeo local existente');
@@ -1229,24 +2338,106 @@ async function main() {
 
   const mainChoice = await question('🔢 Digite o número da opção: ');
 
-  let videoFile = '';
-
   if (mainChoice === '1') {
-    // Download from YouTube
     console.log('\n🌐 === DOWNLOAD DO YOUTUBE ===\n');
-    
     const url = await question('📎 Cole a URL do vídeo do YouTube: ');
+    return { url };
+  }
+
+  if (mainChoice === '2') {
+    console.log('\n📁 === VÍDEO LOCAL ===\n');
+    const input = await question('📂 Cole o caminho do arquivo de vídeo (ou arraste aqui): ');
+    return { input: input.replace(/['"]/g, '').trim() };
+  }
+
+  if (mainChoice === '3') {
+    console.log('\n👋 Até logo!\n');
+    return { exit: true };
+  }
+
+  console.log('❌ Opção inválida!');
+  return null;
+}
+
+async function main() {
+  installCleanupHandlers();
+
+  let args;
+  try {
+    args = parseCliArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    // The help lists values from the configuration, unavailable when it failed to load
+    if (config) printUsage();
+    return EXIT_CODES.USAGE;
+  }
+
+  // A project file or profile changes the menus and defaults below, so it's loaded first
+  try {
+    configureDubbing({ file: args.config, profile: args.profile });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (args.help) {
+    printUsage();
+    return EXIT_CODES.SUCCESS;
+  }
+
+  console.log('\n╔════════════════════════════════════════╗');
+  console.log('║   🎬 AI VIDEO DUBBING STUDIO 🎙️       ║');
+  console.log('║   Baixe e Duble Vídeos com IA! ✨     ║');
+  console.log('╚════════════════════════════════════════╝\n');
+
+  if (config.profile) {
+    console.log(`🎛️  Perfil: ${config.profile}\n`);
+  }
+
+  if (args.input && args.url) {
+    console.error('❌ Use apenas uma opção: --input ou --url');
+    return EXIT_CODES.USAGE;
+  }
+
+  if (args.method && !TRANSCRIPTION_METHODS.includes(args.method)) {
+    console.error(`❌ Método inválido: ${args.method} (use ${TRANSCRIPTION_METHODS.join(' ou ')})`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (args['background-filter'] && !BACKGROUND_FILTERS[args['background-filter']]) {
+    console.error(`❌ Filtro de fundo inválido: ${args['background-filter']} (use ${Object.keys(BACKGROUND_FILTERS).join(' ou ')})`);
+    return EXIT_CODES.USAGE;
+  }
+
+  let videoSource = { input: args.input, url: args.url };
+  if (!videoSource.input && !videoSource.url) {
+    videoSource = await selectVideoSource();
+    if (!videoSource) return EXIT_CODES.USAGE;
+    if (videoSource.exit) return EXIT_CODES.SUCCESS;
+  }
+
+  let videoFile = '';
+
+  if (videoSource.url) {
+    // Download from YouTube
+    const url = videoSource.url;
     
     if (!url.includes('youtube.com') && !url.includes('youtu.be')) {
       console.log('❌ URL inválida! Use uma URL do YouTube.');
-      rl.close();
-      return;
+      return EXIT_CODES.USAGE;
     }
 
-    const quality = await selectQuality();
-    if (!quality) {
-      rl.close();
-      return;
+    let quality;
+    if (args.quality) {
+      const selected = findOption(QUALITY_OPTIONS, args.quality, 'id');
+      if (!selected) {
+        console.error(`❌ Qualidade inválida: ${args.quality}`);
+        return EXIT_CODES.USAGE;
+      }
+      quality = selected.format;
+    } else {
+      quality = await selectQuality();
+      if (!quality) return EXIT_CODES.USAGE;
     }
 
     try {
@@ -1254,80 +2445,196 @@ async function main() {
       console.log(`📹 Vídeo baixado: ${videoFile}\n`);
     } catch (error) {
       console.error('❌ Erro no download:', error.message);
-      rl.close();
-      return;
+      return EXIT_CODES.FAILURE;
     }
 
-  } else if (mainChoice === '2') {
+  } else {
     // Use existing video
-    console.log('\n📁 === VÍDEO LOCAL ===\n');
-    videoFile = await question('📂 Cole o caminho do arquivo de vídeo (ou arraste aqui): ');
-    videoFile = videoFile.replace(/['"]/g, '').trim();
+    videoFile = videoSource.input;
 
     if (!fs.existsSync(videoFile)) {
-      console.log('❌ Arquivo não encontrado!');
-      rl.close();
-      return;
+      console.log(`❌ Arquivo não encontrado: ${videoFile}`);
+      return EXIT_CODES.USAGE;
     }
-
-  } else if (mainChoice === '3') {
-    console.log('\n👋 Até logo!\n');
-    rl.close();
-    return;
-  } else {
-    console.log('❌ Opção inválida!');
-    rl.close();
-    return;
   }
 
   // Dubbing process
   console.log('\n🎙️  === CONFIGURAÇÃO DA DUBLAGEM ===\n');
 
-  const sourceLang = await selectLanguage('🗣️  Idioma ORIGINAL do vídeo:\n');
-  if (!sourceLang) {
-    rl.close();
-    return;
+  let sourceLang;
+  if (args.source) {
+    sourceLang = findOption(LANGUAGES, args.source, 'code');
+    if (!sourceLang) {
+      console.error(`❌ Idioma original inválido: ${args.source}`);
+      return EXIT_CODES.USAGE;
+    }
+  } else {
+    sourceLang = await selectLanguage('🗣️  Idioma ORIGINAL do vídeo:\n');
+    if (!sourceLang) return EXIT_CODES.USAGE;
   }
 
-  const targetLang = await selectLanguage('🎯 Idioma ALVO (para qual deseja dublar):\n');
-  if (!targetLang) {
-    rl.close();
-    return;
+  // Several targets (-t en,es,fr) produce one video with an audio track per language
+  let targetLangs = [];
+  if (args.target) {
+    for (const code of args.target.split(',').map(value => value.trim()).filter(Boolean)) {
+      const selected = findOption(LANGUAGES, code, 'code');
+      if (!selected) {
+        console.error(`❌ Idioma alvo inválido: ${code}`);
+        return EXIT_CODES.USAGE;
+      }
+      if (targetLangs.includes(selected)) {
+        console.error(`❌ Idioma alvo repetido: ${code}`);
+        return EXIT_CODES.USAGE;
+      }
+      targetLangs.push(selected);
+    }
+  } else {
+    const targetLang = await selectLanguage('🎯 Idioma ALVO (para qual deseja dublar):\n');
+    if (!targetLang) return EXIT_CODES.USAGE;
+    targetLangs = [targetLang];
   }
 
-  const voiceId = await selectVoice();
-  if (!voiceId) {
-    rl.close();
-    return;
+  if (args['default-track'] && ![sourceLang, ...targetLangs].some(lang => lang.code === args['default-track'])) {
+    console.error(`❌ Faixa padrão inválida: ${args['default-track']} (use o idioma original ou um dos idiomas alvo)`);
+    return EXIT_CODES.USAGE;
+  }
+
+  let voiceId;
+  if (args.voice) {
+    const selected = findOption(VOICES, args.voice, 'id');
+    if (!selected) {
+      console.error(`❌ Voz inválida: ${args.voice}`);
+      return EXIT_CODES.USAGE;
+    }
+    voiceId = selected.id;
+  } else {
+    voiceId = await selectVoice();
+    if (!voiceId) return EXIT_CODES.USAGE;
   }
 
   // Select transcription method
-  console.log('\n🔬 Método de transcrição:\n');
-  console.log('  1. Rápido e Econômico (gpt-4o-mini + detecção de silêncio)');
-  console.log('  2. Preciso com Timestamps (whisper-1 com timestamps exatos)\n');
-  
-  const transcriptionChoice = await question('🔢 Escolha o método (Enter=Rápido): ');
-  const useHybridMethod = transcriptionChoice === '2';
-  
-  if (useHybridMethod) {
-    console.log('✨ Usando método com timestamps: Whisper-1\n');
+  let useHybridMethod = false;
+  if (args.transcript) {
+    if (!fs.existsSync(args.transcript)) {
+      console.error(`❌ Legenda não encontrada: ${args.transcript}`);
+      return EXIT_CODES.USAGE;
+    }
+    console.log(`💬 Usando legenda como transcrição: ${args.transcript}\n`);
   } else {
-    console.log('⚡ Usando método rápido: gpt-4o-mini + ffmpeg\n');
+    if (args.method) {
+      useHybridMethod = args.method === 'timestamps';
+    } else {
+      console.log('\n🔬 Método de transcrição:\n');
+      console.log('  1. Rápido e Econômico (gpt-4o-mini + detecção de silêncio)');
+      console.log('  2. Preciso com Timestamps (whisper-1 com timestamps exatos)\n');
+    
+      const transcriptionChoice = await question('🔢 Escolha o método (Enter=Rápido): ');
+      useHybridMethod = transcriptionChoice === '2';
+    }
+  
+    if (useHybridMethod) {
+      console.log('✨ Usando método com timestamps: Whisper-1\n');
+    } else {
+      console.log('⚡ Usando método rápido: gpt-4o-mini + ffmpeg\n');
+    }
   }
 
-  const confirmChoice = await question('💡 Deseja revisar a tradução antes de gerar o áudio? (s/n): ');
-  const askConfirmation = confirmChoice.toLowerCase() === 's';
+  const retranslateAttempts = args['retranslate-attempts'] !== undefined ? Number(args['retranslate-attempts']) : undefined;
+  if (retranslateAttempts !== undefined && !(Number.isInteger(retranslateAttempts) && retranslateAttempts >= 0)) {
+    console.error(`❌ Número de reescritas inválido: ${args['retranslate-attempts']}`);
+    return EXIT_CODES.USAGE;
+  }
 
-  rl.close();
+  if (args.glossary && !fs.existsSync(args.glossary)) {
+    console.error(`❌ Glossário não encontrado: ${args.glossary}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  try {
+    parseLoudness(args.loudness ?? config.loudness);
+    parseSilenceThreshold(args['silence-threshold'] ?? config.silence.threshold);
+    parseMinSilence(args['min-silence'] ?? config.silence.minSilence);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (args.budget !== undefined && !(args.budget.trim() !== '' && Number(args.budget) >= 0)) {
+    console.error(`❌ Orçamento inválido: ${args.budget}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (args['no-cache']) {
+    cache.enabled = false;
+  }
+
+  if (args['keep-workdir']) {
+    keepWorkdirs();
+  }
+
+  const parallel = args.parallel !== undefined ? Number(args.parallel) : undefined;
+  if (parallel !== undefined && !(Number.isInteger(parallel) && parallel >= 1)) {
+    console.error(`❌ Paralelismo inválido: ${args.parallel}`);
+    return EXIT_CODES.USAGE;
+  }
+  const requestsPerMinute = args['requests-per-minute'] !== undefined ? Number(args['requests-per-minute']) : undefined;
+  if (requestsPerMinute !== undefined && !(Number.isInteger(requestsPerMinute) && requestsPerMinute >= 0)) {
+    console.error(`❌ Limite de requisições por minuto inválido: ${args['requests-per-minute']}`);
+    return EXIT_CODES.USAGE;
+  }
+  configureScheduler({ concurrency: parallel, requestsPerMinute: requestsPerMinute });
+
+  // Without a terminal nobody can review, so the dub goes ahead as with --yes
+  let askConfirmation = false;
+  if (!args.yes && !args['dry-run'] && !process.stdin.isTTY) {
+    console.log('ℹ️  Entrada não interativa: seguindo sem revisão da tradução (use --yes para não ver este aviso)\n');
+  } else if (!args.yes && !args['dry-run']) {
+    const confirmChoice = await question('💡 Deseja revisar a tradução antes de gerar o áudio? (s/n): ');
+    askConfirmation = confirmChoice.toLowerCase() === 's';
+  }
+
+  closePrompt();
 
   // Start dubbing
   try {
-    await dubVideo(videoFile, sourceLang, targetLang, voiceId, askConfirmation, useHybridMethod);
+    const dubOptions = {
+      outputVideo: args.output,
+      transcriptFile: args.transcript,
+      glossaryFile: args.glossary,
+      retranslateAttempts: retranslateAttempts,
+      loudness: args.loudness,
+      silenceThreshold: args['silence-threshold'],
+      minSilence: args['min-silence'],
+      subtitles: !args['no-subtitles'],
+      embedSubtitles: args['embed-subtitles'],
+      keepBackground: args['keep-background'] || Boolean(args['background-filter']),
+      backgroundFilter: args['background-filter'],
+      defaultTrack: args['default-track'],
+      dryRun: args['dry-run'],
+      budget: args.budget
+    };
+    const outputVideo = targetLangs.length > 1
+      ? await dubVideoMulti(videoFile, sourceLang, targetLangs, voiceId, askConfirmation, useHybridMethod, dubOptions)
+      : await dubVideo(videoFile, sourceLang, targetLangs[0], voiceId, askConfirmation, useHybridMethod, dubOptions);
+    closePrompt();
+    if (args['dry-run']) return EXIT_CODES.SUCCESS;
+    if (!outputVideo) return EXIT_CODES.CANCELLED;
     console.log('\n🌟 Processo concluído com sucesso! 🌟\n');
+    return EXIT_CODES.SUCCESS;
   } catch (error) {
     console.error('\n❌ Erro:', error.message);
-    process.exit(1);
+    return error.code === 'BUDGET_EXCEEDED' ? EXIT_CODES.BUDGET : EXIT_CODES.FAILURE;
   }
 }
 
-main();
+// Only run the interactive CLI when executed directly, not when imported
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().then((exitCode) => {
+    closePrompt();
+    process.exitCode = exitCode;
+  }).catch((error) => {
+    closePrompt();
+    console.error('\n❌ Erro:', error.message);
+    process.exitCode = error.code === 'NO_INPUT' ? EXIT_CODES.USAGE : EXIT_CODES.FAILURE;
+  });
+}
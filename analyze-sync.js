@@ -5,68 +5,69 @@
  * Compara vídeo original com vídeo dublado e detecta dessincronizações
  */
 
-import { exec } from 'child_process';
-import { promisify } from 'util';
+import { parseArgs } from 'util';
 import fs from 'fs';
+import { runFfmpeg, probeDuration } from './ffmpeg.js';
+import { findPhrase } from './word-timing.js';
+import { loadConfig } from './config.js';
+import { createWorkdir, installCleanupHandlers } from './workdir.js';
+import { detectSilences, calibrateSilence, parseSilenceThreshold, parseMinSilence, silenceNoise, formatSilenceSettings } from './silence.js';
 
-const execAsync = promisify(exec);
+// Human-readable output; goes to stderr with --json so stdout only holds the report
+let log = console.log;
 
 // Configuração
-const SILENCE_THRESHOLD = '-30dB';  // Nível de ruído para considerar silêncio
-const MIN_SILENCE_DURATION = 2.0;   // Duração mínima de silêncio (segundos)
+const BLOCK_DIFF_WARNING = 2.0;     // Diferença de duração por bloco marcada com ❌ (segundos)
 
-async function analyzeSilences(audioFile, label) {
-  console.log(`\n🔍 Analisando silêncios em: ${label}`);
-  console.log(`   Arquivo: ${audioFile}\n`);
-  
+// Códigos de saída
+const EXIT_CODES = {
+  PASS: 0,
+  ERROR: 1,             // Falha ao analisar (ffmpeg, arquivo ilegível...)
+  USAGE: 2,             // Argumentos inválidos
+  THRESHOLD_FAILED: 3   // Algum limite (--max-*) foi ultrapassado
+};
+
+// Limites aceitos na linha de comando: flag → campo das métricas
+const THRESHOLDS = {
+  'max-block-drift': { metric: 'maxBlockDiff', label: 'Diferença máxima de duração por bloco' },
+  'max-start-drift': { metric: 'maxStartDrift', label: 'Deslocamento máximo do início dos blocos' },
+  'max-length-diff': { metric: 'lengthDiff', label: 'Diferença de duração total' },
+  'max-drift-score': { metric: 'driftScore', label: 'Drift score' },
+  'max-missing-blocks': { metric: 'missingBlocks', label: 'Blocos sem par' }
+};
+
+// settings: { threshold, minDuration } from calibrateSilence()
+async function analyzeSilences(audioFile, label, settings) {
+  log(`\n🔍 Analisando silêncios em: ${label}`);
+  log(`   Arquivo: ${audioFile}`);
+  log(`   Silêncio: ${formatSilenceSettings(settings)}\n`);
+  
+  // A failure here must fail the run: no silences would look like a perfectly synced dub
+  let silences;
   try {
-    // Detectar todos os silêncios
-    const { stdout } = await execAsync(`ffmpeg -i "${audioFile}" -af silencedetect=noise=${SILENCE_THRESHOLD}:d=${MIN_SILENCE_DURATION} -f null - 2>&1`);
-    
-    const silences = [];
-    const lines = stdout.split('\n');
-    
-    let currentSilence = {};
-    for (const line of lines) {
-      const startMatch = line.match(/silence_start: ([\d.]+)/);
-      const endMatch = line.match(/silence_end: ([\d.]+) \| silence_duration: ([\d.]+)/);
-      
-      if (startMatch) {
-        currentSilence.start = parseFloat(startMatch[1]);
-      }
-      
-      if (endMatch && currentSilence.start !== undefined) {
-        currentSilence.end = parseFloat(endMatch[1]);
-        currentSilence.duration = parseFloat(endMatch[2]);
-        silences.push({ ...currentSilence });
-        currentSilence = {};
-      }
-    }
-    
-    console.log(`📊 Silêncios detectados: ${silences.length}`);
-    silences.forEach((s, i) => {
-      const minutes = Math.floor(s.start / 60);
-      const seconds = (s.start % 60).toFixed(1);
-      console.log(`   ${i + 1}. ${minutes}:${seconds.padStart(4, '0')} → ${s.duration.toFixed(2)}s`);
-    });
-    
-    return silences;
-    
+    silences = await detectSilences(audioFile, { noise: silenceNoise(settings), minDuration: settings.minDuration });
   } catch (error) {
-    console.error(`❌ Erro ao analisar: ${error.message}`);
-    return [];
+    throw new Error(`Falha ao analisar os silêncios do ${label.toLowerCase()}: ${error.message}`, { cause: error });
   }
+  
+  log(`📊 Silêncios detectados: ${silences.length}`);
+  silences.forEach((s, i) => {
+    const minutes = Math.floor(s.start / 60);
+    const seconds = (s.start % 60).toFixed(1);
+    log(`   ${i + 1}. ${minutes}:${seconds.padStart(4, '0')} → ${s.duration.toFixed(2)}s`);
+  });
+  
+  return silences;
 }
 
 async function getAudioDuration(audioFile) {
-  const { stdout } = await execAsync(`ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${audioFile}"`);
-  return parseFloat(stdout.trim());
+  return probeDuration(audioFile);
 }
 
 async function extractAudio(videoFile, outputFile) {
-  console.log(`📤 Extraindo áudio de: ${videoFile}`);
-  await execAsync(`ffmpeg -i "${videoFile}" -vn -acodec libmp3lame -q:a 2 "${outputFile}" -y`);
-  console.log(`✅ Áudio extraído: ${outputFile}\n`);
+  log(`📤 Extraindo áudio de: ${videoFile}`);
+  await runFfmpeg(['-y', '-i', videoFile, '-vn', '-acodec', 'libmp3lame', '-q:a', '2', outputFile]);
+  log(`✅ Áudio extraído: ${outputFile}\n`);
 }
 
 function formatTime(seconds) {
@@ -76,7 +77,7 @@ function formatTime(seconds) {
 }
 
 function analyzeStructure(silences, duration) {
-  console.log(`\n🧩 Estrutura de Blocos:`);
+  log(`\n🧩 Estrutura de Blocos:`);
   
   const blocks = [];
   let lastEnd = 0;
@@ -115,115 +116,277 @@ function analyzeStructure(silences, duration) {
   
   blocks.forEach((block, i) => {
     const icon = block.type === 'speech' ? '🗣️' : '🔇';
-    console.log(`   ${i + 1}. ${icon} ${block.type.toUpperCase()}: ${formatTime(block.start)} → ${formatTime(block.end)} (${block.duration.toFixed(2)}s)`);
+    log(`   ${i + 1}. ${icon} ${block.type.toUpperCase()}: ${formatTime(block.start)} → ${formatTime(block.end)} (${block.duration.toFixed(2)}s)`);
   });
   
   return blocks;
 }
 
 function compareStructures(original, dubbed) {
-  console.log(`\n⚖️  Comparação de Estruturas:\n`);
+  log(`\n⚖️  Comparação de Estruturas:\n`);
   
   const maxBlocks = Math.max(original.length, dubbed.length);
+  const comparison = [];
   
-  console.log('   ORIGINAL                          DUBLADO                           DIFERENÇA');
-  console.log('   ' + '─'.repeat(90));
+  log('   ORIGINAL                          DUBLADO                           DIFERENÇA');
+  log('   ' + '─'.repeat(90));
   
   for (let i = 0; i < maxBlocks; i++) {
     const o = original[i];
     const d = dubbed[i];
     
+    comparison.push({
+      index: i + 1,
+      original: o || null,
+      dubbed: d || null,
+      durationDiff: o && d ? d.duration - o.duration : null,
+      startDrift: o && d ? d.start - o.start : null,
+      typeMatch: o && d ? o.type === d.type : false
+    });
+    
     if (o && d) {
       const diff = d.duration - o.duration;
       const diffStr = diff >= 0 ? `+${diff.toFixed(1)}s` : `${diff.toFixed(1)}s`;
-      const icon = Math.abs(diff) > 2 ? '❌' : '✅';
+      const icon = Math.abs(diff) > BLOCK_DIFF_WARNING ? '❌' : '✅';
       
-      console.log(`   ${i + 1}. ${o.type[0].toUpperCase()} ${o.duration.toFixed(1)}s (${formatTime(o.start)})      →      ${d.type[0].toUpperCase()} ${d.duration.toFixed(1)}s (${formatTime(d.start)})      ${icon} ${diffStr}`);
+      log(`   ${i + 1}. ${o.type[0].toUpperCase()} ${o.duration.toFixed(1)}s (${formatTime(o.start)})      →      ${d.type[0].toUpperCase()} ${d.duration.toFixed(1)}s (${formatTime(d.start)})      ${icon} ${diffStr}`);
     } else if (o) {
-      console.log(`   ${i + 1}. ${o.type[0].toUpperCase()} ${o.duration.toFixed(1)}s (${formatTime(o.start)})      →      ❌ AUSENTE`);
+      log(`   ${i + 1}. ${o.type[0].toUpperCase()} ${o.duration.toFixed(1)}s (${formatTime(o.start)})      →      ❌ AUSENTE`);
     } else if (d) {
-      console.log(`   ${i + 1}. ❌ AUSENTE                            ${d.type[0].toUpperCase()} ${d.duration.toFixed(1)}s (${formatTime(d.start)})`);
+      log(`   ${i + 1}. ❌ AUSENTE                            ${d.type[0].toUpperCase()} ${d.duration.toFixed(1)}s (${formatTime(d.start)})`);
     }
   }
+  
+  return comparison;
+}
+
+// Overall sync metrics. The drift score is the mean distance (in seconds) between the start and
+// end of each original block and its dubbed counterpart: 0 means the structure lines up exactly
+function computeSyncMetrics(comparison, originalDuration, dubbedDuration) {
+  const matched = comparison.filter(c => c.original && c.dubbed);
+  const offsets = matched.flatMap(c => [Math.abs(c.dubbed.start - c.original.start), Math.abs(c.dubbed.end - c.original.end)]);
+  
+  return {
+    lengthDiff: Math.abs(dubbedDuration - originalDuration),
+    maxBlockDiff: matched.length > 0 ? Math.max(...matched.map(c => Math.abs(c.durationDiff))) : 0,
+    maxStartDrift: matched.length > 0 ? Math.max(...matched.map(c => Math.abs(c.startDrift))) : 0,
+    driftScore: offsets.length > 0 ? offsets.reduce((sum, offset) => sum + offset, 0) / offsets.length : 0,
+    missingBlocks: comparison.length - matched.length,
+    typeMismatches: matched.filter(c => !c.typeMatch).length
+  };
+}
+
+// Check the metrics against the --max-* limits that were given
+function checkThresholds(metrics, limits) {
+  return Object.entries(THRESHOLDS)
+    .filter(([flag]) => limits[flag] !== undefined)
+    .map(([flag, { metric, label }]) => ({
+      flag: flag,
+      label: label,
+      value: metrics[metric],
+      limit: limits[flag],
+      passed: metrics[metric] <= limits[flag]
+    }));
 }
 
 async function analyzeWithTimestamps(segmentsFile) {
-  console.log(`\n📊 ANÁLISE COM TIMESTAMPS DO WHISPER:\n`);
+  log(`\n📊 ANÁLISE COM TIMESTAMPS DO WHISPER:\n`);
   
   try {
     const segmentsData = JSON.parse(fs.readFileSync(segmentsFile, 'utf8'));
     
-    console.log(`   Duração total: ${segmentsData.duration.toFixed(2)}s`);
-    console.log(`   Total de segmentos: ${segmentsData.segmentCount}`);
-    console.log(`   Pausas detectadas: ${segmentsData.silenceGaps.length}\n`);
+    log(`   Duração total: ${segmentsData.duration.toFixed(2)}s`);
+    log(`   Total de segmentos: ${segmentsData.segmentCount}`);
+    log(`   Pausas detectadas: ${segmentsData.silenceGaps.length}`);
+    if (segmentsData.sentences) {
+      log(`   Frases (tempos por palavra): ${segmentsData.sentenceCount} frases, ${segmentsData.words.length} palavras`);
+    }
+    log('');
     
     if (segmentsData.silenceGaps.length > 0) {
-      console.log(`   🔇 PAUSAS/SILÊNCIOS:`);
+      log(`   🔇 PAUSAS/SILÊNCIOS:`);
       segmentsData.silenceGaps.forEach((gap, i) => {
         const mins = Math.floor(gap.start / 60);
         const secs = (gap.start % 60).toFixed(1);
-        console.log(`      ${i + 1}. ${mins}:${secs.padStart(4, '0')} → ${gap.duration.toFixed(2)}s`);
+        log(`      ${i + 1}. ${mins}:${secs.padStart(4, '0')} → ${gap.duration.toFixed(2)}s`);
       });
-      console.log('');
+      log('');
     }
     
     // Show first and last 5 segments
-    console.log(`   📝 PRIMEIROS 5 SEGMENTOS:`);
+    log(`   📝 PRIMEIROS 5 SEGMENTOS:`);
     segmentsData.segments.slice(0, 5).forEach((seg, i) => {
       const mins = Math.floor(seg.start / 60);
       const secs = (seg.start % 60).toFixed(1);
       const preview = seg.text ? seg.text.substring(0, 50) + '...' : '(sem texto)';
-      console.log(`      ${i + 1}. ${mins}:${secs.padStart(4, '0')} (${seg.duration.toFixed(1)}s) - ${preview}`);
+      log(`      ${i + 1}. ${mins}:${secs.padStart(4, '0')} (${seg.duration.toFixed(1)}s) - ${preview}`);
     });
     
     if (segmentsData.segments.length > 10) {
-      console.log(`      ... (${segmentsData.segments.length - 10} segmentos no meio) ...`);
+      log(`      ... (${segmentsData.segments.length - 10} segmentos no meio) ...`);
       
-      console.log(`\n   📝 ÚLTIMOS 5 SEGMENTOS:`);
+      log(`\n   📝 ÚLTIMOS 5 SEGMENTOS:`);
       segmentsData.segments.slice(-5).forEach((seg, i) => {
         const idx = segmentsData.segments.length - 5 + i;
         const mins = Math.floor(seg.start / 60);
         const secs = (seg.start % 60).toFixed(1);
         const preview = seg.text ? seg.text.substring(0, 50) + '...' : '(sem texto)';
-        console.log(`      ${idx + 1}. ${mins}:${secs.padStart(4, '0')} (${seg.duration.toFixed(1)}s) - ${preview}`);
+        log(`      ${idx + 1}. ${mins}:${secs.padStart(4, '0')} (${seg.duration.toFixed(1)}s) - ${preview}`);
       });
     }
     
     return segmentsData;
     
   } catch (error) {
-    console.log(`   ⚠️  Arquivo de timestamps não encontrado: ${segmentsFile}`);
+    log(`   ⚠️  Arquivo de timestamps não encontrado: ${segmentsFile}`);
     return null;
   }
 }
 
+// Where each occurrence of `phrase` is said in the original (from the word timestamps), in which
+// block it falls, and the same relative position inside the matching dubbed block
+function locatePhrase(phrase, segmentsData, originalBlocks, dubbedBlocks) {
+  const matches = findPhrase(segmentsData.words, phrase).map(match => {
+    const sentence = (segmentsData.sentences || []).find(s => s.start <= match.start && match.end <= s.end + 0.01);
+    const blockIndex = originalBlocks.findIndex(b => b.type === 'speech' && b.start <= match.start && match.start < b.end);
+    const original = originalBlocks[blockIndex];
+    const dubbed = dubbedBlocks[blockIndex];
+
+    let dubbedStart = null;
+    let dubbedEnd = null;
+    if (original && dubbed && dubbed.type === 'speech' && original.duration > 0) {
+      const scale = dubbed.duration / original.duration;
+      dubbedStart = dubbed.start + (match.start - original.start) * scale;
+      dubbedEnd = Math.min(dubbed.end, dubbed.start + (match.end - original.start) * scale);
+    }
+
+    return {
+      start: match.start,
+      end: match.end,
+      block: blockIndex >= 0 ? blockIndex + 1 : null,
+      sentence: sentence ? sentence.text : null,
+      dubbedStart: dubbedStart,
+      dubbedEnd: dubbedEnd
+    };
+  });
+
+  log(`   🔎 "${phrase}": ${matches.length} ocorrência(s)`);
+  matches.forEach((match, i) => {
+    const block = match.block ? ` (bloco ${match.block})` : '';
+    const dubbed = match.dubbedStart !== null
+      ? ` → dublado ≈ ${formatTime(match.dubbedStart)} → ${formatTime(match.dubbedEnd)}`
+      : ' → sem bloco correspondente no dublado';
+    log(`      ${i + 1}. ${formatTime(match.start)} → ${formatTime(match.end)}${block}${dubbed}`);
+    if (match.sentence) {
+      log(`         Frase: "${match.sentence}"`);
+    }
+  });
+
+  return { phrase: phrase, matches: matches };
+}
+
+function printUsage() {
+  log('Uso: node analyze-sync.js [opções] <video_original.mp4> <video_dublado.mp4> [segments.json]');
+  log('\nOpções:');
+  log('  --json                      Imprime o relatório em JSON no stdout (o log vai para o stderr)');
+  log('  --max-block-drift <s>       Diferença máxima de duração de um bloco');
+  log('  --max-start-drift <s>       Deslocamento máximo do início de um bloco');
+  log('  --max-length-diff <s>       Diferença máxima de duração total');
+  log('  --max-drift-score <s>       Drift score máximo (distância média dos blocos, em segundos)');
+  log('  --max-missing-blocks <n>    Blocos sem par no outro vídeo');
+  log('  --silence-threshold <dB>    Nível de silêncio (auto calibra em cada vídeo, padrão da config; ex.: --silence-threshold=-35)');
+  log('  --min-silence <s>           Pausa mínima entre blocos (auto calibra no original e usa nos dois)');
+  log('  --config <arquivo>          Configuração da dublagem; dá os padrões de silêncio (padrão: dubbing.config.json)');
+  log('  --profile <nome>            Perfil da configuração usado na dublagem (ex.: lecture, vlog)');
+  log('  --phrase <texto>            Mostra onde a frase é dita (precisa de segments.json com tempos por palavra; pode repetir)');
+  log(`\nCódigos de saída: ${EXIT_CODES.PASS} ok, ${EXIT_CODES.ERROR} erro, ${EXIT_CODES.USAGE} argumentos inválidos, ${EXIT_CODES.THRESHOLD_FAILED} limite ultrapassado`);
+  log('\nExemplo:');
+  log('  node analyze-sync.js "video.mp4" "video_en.mp4"');
+  log('  node analyze-sync.js "video.mp4" "video_en.mp4" "debug_logs/segments_123.json"');
+  log('  node analyze-sync.js --phrase "bem-vindos ao canal" "video.mp4" "video_en.mp4" "debug_logs/segments_123.json"');
+  log('  node analyze-sync.js --json --max-block-drift 1.5 --max-length-diff 0.5 "video.mp4" "video_en.mp4" > sync.json');
+}
+
 async function main() {
-  console.log('\n╔════════════════════════════════════════════════╗');
-  console.log('║   🎬 ANALISADOR DE SINCRONIZAÇÃO DE VÍDEO     ║');
-  console.log('╚════════════════════════════════════════════════╝\n');
-  
-  const args = process.argv.slice(2);
-  
-  if (args.length < 2) {
-    console.log('Uso: node analyze-sync.js <video_original.mp4> <video_dublado.mp4> [segments.json]');
-    console.log('\nExemplo:');
-    console.log('  node analyze-sync.js "video.mp4" "video_en.mp4"');
-    console.log('  node analyze-sync.js "video.mp4" "video_en.mp4" "debug_logs/segments_123.json"');
-    process.exit(1);
+  installCleanupHandlers();
+
+  let values, positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: process.argv.slice(2),
+      allowPositionals: true,
+      options: {
+        json: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+        phrase: { type: 'string', multiple: true },
+        'silence-threshold': { type: 'string' },
+        'min-silence': { type: 'string' },
+        config: { type: 'string' },
+        profile: { type: 'string' },
+        ...Object.fromEntries(Object.keys(THRESHOLDS).map(flag => [flag, { type: 'string' }]))
+      },
+      strict: true
+    }));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    printUsage();
+    return EXIT_CODES.USAGE;
+  }
+  
+  if (values.json) {
+    log = console.error;
   }
   
-  const originalVideo = args[0];
-  const dubbedVideo = args[1];
-  const segmentsFile = args[2]; // Optional
+  log('\n╔════════════════════════════════════════════════╗');
+  log('║   🎬 ANALISADOR DE SINCRONIZAÇÃO DE VÍDEO     ║');
+  log('╚════════════════════════════════════════════════╝\n');
+  
+  if (values.help) {
+    printUsage();
+    return EXIT_CODES.PASS;
+  }
+  
+  if (positionals.length < 2) {
+    printUsage();
+    return EXIT_CODES.USAGE;
+  }
+  
+  const limits = {};
+  for (const flag of Object.keys(THRESHOLDS)) {
+    if (values[flag] === undefined) continue;
+    const limit = Number(values[flag]);
+    if (values[flag].trim() === '' || !(limit >= 0)) {
+      console.error(`❌ Valor inválido para --${flag}: ${values[flag]}`);
+      return EXIT_CODES.USAGE;
+    }
+    limits[flag] = limit;
+  }
+  
+  // Same silence settings as the dub, unless the flags change them
+  let silenceOverrides;
+  try {
+    const config = loadConfig({ file: values.config, profile: values.profile });
+    silenceOverrides = {
+      threshold: parseSilenceThreshold(values['silence-threshold'] ?? config.silence.threshold),
+      minDuration: parseMinSilence(values['min-silence'] ?? config.silence.minSilence)
+    };
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return EXIT_CODES.USAGE;
+  }
+  
+  const originalVideo = positionals[0];
+  const dubbedVideo = positionals[1];
+  const segmentsFile = positionals[2]; // Optional
   
   if (!fs.existsSync(originalVideo)) {
     console.error(`❌ Arquivo não encontrado: ${originalVideo}`);
-    process.exit(1);
+    return EXIT_CODES.USAGE;
   }
   
   if (!fs.existsSync(dubbedVideo)) {
     console.error(`❌ Arquivo não encontrado: ${dubbedVideo}`);
-    process.exit(1);
+    return EXIT_CODES.USAGE;
   }
   
   // Analyze with timestamps if provided
@@ -232,64 +395,121 @@ async function main() {
     segmentsData = await analyzeWithTimestamps(segmentsFile);
   }
   
-  // Extract audio from both videos
-  const originalAudio = 'temp_original_audio.mp3';
-  const dubbedAudio = 'temp_dubbed_audio.mp3';
-  
-  await extractAudio(originalVideo, originalAudio);
-  await extractAudio(dubbedVideo, dubbedAudio);
-  
-  // Get durations
-  const originalDuration = await getAudioDuration(originalAudio);
-  const dubbedDuration = await getAudioDuration(dubbedAudio);
-  
-  console.log(`\n⏱️  DURAÇÕES:`);
-  console.log(`   Original: ${formatTime(originalDuration)} (${originalDuration.toFixed(2)}s)`);
-  console.log(`   Dublado:  ${formatTime(dubbedDuration)} (${dubbedDuration.toFixed(2)}s)`);
-  console.log(`   Diferença: ${(dubbedDuration - originalDuration).toFixed(2)}s\n`);
-  
-  // Analyze silences
-  const originalSilences = await analyzeSilences(originalAudio, 'ORIGINAL');
-  const dubbedSilences = await analyzeSilences(dubbedAudio, 'DUBLADO');
-  
-  // Analyze structure
-  const originalBlocks = analyzeStructure(originalSilences, originalDuration);
-  console.log('');
-  const dubbedBlocks = analyzeStructure(dubbedSilences, dubbedDuration);
+  // Extracted audio lives in a temporary directory, removed even when the analysis fails
+  const workdir = createWorkdir(`analyze-sync-${process.pid}-${Date.now()}`);
+  try {
+    // Extract audio from both videos
+    const originalAudio = workdir.path('original_audio.mp3');
+    const dubbedAudio = workdir.path('dubbed_audio.mp3');
+  
+    await extractAudio(originalVideo, originalAudio);
+    await extractAudio(dubbedVideo, dubbedAudio);
+  
+    // Get durations
+    const originalDuration = await getAudioDuration(originalAudio);
+    const dubbedDuration = await getAudioDuration(dubbedAudio);
+  
+    log(`\n⏱️  DURAÇÕES:`);
+    log(`   Original: ${formatTime(originalDuration)} (${originalDuration.toFixed(2)}s)`);
+    log(`   Dublado:  ${formatTime(dubbedDuration)} (${dubbedDuration.toFixed(2)}s)`);
+    log(`   Diferença: ${(dubbedDuration - originalDuration).toFixed(2)}s\n`);
+  
+    // Each file gets its own threshold (the dub's pauses are digital silence, the original's are
+    // room noise), but the minimum pause comes from the original so both are split the same way
+    const originalSilence = await calibrateSilence(originalAudio, silenceOverrides);
+    const dubbedSilence = await calibrateSilence(dubbedAudio, { ...silenceOverrides, minDuration: originalSilence.minDuration });
+  
+    // Analyze silences
+    const originalSilences = await analyzeSilences(originalAudio, 'ORIGINAL', originalSilence);
+    const dubbedSilences = await analyzeSilences(dubbedAudio, 'DUBLADO', dubbedSilence);
+  
+    // Analyze structure
+    const originalBlocks = analyzeStructure(originalSilences, originalDuration);
+    log('');
+    const dubbedBlocks = analyzeStructure(dubbedSilences, dubbedDuration);
+  
+    // Compare structures
+    const comparison = compareStructures(originalBlocks, dubbedBlocks);
+    const metrics = computeSyncMetrics(comparison, originalDuration, dubbedDuration);
+  
+    // Exact position of the requested phrases, from the word timestamps
+    let phrases = [];
+    if (values.phrase) {
+      log(`\n🔎 FRASES:\n`);
+      if (segmentsData?.words) {
+        phrases = values.phrase.map(phrase => locatePhrase(phrase, segmentsData, originalBlocks, dubbedBlocks));
+      } else {
+        log('   ⚠️  --phrase precisa de um segments.json com tempos por palavra (método timestamps)');
+      }
+    }
   
-  // Compare structures
-  compareStructures(originalBlocks, dubbedBlocks);
+    // Summary
+    log(`\n📝 RESUMO:\n`);
   
-  // Summary
-  console.log(`\n📝 RESUMO:\n`);
+    const speechBlocksOriginal = originalBlocks.filter(b => b.type === 'speech');
+    const speechBlocksDubbed = dubbedBlocks.filter(b => b.type === 'speech');
   
-  const speechBlocksOriginal = originalBlocks.filter(b => b.type === 'speech');
-  const speechBlocksDubbed = dubbedBlocks.filter(b => b.type === 'speech');
+    const totalSpeechOriginal = speechBlocksOriginal.reduce((sum, b) => sum + b.duration, 0);
+    const totalSpeechDubbed = speechBlocksDubbed.reduce((sum, b) => sum + b.duration, 0);
   
-  const totalSpeechOriginal = speechBlocksOriginal.reduce((sum, b) => sum + b.duration, 0);
-  const totalSpeechDubbed = speechBlocksDubbed.reduce((sum, b) => sum + b.duration, 0);
+    log(`   Blocos de fala original: ${speechBlocksOriginal.length} (total: ${totalSpeechOriginal.toFixed(1)}s)`);
+    log(`   Blocos de fala dublado:  ${speechBlocksDubbed.length} (total: ${totalSpeechDubbed.toFixed(1)}s)`);
+    log(`   Ratio de fala: ${((totalSpeechDubbed / totalSpeechOriginal) * 100).toFixed(1)}%`);
   
-  console.log(`   Blocos de fala original: ${speechBlocksOriginal.length} (total: ${totalSpeechOriginal.toFixed(1)}s)`);
-  console.log(`   Blocos de fala dublado:  ${speechBlocksDubbed.length} (total: ${totalSpeechDubbed.toFixed(1)}s)`);
-  console.log(`   Ratio de fala: ${((totalSpeechDubbed / totalSpeechOriginal) * 100).toFixed(1)}%`);
+    const silencesOriginal = originalBlocks.filter(b => b.type === 'silence');
+    const silencesDubbed = dubbedBlocks.filter(b => b.type === 'silence');
   
-  const silencesOriginal = originalBlocks.filter(b => b.type === 'silence');
-  const silencesDubbed = dubbedBlocks.filter(b => b.type === 'silence');
+    const totalSilenceOriginal = silencesOriginal.reduce((sum, b) => sum + b.duration, 0);
+    const totalSilenceDubbed = silencesDubbed.reduce((sum, b) => sum + b.duration, 0);
   
-  const totalSilenceOriginal = silencesOriginal.reduce((sum, b) => sum + b.duration, 0);
-  const totalSilenceDubbed = silencesDubbed.reduce((sum, b) => sum + b.duration, 0);
+    log(`\n   Silêncios original: ${silencesOriginal.length} (total: ${totalSilenceOriginal.toFixed(1)}s)`);
+    log(`   Silêncios dublado:  ${silencesDubbed.length} (total: ${totalSilenceDubbed.toFixed(1)}s)`);
   
-  console.log(`\n   Silêncios original: ${silencesOriginal.length} (total: ${totalSilenceOriginal.toFixed(1)}s)`);
-  console.log(`   Silêncios dublado:  ${silencesDubbed.length} (total: ${totalSilenceDubbed.toFixed(1)}s)`);
+    log(`\n📐 MÉTRICAS:\n`);
+    log(`   Drift score: ${metrics.driftScore.toFixed(2)}s`);
+    log(`   Maior diferença de bloco: ${metrics.maxBlockDiff.toFixed(2)}s`);
+    log(`   Maior deslocamento de início: ${metrics.maxStartDrift.toFixed(2)}s`);
+    log(`   Blocos sem par: ${metrics.missingBlocks}`);
   
-  // Cleanup
-  fs.unlinkSync(originalAudio);
-  fs.unlinkSync(dubbedAudio);
+    const checks = checkThresholds(metrics, limits);
+    if (checks.length > 0) {
+      log(`\n🚦 LIMITES:\n`);
+      checks.forEach(check => {
+        log(`   ${check.passed ? '✅' : '❌'} ${check.label}: ${check.value.toFixed(2)} (máx. ${check.limit})`);
+      });
+    }
+    const passed = checks.every(check => check.passed);
+  
+    if (values.json) {
+      const report = {
+        original: { file: originalVideo, duration: originalDuration, silence: originalSilence, silences: originalSilences, blocks: originalBlocks },
+        dubbed: { file: dubbedVideo, duration: dubbedDuration, silence: dubbedSilence, silences: dubbedSilences, blocks: dubbedBlocks },
+        timestamps: segmentsData && {
+          file: segmentsFile,
+          duration: segmentsData.duration,
+          segmentCount: segmentsData.segmentCount,
+          silenceGaps: segmentsData.silenceGaps,
+          sentences: segmentsData.sentences || []
+        },
+        phrases: phrases,
+        comparison: comparison,
+        metrics: metrics,
+        thresholds: checks,
+        passed: passed
+      };
+      process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    }
   
-  console.log(`\n✅ Análise completa!\n`);
+    log(`\n✅ Análise completa!\n`);
+    return passed ? EXIT_CODES.PASS : EXIT_CODES.THRESHOLD_FAILED;
+  } finally {
+    workdir.remove();
+  }
 }
 
-main().catch(error => {
+main().then(exitCode => {
+  process.exitCode = exitCode;
+}).catch(error => {
   console.error('\n❌ Erro:', error.message);
-  process.exit(1);
+  process.exitCode = EXIT_CODES.ERROR;
 });
@@ -0,0 +1,155 @@
+/**
+ * Chunk plan for transcribing long audio, and merging of the chunk results
+ *
+ * Fixed-length slices cut words in half at the boundaries. Instead, each cut is placed in a
+ * detected silence shortly before the target length, and every chunk is extended by a small
+ * overlap on both sides so a word near the cut is heard whole by at least one chunk.
+ *
+ * Each chunk owns the stretch between its two cuts. When the results are merged, a chunk only
+ * contributes the segments that touch its own stretch; a segment crossing a cut comes from both
+ * chunks, so repeats (same words, overlapping times) are matched by text and dropped, and
+ * timestamps are kept continuous. Timed words are short enough to be split by ownership alone: each
+ * word belongs to the chunk whose stretch holds its middle.
+ */
+
+import { normalizeWord } from './word-timing.js';
+
+// Seconds of audio added before and after each cut
+export const CHUNK_OVERLAP = 2;
+
+// How far before the target length a silence is looked for
+export const CUT_SEARCH_WINDOW = 30;
+
+// Shortest stretch a chunk owns when cut in a silence; with a target near or below
+// CUT_SEARCH_WINDOW the window would otherwise reach back to the previous cut
+const MIN_CHUNK_DURATION = 10;
+
+// Words compared when looking for text repeated across a boundary
+const MAX_REPEATED_WORDS = 40;
+const MIN_REPEATED_WORDS = 2;
+
+// Segments before a cut compared with each segment after it
+const MAX_REPEATED_SEGMENTS = 3;
+
+// [{ index, from, to, start, end, inSilence }]: from/to is the owned stretch, start/end the audio sent
+export function planChunks(duration, silences, { target, overlap = CHUNK_OVERLAP } = {}) {
+  const cuts = [];
+  let from = 0;
+
+  while (duration - from > target) {
+    const ideal = from + target;
+    const earliest = Math.max(ideal - CUT_SEARCH_WINDOW, from + MIN_CHUNK_DURATION);
+    // The longest silence in the window is the safest place to cut
+    const candidates = silences
+      .map(silence => ({ ...silence, middle: (silence.start + silence.end) / 2 }))
+      .filter(silence => silence.middle > earliest && silence.middle <= ideal);
+    const best = candidates.sort((a, b) => b.duration - a.duration || b.middle - a.middle)[0];
+
+    cuts.push({ at: best ? best.middle : ideal, inSilence: Boolean(best) });
+    from = cuts[cuts.length - 1].at;
+  }
+
+  const bounds = [0, ...cuts.map(cut => cut.at), duration];
+  return bounds.slice(0, -1).map((start, i) => ({
+    index: i,
+    from: start,
+    to: bounds[i + 1],
+    start: Math.max(0, start - (i > 0 ? overlap : 0)),
+    end: Math.min(duration, bounds[i + 1] + (i < bounds.length - 2 ? overlap : 0)),
+    inSilence: i < cuts.length ? cuts[i].inSilence : true
+  }));
+}
+
+function words(text) {
+  return text.split(/\s+/).filter(Boolean);
+}
+
+// Number of words at the start of `next` that repeat the end of `previous`
+function repeatedWordCount(previous, next) {
+  const tail = previous.slice(-MAX_REPEATED_WORDS).map(normalizeWord);
+  const head = next.slice(0, MAX_REPEATED_WORDS).map(normalizeWord);
+
+  for (let length = Math.min(tail.length, head.length); length >= MIN_REPEATED_WORDS; length--) {
+    const suffix = tail.slice(tail.length - length);
+    if (suffix.every((word, i) => word === head[i])) return length;
+  }
+  return 0;
+}
+
+// Join chunk texts, dropping the words a chunk repeats from the end of the previous one
+export function mergeChunkTexts(texts) {
+  let merged = [];
+  for (const text of texts) {
+    const next = words(text);
+    merged = merged.concat(next.slice(repeatedWordCount(merged, next)));
+  }
+  return merged.join(' ');
+}
+
+// Same words, ignoring case and punctuation, or one segment contained in the other
+function sameSpeech(a, b) {
+  const left = words(a).map(normalizeWord).join(' ');
+  const right = words(b).map(normalizeWord).join(' ');
+  return left.length > 0 && right.length > 0 && (left.includes(right) || right.includes(left));
+}
+
+// Segments of every chunk on the full timeline, each heard once, in order and without overlaps.
+// results[i].segments are relative to chunks[i].start
+export function mergeChunkSegments(chunks, results) {
+  const merged = [];
+
+  chunks.forEach((chunk, i) => {
+    // Segments entirely inside the overlap belong to the neighbour
+    const touching = (results[i].segments || [])
+      .map(seg => ({ start: seg.start + chunk.start, end: seg.end + chunk.start, text: seg.text }))
+      .filter(seg => (i === 0 || seg.end > chunk.from) && (i === chunks.length - 1 || seg.start < chunk.to));
+
+    for (const seg of touching) {
+      // The same words heard by both chunks around the cut
+      const repeated = merged.slice(-MAX_REPEATED_SEGMENTS).find(previous => seg.start < previous.end && sameSpeech(previous.text, seg.text));
+      if (repeated) {
+        if (seg.text.length > repeated.text.length) {
+          repeated.text = seg.text;
+        }
+        repeated.end = Math.max(repeated.end, seg.end);
+        continue;
+      }
+      merged.push(seg);
+    }
+  });
+
+  // Timestamps from different chunks may disagree slightly at the cut; keep them continuous
+  for (let i = 1; i < merged.length; i++) {
+    if (merged[i].start < merged[i - 1].end) {
+      merged[i].start = merged[i - 1].end;
+      merged[i].end = Math.max(merged[i].end, merged[i].start);
+    }
+  }
+  return merged;
+}
+
+// Timed words of every chunk on the full timeline, each from the chunk that owns its middle.
+// results[i].words are relative to chunks[i].start
+export function mergeChunkWords(chunks, results) {
+  const merged = [];
+
+  chunks.forEach((chunk, i) => {
+    const last = i === chunks.length - 1;
+    for (const word of results[i].words || []) {
+      const start = word.start + chunk.start;
+      const end = word.end + chunk.start;
+      const middle = (start + end) / 2;
+      if (middle >= chunk.from && (middle < chunk.to || last)) {
+        merged.push({ word: word.word, start: start, end: end });
+      }
+    }
+  });
+
+  for (let i = 1; i < merged.length; i++) {
+    if (merged[i].start < merged[i - 1].end) {
+      merged[i].start = merged[i - 1].end;
+      merged[i].end = Math.max(merged[i].end, merged[i].start);
+    }
+  }
+  return merged;
+}
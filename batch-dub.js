@@ -0,0 +1,449 @@
+#!/usr/bin/env node
+
+/**
+ * Batch dubbing: one dubbing job per video, run through a queue
+ *
+ * Items can be a folder (every video inside it), a glob (videos/*.mp4, aulas/**\/*.mkv),
+ * a .txt file with one YouTube URL or video path per line, or single videos / URLs.
+ * Each item is downloaded (URLs) and dubbed with the same pipeline as ai-video-dub.js.
+ * Jobs are checkpointed, so rerunning a batch resumes the videos that failed. Two items that
+ * would write the same dubbed video (and job) are rejected before anything runs.
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { pathToFileURL } from 'url';
+import {
+  downloadYouTubeVideo,
+  dubVideo,
+  dubVideoMulti,
+  findOption,
+  configureScheduler,
+  configureDubbing,
+  LANGUAGES,
+  VOICES,
+  QUALITY_OPTIONS,
+  EXIT_CODES,
+  TRANSCRIPTION_METHODS
+} from './ai-video-dub.js';
+import { installCleanupHandlers, keepWorkdirs } from './workdir.js';
+import { hashKey } from './job-manifest.js';
+import { parseLoudness } from './loudness.js';
+import { parseSilenceThreshold, parseMinSilence } from './silence.js';
+
+// Extensions picked up when a folder or glob is given
+const VIDEO_EXTENSIONS = ['.mp4', '.mkv', '.mov', '.webm', '.avi'];
+
+// Jobs run at the same time (each one makes its own API requests and ffmpeg calls)
+const DEFAULT_CONCURRENCY = 2;
+
+// URL items are downloaded to downloads/<hash of the URL>, one folder per job
+const DOWNLOADS_DIR = 'downloads';
+
+function isUrl(value) {
+  return /^https?:\/\//i.test(value);
+}
+
+function isVideoFile(file) {
+  return VIDEO_EXTENSIONS.includes(path.extname(file).toLowerCase());
+}
+
+// videos/**/*.mp4 → RegExp. Supports *, ** and ?
+function globToRegExp(pattern) {
+  let regex = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" matches any number of folders, including none
+      regex += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      regex += '[^/]*';
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else {
+      regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${regex}$`);
+}
+
+function listFiles(dir, recursive) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (recursive) files.push(...listFiles(file, true));
+    } else {
+      files.push(file);
+    }
+  }
+  return files;
+}
+
+export function expandGlob(pattern) {
+  const normalized = pattern.split(path.sep).join('/');
+  // Walk from the folder before the first wildcard
+  const staticPart = normalized.slice(0, normalized.search(/[*?]/));
+  const baseDir = staticPart.includes('/') ? staticPart.slice(0, staticPart.lastIndexOf('/') + 1) : '';
+  const regex = globToRegExp(normalized);
+
+  return listFiles(baseDir || '.', normalized.includes('**'))
+    .map(file => file.split(path.sep).join('/'))
+    .map(file => (baseDir ? file : file.replace(/^\.\//, '')))
+    .filter(file => regex.test(file))
+    .sort();
+}
+
+// Lines of a URL list: blank lines and # comments are ignored
+function readListFile(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+// Turn the command line items into the queue: { source, type: 'url' | 'file' }
+export function collectItems(inputs) {
+  const items = [];
+
+  for (const input of inputs) {
+    if (isUrl(input)) {
+      items.push({ source: input, type: 'url' });
+    } else if (/[*?]/.test(input)) {
+      const files = expandGlob(input).filter(isVideoFile);
+      if (files.length === 0) {
+        console.log(`⚠️  Nenhum vídeo encontrado para: ${input}`);
+      }
+      files.forEach(file => items.push({ source: file, type: 'file' }));
+    } else if (!fs.existsSync(input)) {
+      throw new Error(`Arquivo ou pasta não encontrado: ${input}`);
+    } else if (fs.statSync(input).isDirectory()) {
+      listFiles(input, false).filter(isVideoFile).sort()
+        .forEach(file => items.push({ source: file, type: 'file' }));
+    } else if (path.extname(input).toLowerCase() === '.txt') {
+      items.push(...collectItems(readListFile(input)));
+    } else {
+      items.push({ source: input, type: 'file' });
+    }
+  }
+
+  return items;
+}
+
+// Dubbed video of `videoFile`. Always named here: the default name only replaces .mp4, so an
+// .mkv input would be overwritten
+export function outputVideoFor(videoFile, targetLangs, outputDir) {
+  const suffix = targetLangs.map(lang => lang.code).join('-');
+  const { dir, name } = path.parse(videoFile);
+  return path.join(outputDir || dir, `${name}_${suffix}.mp4`);
+}
+
+// Items that would write the same dubbed video, and so share its job in jobs/: a video or URL
+// listed twice, or videos with the same name sent to one --output-dir. One message per clash.
+// The name of a URL's video is only known after the download, so those are checked then
+export function findDuplicateTargets(items, targetLangs, outputDir) {
+  const owners = new Map();
+  const problems = [];
+
+  for (const item of items) {
+    const key = item.type === 'url' ? item.source : path.resolve(outputVideoFor(item.source, targetLangs, outputDir));
+    const owner = owners.get(key);
+    if (!owner) {
+      owners.set(key, item);
+    } else if (owner.type === 'url' || path.resolve(owner.source) === path.resolve(item.source)) {
+      problems.push(`${item.source} aparece mais de uma vez`);
+    } else {
+      problems.push(`${owner.source} e ${item.source} gerariam o mesmo vídeo: ${key}`);
+    }
+  }
+
+  return problems;
+}
+
+// Run worker(item, index) over the items, at most `concurrency` at a time
+async function runQueue(items, concurrency, worker) {
+  let next = 0;
+
+  async function runWorker() {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, runWorker);
+  await Promise.all(workers);
+}
+
+function formatDuration(seconds) {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.round(seconds % 60);
+  return mins > 0 ? `${mins}m${String(secs).padStart(2, '0')}s` : `${secs}s`;
+}
+
+function printSummary(results) {
+  const rows = results.map((result, i) => [
+    String(i + 1),
+    result.status === 'ok' ? '✅ ok' : '❌ falha',
+    result.item.source,
+    formatDuration(result.seconds),
+    result.status === 'ok' ? result.output : result.error
+  ]);
+  const header = ['#', 'Status', 'Entrada', 'Tempo', 'Saída / Erro'];
+  const widths = header.map((title, col) => Math.max(title.length, ...rows.map(row => row[col].length)));
+  const formatRow = row => row.map((cell, col) => cell.padEnd(widths[col])).join(' │ ').trimEnd();
+
+  console.log('\n📋 === RESUMO DO LOTE ===\n');
+  console.log(formatRow(header));
+  console.log(widths.map(width => '─'.repeat(width)).join('─┼─'));
+  rows.forEach(row => console.log(formatRow(row)));
+
+  const succeeded = results.filter(result => result.status === 'ok').length;
+  console.log(`\n✅ ${succeeded} concluído(s)   ❌ ${results.length - succeeded} falha(s)   📦 ${results.length} no total\n`);
+}
+
+function printUsage() {
+  console.log(`Uso: node batch-dub.js [opções] <pasta | glob | lista.txt | vídeo | url>...
+
+Coloca um job de dublagem por vídeo numa fila e mostra um resumo no final.
+
+Entradas:
+  pasta                     Todos os vídeos da pasta (${VIDEO_EXTENSIONS.join(', ')})
+  glob                      Ex.: "aulas/*.mp4" ou "cursos/**/*.mkv" (use aspas)
+  lista.txt                 Uma URL do YouTube ou caminho de vídeo por linha (# comenta)
+
+Opções:
+  -s, --source <idioma>     Idioma original (${Object.values(LANGUAGES).map(l => l.code).join(', ')})
+  -t, --target <idiomas>    Idioma alvo; vários separados por vírgula geram vídeos multi-faixa
+  -v, --voice <voz>         Voz da dublagem (${Object.values(VOICES).map(v => v.id).join(', ')})
+  -m, --method <método>     Transcrição: ${TRANSCRIPTION_METHODS.join(' | ')} (padrão: fast)
+  -q, --quality <qualidade> Qualidade dos downloads (${Object.values(QUALITY_OPTIONS).map(q => q.id).join(', ')}, padrão: original)
+  -c, --concurrency <n>     Jobs ao mesmo tempo (padrão: ${DEFAULT_CONCURRENCY})
+      --parallel <n>        Chunks e blocos de TTS em paralelo, somando todos os jobs (padrão: DUB_CONCURRENCY ou 4)
+      --requests-per-minute <n>
+                            Limite de requisições às APIs por minuto no lote todo (padrão: sem limite)
+      --output-dir <pasta>  Pasta dos vídeos dublados (padrão: ao lado de cada vídeo)
+      --glossary <arquivo>  Glossário de termos e nomes (padrão: glossary.json, se existir)
+      --embed-subtitles     Inclui as legendas como faixas no vídeo
+      --no-subtitles        Não gera os arquivos .srt/.vtt
+      --keep-background     Mantém música e efeitos, removendo só a voz original
+      --loudness <modo>     Nível da dublagem: match, block, off ou alvo em LUFS (--loudness=-16; padrão: config)
+      --silence-threshold <dB> Nível de silêncio (auto calibra em cada vídeo; --silence-threshold=-35; padrão: config)
+      --min-silence <s>     Pausa mínima entre blocos de fala (padrão: config)
+      --config <arquivo>    Configuração de idiomas, vozes, modelos e limites (padrão: DUB_CONFIG ou dubbing.config.json)
+      --profile <nome>      Perfil da configuração, ex.: lecture ou vlog (ou DUB_PROFILE)
+      --keep-workdir        Não apaga as pastas de arquivos temporários dos jobs (para depuração)
+  -h, --help                Mostra esta ajuda
+
+Códigos de saída: 0 todos concluídos, 1 algum vídeo falhou, 2 argumentos inválidos
+
+Exemplo:
+  node batch-dub.js aulas/ urls.txt -s pt -t en -v onyx -m timestamps -c 3 --output-dir dublados`);
+}
+
+async function main() {
+  installCleanupHandlers();
+
+  let values, positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: process.argv.slice(2),
+      allowPositionals: true,
+      options: {
+        source: { type: 'string', short: 's' },
+        target: { type: 'string', short: 't' },
+        voice: { type: 'string', short: 'v' },
+        method: { type: 'string', short: 'm', default: 'fast' },
+        quality: { type: 'string', short: 'q', default: 'original' },
+        concurrency: { type: 'string', short: 'c', default: String(DEFAULT_CONCURRENCY) },
+        parallel: { type: 'string' },
+        'requests-per-minute': { type: 'string' },
+        'output-dir': { type: 'string' },
+        glossary: { type: 'string' },
+        'embed-subtitles': { type: 'boolean' },
+        'no-subtitles': { type: 'boolean' },
+        'keep-background': { type: 'boolean' },
+        'keep-workdir': { type: 'boolean' },
+        loudness: { type: 'string' },
+        'silence-threshold': { type: 'string' },
+        'min-silence': { type: 'string' },
+        config: { type: 'string' },
+        profile: { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+      },
+      strict: true
+    }));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    // The help lists languages and voices from the configuration, unavailable when it failed to load
+    if (LANGUAGES) printUsage();
+    return EXIT_CODES.USAGE;
+  }
+
+  // The project file or profile decides which languages, voices and qualities exist
+  try {
+    configureDubbing({ file: values.config, profile: values.profile });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (values.help) {
+    printUsage();
+    return EXIT_CODES.SUCCESS;
+  }
+
+  // Batch mode never prompts, so every choice has to come from the flags
+  if (positionals.length === 0 || !values.source || !values.target || !values.voice) {
+    console.error('❌ Informe as entradas e --source, --target e --voice\n');
+    printUsage();
+    return EXIT_CODES.USAGE;
+  }
+
+  const sourceLang = findOption(LANGUAGES, values.source, 'code');
+  const targetLangs = values.target.split(',').map(code => findOption(LANGUAGES, code.trim(), 'code'));
+  const voice = findOption(VOICES, values.voice, 'id');
+  const quality = findOption(QUALITY_OPTIONS, values.quality, 'id');
+  const concurrency = parseInt(values.concurrency, 10);
+  const parallel = values.parallel !== undefined ? Number(values.parallel) : undefined;
+  const requestsPerMinute = values['requests-per-minute'] !== undefined ? Number(values['requests-per-minute']) : undefined;
+
+  if (!sourceLang || targetLangs.includes(null)) {
+    console.error(`❌ Idioma inválido: use ${Object.values(LANGUAGES).map(l => l.code).join(', ')}`);
+    return EXIT_CODES.USAGE;
+  }
+  if (!voice) {
+    console.error(`❌ Voz inválida: ${values.voice}`);
+    return EXIT_CODES.USAGE;
+  }
+  if (!quality) {
+    console.error(`❌ Qualidade inválida: ${values.quality}`);
+    return EXIT_CODES.USAGE;
+  }
+  if (!TRANSCRIPTION_METHODS.includes(values.method)) {
+    console.error(`❌ Método inválido: ${values.method} (use ${TRANSCRIPTION_METHODS.join(' ou ')})`);
+    return EXIT_CODES.USAGE;
+  }
+  if (!(concurrency >= 1)) {
+    console.error(`❌ Concorrência inválida: ${values.concurrency}`);
+    return EXIT_CODES.USAGE;
+  }
+  if (parallel !== undefined && !(Number.isInteger(parallel) && parallel >= 1)) {
+    console.error(`❌ Paralelismo inválido: ${values.parallel}`);
+    return EXIT_CODES.USAGE;
+  }
+  if (requestsPerMinute !== undefined && !(Number.isInteger(requestsPerMinute) && requestsPerMinute >= 0)) {
+    console.error(`❌ Limite de requisições por minuto inválido: ${values['requests-per-minute']}`);
+    return EXIT_CODES.USAGE;
+  }
+  // Jobs of the batch share one scheduler, so these limits apply to the batch as a whole
+  configureScheduler({ concurrency: parallel, requestsPerMinute: requestsPerMinute });
+
+  try {
+    parseLoudness(values.loudness);
+    parseSilenceThreshold(values['silence-threshold']);
+    parseMinSilence(values['min-silence']);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (values['keep-workdir']) {
+    keepWorkdirs();
+  }
+
+  if (values.glossary && !fs.existsSync(values.glossary)) {
+    console.error(`❌ Glossário não encontrado: ${values.glossary}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  let items;
+  try {
+    items = collectItems(positionals);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return EXIT_CODES.USAGE;
+  }
+  if (items.length === 0) {
+    console.error('❌ Nenhum vídeo para dublar');
+    return EXIT_CODES.USAGE;
+  }
+
+  const outputDir = values['output-dir'];
+  const duplicates = findDuplicateTargets(items, targetLangs, outputDir);
+  if (duplicates.length > 0) {
+    duplicates.forEach(problem => console.error(`❌ ${problem}`));
+    return EXIT_CODES.USAGE;
+  }
+  // Outputs already taken, checked again for each downloaded video
+  const claimedOutputs = new Set(items
+    .filter(item => item.type === 'file')
+    .map(item => path.resolve(outputVideoFor(item.source, targetLangs, outputDir))));
+
+  if (outputDir) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  console.log(`\n📦 Lote com ${items.length} vídeo(s), ${concurrency} por vez`);
+  console.log(`🗣️  ${sourceLang.name} → ${targetLangs.map(lang => lang.name).join(', ')} (voz ${voice.id})\n`);
+
+  const results = new Array(items.length);
+
+  await runQueue(items, concurrency, async (item, index) => {
+    const startedAt = Date.now();
+    console.log(`\n▶️  [${index + 1}/${items.length}] ${item.source}`);
+
+    try {
+      const videoFile = item.type === 'url'
+        ? await downloadYouTubeVideo(item.source, quality.format, path.join(DOWNLOADS_DIR, hashKey(item.source)))
+        : item.source;
+      if (!videoFile) {
+        throw new Error('Download não retornou o arquivo do vídeo');
+      }
+
+      const outputVideo = outputVideoFor(videoFile, targetLangs, outputDir);
+      if (item.type === 'url') {
+        if (claimedOutputs.has(path.resolve(outputVideo))) {
+          throw new Error(`Outro vídeo do lote já gera ${outputVideo}`);
+        }
+        claimedOutputs.add(path.resolve(outputVideo));
+      }
+      const options = {
+        outputVideo: outputVideo,
+        glossaryFile: values.glossary,
+        subtitles: !values['no-subtitles'],
+        embedSubtitles: values['embed-subtitles'],
+        keepBackground: values['keep-background'],
+        loudness: values.loudness,
+        silenceThreshold: values['silence-threshold'],
+        minSilence: values['min-silence']
+      };
+
+      const output = targetLangs.length > 1
+        ? await dubVideoMulti(videoFile, sourceLang, targetLangs, voice.id, false, values.method === 'timestamps', options)
+        : await dubVideo(videoFile, sourceLang, targetLangs[0], voice.id, false, values.method === 'timestamps', options);
+
+      results[index] = { item, status: 'ok', output, seconds: (Date.now() - startedAt) / 1000 };
+      console.log(`\n✅ [${index + 1}/${items.length}] Concluído: ${output}`);
+    } catch (error) {
+      results[index] = { item, status: 'failed', error: error.message.split('\n')[0], seconds: (Date.now() - startedAt) / 1000 };
+      console.error(`\n❌ [${index + 1}/${items.length}] Falhou: ${item.source} (${error.message.split('\n')[0]})`);
+    }
+  });
+
+  printSummary(results);
+  return results.every(result => result.status === 'ok') ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+// Only run the batch when executed directly, not when imported
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().then(exitCode => {
+    process.exitCode = exitCode;
+  }).catch(error => {
+    console.error('\n❌ Erro:', error.message);
+    process.exitCode = EXIT_CODES.FAILURE;
+  });
+}
@@ -0,0 +1,187 @@
+/**
+ * Content-addressed cache for provider results
+ *
+ * Every transcription, translation and TTS result is stored under a hash of its inputs:
+ *   transcribe - audio file content + model + language + timestamp granularity
+ *   translate  - model + system prompt (holds the languages) + user prompt (the text)
+ *   speech     - model + voice + text
+ * so rerunning a video with another voice, or after editing one block, only pays for what changed.
+ *
+ * Files live in <root>/<kind>/<first 2 hash chars>/<hash>.<ext>. A hit refreshes the file's
+ * modification time, and when the cache grows past its size limit the least recently used
+ * entries are removed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Where cached results are stored (DUB_CACHE_DIR overrides)
+export const DEFAULT_CACHE_DIR = '.cache/dub';
+
+// Size limit in MB (DUB_CACHE_MAX_MB overrides)
+export const DEFAULT_CACHE_MAX_MB = 2048;
+
+// After going over the limit, entries are removed until the cache is this fraction of it
+const PRUNE_TARGET = 0.9;
+
+export function cacheKey(...parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+// Hash of a file's content, read as a stream so long audio doesn't load into memory
+export function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+      .on('data', data => hash.update(data))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+function listEntries(root) {
+  const entries = [];
+  if (!fs.existsSync(root)) return entries;
+
+  for (const kind of fs.readdirSync(root)) {
+    const kindDir = path.join(root, kind);
+    if (!fs.statSync(kindDir).isDirectory()) continue;
+    for (const shard of fs.readdirSync(kindDir)) {
+      const shardDir = path.join(kindDir, shard);
+      if (!fs.statSync(shardDir).isDirectory()) continue;
+      for (const name of fs.readdirSync(shardDir)) {
+        const file = path.join(shardDir, name);
+        const stats = fs.statSync(file);
+        entries.push({ file, kind, size: stats.size, usedAt: stats.mtimeMs });
+      }
+    }
+  }
+  return entries;
+}
+
+export function createCache({
+  root = process.env.DUB_CACHE_DIR || DEFAULT_CACHE_DIR,
+  maxBytes = Number(process.env.DUB_CACHE_MAX_MB || DEFAULT_CACHE_MAX_MB) * 1024 * 1024,
+  enabled = process.env.DUB_CACHE !== 'off'
+} = {}) {
+  // Total size is computed on the first write and then kept up to date
+  let totalBytes = null;
+
+  function entryPath(kind, key, ext) {
+    return path.join(root, kind, key.slice(0, 2), `${key}.${ext}`);
+  }
+
+  const cache = {
+    root,
+    maxBytes,
+    enabled,
+
+    get(kind, key, ext) {
+      const file = entryPath(kind, key, ext);
+      if (!fs.existsSync(file)) return null;
+      const now = new Date();
+      fs.utimesSync(file, now, now);
+      return fs.readFileSync(file);
+    },
+
+    set(kind, key, ext, data) {
+      const file = entryPath(kind, key, ext);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      // Write and rename so a crash never leaves a truncated entry behind
+      fs.writeFileSync(`${file}.tmp`, data);
+      fs.renameSync(`${file}.tmp`, file);
+
+      if (totalBytes === null) {
+        totalBytes = cache.stats().bytes;
+      } else {
+        totalBytes += Buffer.byteLength(data);
+      }
+      if (totalBytes > maxBytes) {
+        totalBytes = cache.prune({ maxBytes: maxBytes * PRUNE_TARGET }).bytes;
+      }
+    },
+
+    stats() {
+      const entries = listEntries(root);
+      const byKind = {};
+      for (const entry of entries) {
+        byKind[entry.kind] = byKind[entry.kind] || { entries: 0, bytes: 0 };
+        byKind[entry.kind].entries += 1;
+        byKind[entry.kind].bytes += entry.size;
+      }
+      return { entries: entries.length, bytes: entries.reduce((sum, entry) => sum + entry.size, 0), byKind };
+    },
+
+    // Remove entries unused for olderThanDays, then the least recently used ones until under maxBytes
+    prune({ maxBytes: limit = maxBytes, olderThanDays = null } = {}) {
+      const entries = listEntries(root).sort((a, b) => a.usedAt - b.usedAt);
+      const cutoff = olderThanDays !== null ? Date.now() - olderThanDays * 24 * 60 * 60 * 1000 : null;
+      let bytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+      let removed = 0;
+      let freed = 0;
+
+      for (const entry of entries) {
+        const stale = cutoff !== null && entry.usedAt < cutoff;
+        if (!stale && bytes <= limit) continue;
+        fs.rmSync(entry.file, { force: true });
+        bytes -= entry.size;
+        freed += entry.size;
+        removed += 1;
+      }
+
+      totalBytes = bytes;
+      return { removed, freed, bytes, entries: entries.length - removed };
+    },
+
+    clear() {
+      fs.rmSync(root, { recursive: true, force: true });
+      totalBytes = 0;
+    }
+  };
+
+  return cache;
+}
+
+// Wrap a provider so results are read from the cache before calling it
+export function withCache(provider, cache) {
+  return {
+    ...provider,
+
+    async transcribe(params) {
+      if (!cache.enabled) return provider.transcribe(params);
+      const model = params.timestamps ? provider.models.timestamps : provider.models.transcribe;
+      // Entries saved before word timestamps were requested have no words, so the granularity is part of the key
+      const granularity = params.timestamps ? 'segment,word' : 'text';
+      const key = cacheKey(provider.name, model, params.language || null, granularity, await hashFile(params.file));
+      const cached = cache.get('transcribe', key, 'json');
+      if (cached) return JSON.parse(cached.toString('utf8'));
+
+      const result = await provider.transcribe(params);
+      cache.set('transcribe', key, 'json', JSON.stringify(result));
+      return result;
+    },
+
+    async translate(params) {
+      if (!cache.enabled) return provider.translate(params);
+      const key = cacheKey(provider.name, provider.models.translate, params.system, params.user);
+      const cached = cache.get('translate', key, 'json');
+      if (cached) return JSON.parse(cached.toString('utf8')).text;
+
+      const text = await provider.translate(params);
+      cache.set('translate', key, 'json', JSON.stringify({ text }));
+      return text;
+    },
+
+    async speak(params) {
+      if (!cache.enabled) return provider.speak(params);
+      const key = cacheKey(provider.name, provider.models.speech, params.voice, params.text);
+      const cached = cache.get('speech', key, 'mp3');
+      if (cached) return cached;
+
+      const buffer = await provider.speak(params);
+      cache.set('speech', key, 'mp3', buffer);
+      return buffer;
+    }
+  };
+}
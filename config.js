@@ -0,0 +1,231 @@
+/**
+ * Project configuration: languages, voices, download qualities, models, limits, silence and loudness
+ *
+ * dubbing.config.json next to these scripts holds the defaults. Each layer below is merged on top
+ * of the previous one (objects key by key, so a file only lists what it changes; null removes an
+ * entry, e.g. a language):
+ *
+ *   1. dubbing.config.json shipped with the scripts
+ *   2. dubbing.config.json in the working directory, or the file in DUB_CONFIG / --config
+ *   3. the profile in DUB_PROFILE / --profile, from "profiles" of the files above
+ *   4. single values from the environment (ENV_OVERRIDES)
+ *
+ * Command line flags (--loudness, --min-silence...) still win over all of them. Every layer is
+ * checked against CONFIG_SCHEMA, so a typo in a key or an invalid value stops the run with the
+ * file and the path of the problem instead of failing halfway through a dub.
+ *
+ *   {
+ *     "languages": { "ru": { "iso639_2": "rus", "name": "Русский 🇷🇺", "systemPrompt": "Russian" } },
+ *     "profiles": { "podcast": { "silence": { "minSilence": 1.5 }, "loudness": -16 } }
+ *   }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseSilenceThreshold, parseMinSilence } from './silence.js';
+import { parseLoudness } from './loudness.js';
+import { CUT_SEARCH_WINDOW, CHUNK_OVERLAP } from './audio-chunks.js';
+
+// Read from the working directory when no DUB_CONFIG / --config is given
+export const DEFAULT_CONFIG_FILE = 'dubbing.config.json';
+
+// Defaults shipped with the scripts
+const BASE_CONFIG_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), DEFAULT_CONFIG_FILE);
+
+// Value checks: each returns an error message, or null when the value is valid
+const text = (value) => (typeof value === 'string' && value.trim() ? null : 'deve ser um texto');
+const positiveInteger = (value) => (Number.isInteger(value) && value > 0 ? null : 'deve ser um inteiro positivo');
+const positiveNumber = (value) => (typeof value === 'number' && value > 0 ? null : 'deve ser um número positivo');
+const atLeast = (min) => (value) => (typeof value === 'number' && value >= min ? null : `deve ser um número a partir de ${min}`);
+
+// Chunks shorter than the window a cut is searched in, plus the overlap, would mostly be overlap
+const MIN_AUDIO_CHUNK_DURATION = CUT_SEARCH_WINDOW + CHUNK_OVERLAP;
+
+// Checks that reuse the parsers of the command line flags, so both accept the same values
+function parsedBy(parse) {
+  return (value) => {
+    if (typeof value !== 'string' && typeof value !== 'number') return 'deve ser um texto ou número';
+    try {
+      parse(value);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  };
+}
+
+// { fields } is an object with exactly these keys; { entries } an object whose keys are free
+// (language codes, voice ids...) and whose values all follow the same schema
+const CONFIG_SCHEMA = {
+  fields: {
+    languages: { entries: { fields: { iso639_2: text, name: text, systemPrompt: text } } },
+    voices: { entries: { fields: { name: text } } },
+    qualities: { entries: { fields: { name: text, format: text, ytdl: text } } },
+    models: { fields: { transcribe: text, timestamps: text, translate: text, speech: text } },
+    limits: { fields: { maxTtsChars: positiveInteger, audioChunkDuration: atLeast(MIN_AUDIO_CHUNK_DURATION), maxBlockDuration: positiveNumber } },
+    silence: { fields: { threshold: parsedBy(parseSilenceThreshold), minSilence: parsedBy(parseMinSilence) } },
+    loudness: parsedBy(parseLoudness)
+  }
+};
+
+// Environment variable → config paths it sets. Numbers are converted where the schema wants one
+const ENV_OVERRIDES = {
+  DUB_TRANSCRIBE_MODEL: ['models.transcribe', 'models.timestamps'],
+  DUB_TRANSLATE_MODEL: ['models.translate'],
+  DUB_SPEECH_MODEL: ['models.speech'],
+  DUB_MAX_TTS_CHARS: ['limits.maxTtsChars'],
+  DUB_AUDIO_CHUNK_DURATION: ['limits.audioChunkDuration'],
+  DUB_MAX_BLOCK_DURATION: ['limits.maxBlockDuration'],
+  DUB_SILENCE_THRESHOLD: ['silence.threshold'],
+  DUB_MIN_SILENCE: ['silence.minSilence'],
+  DUB_LOUDNESS: ['loudness']
+};
+const NUMERIC_PATHS = ['limits.maxTtsChars', 'limits.audioChunkDuration', 'limits.maxBlockDuration'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function configError(source, message) {
+  const error = new Error(`Configuração inválida (${source}): ${message}`);
+  error.code = 'INVALID_CONFIG';
+  return error;
+}
+
+// Problems of `value` against `schema`: ['limits.maxTtsChars: deve ser um inteiro positivo', ...].
+// A partial layer may leave keys out; the merged config must have all of them
+function checkSchema(value, schema, keyPath, partial) {
+  if (typeof schema === 'function') {
+    const problem = schema(value);
+    return problem ? [`${keyPath}: ${problem}`] : [];
+  }
+  if (!isPlainObject(value)) {
+    return [`${keyPath || 'raiz'}: deve ser um objeto`];
+  }
+
+  const join = (key) => (keyPath ? `${keyPath}.${key}` : key);
+  if (schema.entries) {
+    return Object.entries(value)
+      .filter(([, entry]) => !(partial && entry === null))
+      .flatMap(([key, entry]) => checkSchema(entry, schema.entries, join(key), partial));
+  }
+
+  const problems = Object.keys(value)
+    .filter(key => !(key in schema.fields))
+    .map(key => `${join(key)}: chave desconhecida (use ${Object.keys(schema.fields).join(', ')})`);
+  for (const [key, fieldSchema] of Object.entries(schema.fields)) {
+    if (value[key] === undefined) {
+      if (!partial) problems.push(`${join(key)}: obrigatório`);
+      continue;
+    }
+    problems.push(...checkSchema(value[key], fieldSchema, join(key), partial));
+  }
+  return problems;
+}
+
+function validate(layer, source, partial) {
+  const problems = checkSchema(layer, CONFIG_SCHEMA, '', partial);
+  if (problems.length > 0) {
+    throw configError(source, problems.join('; '));
+  }
+}
+
+// `layer` merged onto `base`: objects key by key, anything else replaced; null deletes the key
+function mergeConfig(base, layer) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(layer)) {
+    if (value === null) {
+      delete merged[key];
+    } else if (isPlainObject(value) && isPlainObject(merged[key])) {
+      merged[key] = mergeConfig(merged[key], value);
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+// { settings, profiles } of a config file; profiles are kept apart until one is chosen
+function readConfigFile(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw configError(file, e.message);
+  }
+  if (!isPlainObject(data)) {
+    throw configError(file, 'deve ser um objeto JSON');
+  }
+
+  const { profiles = {}, ...settings } = data;
+  if (!isPlainObject(profiles)) {
+    throw configError(file, 'profiles: deve ser um objeto { "nome": { ... } }');
+  }
+  validate(settings, file, true);
+  for (const [name, profile] of Object.entries(profiles)) {
+    validate(profile, `${file}, perfil "${name}"`, true);
+  }
+  return { settings, profiles };
+}
+
+// Values set through ENV_OVERRIDES, as a layer; each variable is checked on its own so the error names it
+function envLayer(env) {
+  let layer = {};
+  for (const [variable, paths] of Object.entries(ENV_OVERRIDES)) {
+    const raw = env[variable];
+    if (raw === undefined || raw.trim() === '') continue;
+
+    const values = {};
+    for (const keyPath of paths) {
+      const [section, key] = keyPath.split('.');
+      const value = NUMERIC_PATHS.includes(keyPath) ? Number(raw) : raw.trim();
+      values[section] = key ? { ...values[section], [key]: value } : value;
+    }
+    validate(values, variable, true);
+    layer = mergeConfig(layer, values);
+  }
+  return layer;
+}
+
+// Read, merge and validate the configuration. Returns the settings plus
+// { profile, profiles: [names], files: [files read] }
+export function loadConfig({ file = process.env.DUB_CONFIG, profile = process.env.DUB_PROFILE, env = process.env } = {}) {
+  const files = [BASE_CONFIG_FILE];
+  if (file) {
+    if (!fs.existsSync(file)) {
+      throw configError(file, 'arquivo não encontrado');
+    }
+    files.push(file);
+  } else if (fs.existsSync(DEFAULT_CONFIG_FILE) && path.resolve(DEFAULT_CONFIG_FILE) !== BASE_CONFIG_FILE) {
+    files.push(DEFAULT_CONFIG_FILE);
+  }
+
+  let settings = {};
+  let profiles = {};
+  for (const configFile of files) {
+    const layer = readConfigFile(configFile);
+    settings = mergeConfig(settings, layer.settings);
+    profiles = mergeConfig(profiles, layer.profiles);
+  }
+
+  if (profile) {
+    if (!profiles[profile]) {
+      const available = Object.keys(profiles);
+      throw configError(files.join(', '), `perfil desconhecido: ${profile} (use ${available.length > 0 ? available.join(', ') : 'um perfil definido em "profiles"'})`);
+    }
+    settings = mergeConfig(settings, profiles[profile]);
+  }
+
+  settings = mergeConfig(settings, envLayer(env));
+
+  validate(settings, files.join(', ') + (profile ? `, perfil "${profile}"` : ''), false);
+  return { ...settings, profile: profile || null, profiles: Object.keys(profiles), files: files };
+}
+
+// Numbered menu entries from a config section: { '1': { [idField]: key, ...entry }, ... }
+export function menuOptions(entries, idField) {
+  return Object.fromEntries(
+    Object.entries(entries).map(([key, entry], i) => [String(i + 1), { [idField]: key, ...entry }])
+  );
+}
@@ -0,0 +1,169 @@
+/**
+ * Cost estimate and usage accounting for the paid APIs
+ *
+ * Usage has the same shape for estimates and for what a run actually consumed:
+ *   { transcribe: { model, requests, seconds },
+ *     translate:  { model, requests, inputTokens, outputTokens },
+ *     speech:     { model, requests, characters } }
+ *
+ * trackUsage() wraps a provider so every call is added to the recorder of the run it belongs
+ * to. Runs are told apart with AsyncLocalStorage, so concurrent batch jobs don't mix up usage.
+ */
+
+import fs from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
+import { probeDuration } from './ffmpeg.js';
+
+// Prices in USD. Transcription per minute of audio, translation per million tokens,
+// speech per million characters of input text
+export const PRICING = {
+  'gpt-4o-mini-transcribe': { perMinute: 0.003 },
+  'gpt-4o-transcribe': { perMinute: 0.006 },
+  'whisper-1': { perMinute: 0.006 },
+  'o4-mini': { inputPerMillion: 1.10, outputPerMillion: 4.40 },
+  'gpt-4o-mini': { inputPerMillion: 0.15, outputPerMillion: 0.60 },
+  'gpt-4o': { inputPerMillion: 2.50, outputPerMillion: 10.00 },
+  'gpt-4o-mini-tts': { perMillionCharacters: 15.00 },  // ≈ $0.015 per minute of speech
+  'tts-1': { perMillionCharacters: 15.00 },
+  'tts-1-hd': { perMillionCharacters: 30.00 },
+  'fake': { perMinute: 0, inputPerMillion: 0, outputPerMillion: 0, perMillionCharacters: 0 }
+};
+
+// Rough size of text, used when the real token count is unknown
+export const CHARS_PER_TOKEN = 4;
+
+export function emptyUsage(models = {}) {
+  return {
+    transcribe: { model: models.transcribe || null, requests: 0, seconds: 0 },
+    translate: { model: models.translate || null, requests: 0, inputTokens: 0, outputTokens: 0 },
+    speech: { model: models.speech || null, requests: 0, characters: 0 }
+  };
+}
+
+// Price a usage object. Models missing from PRICING (e.g. local servers) are listed in unknownModels
+export function priceUsage(usage) {
+  const unknownModels = [];
+
+  function price(model, compute) {
+    const pricing = PRICING[model];
+    if (!pricing) {
+      if (model && !unknownModels.includes(model)) unknownModels.push(model);
+      return 0;
+    }
+    return compute(pricing);
+  }
+
+  const transcribe = usage.transcribe.requests > 0
+    ? price(usage.transcribe.model, p => (usage.transcribe.seconds / 60) * p.perMinute)
+    : 0;
+  const translate = usage.translate.requests > 0
+    ? price(usage.translate.model, p => (usage.translate.inputTokens * p.inputPerMillion + usage.translate.outputTokens * p.outputPerMillion) / 1e6)
+    : 0;
+  const speech = usage.speech.requests > 0
+    ? price(usage.speech.model, p => usage.speech.characters * p.perMillionCharacters / 1e6)
+    : 0;
+
+  return { transcribe, translate, speech, total: transcribe + translate + speech, unknownModels };
+}
+
+export function formatUsd(value) {
+  return `US$ ${value.toFixed(value < 1 ? 4 : 2)}`;
+}
+
+// Table printed before a run (estimate) and after it (actual usage)
+export function printCostTable(title, usage) {
+  const cost = priceUsage(usage);
+  console.log(title);
+  console.log(`   🎙️  Transcrição: ${(usage.transcribe.seconds / 60).toFixed(1)} min em ${usage.transcribe.requests} requisição(ões) (${usage.transcribe.model || '-'}) → ${formatUsd(cost.transcribe)}`);
+  console.log(`   🌐 Tradução: ${usage.translate.inputTokens} tokens de entrada, ${usage.translate.outputTokens} de saída em ${usage.translate.requests} requisição(ões) (${usage.translate.model || '-'}) → ${formatUsd(cost.translate)}`);
+  console.log(`   🔊 TTS: ${usage.speech.characters} caracteres em ${usage.speech.requests} requisição(ões) (${usage.speech.model || '-'}) → ${formatUsd(cost.speech)}`);
+  console.log(`   💰 Total: ${formatUsd(cost.total)}`);
+  if (cost.unknownModels.length > 0) {
+    console.log(`   ⚠️  Sem preço conhecido para: ${cost.unknownModels.join(', ')} (contados como US$ 0)`);
+  }
+  console.log('');
+  return cost;
+}
+
+const usageStorage = new AsyncLocalStorage();
+
+// Collects the usage of one run; everything awaited inside run(fn) is recorded here.
+// Each kind takes the model of its first call
+export function createUsageRecorder() {
+  const usage = emptyUsage();
+
+  const recorder = {
+    usage,
+
+    run(fn) {
+      return usageStorage.run(recorder, fn);
+    },
+
+    add(kind, model, amounts) {
+      const entry = usage[kind];
+      entry.model = entry.model || model;
+      entry.requests += 1;
+      for (const [field, value] of Object.entries(amounts)) {
+        entry[field] += value;
+      }
+    },
+
+    save(file, extra = {}) {
+      fs.writeFileSync(file, JSON.stringify({ ...extra, usage, cost: priceUsage(usage) }, null, 2));
+    }
+  };
+
+  return recorder;
+}
+
+async function audioSeconds(file) {
+  try {
+    return (await probeDuration(file)) || 0;
+  } catch (e) {
+    return 0;
+  }
+}
+
+// Wrap a provider so each call is recorded in the current run's recorder (if any).
+// Providers that know the real token count report it through onUsage; otherwise it's estimated
+export function trackUsage(provider) {
+  function recorder() {
+    return usageStorage.getStore() || null;
+  }
+
+  return {
+    ...provider,
+
+    async transcribe(params) {
+      const result = await provider.transcribe(params);
+      const current = recorder();
+      if (current) {
+        const model = params.timestamps ? provider.models.timestamps : provider.models.transcribe;
+        current.add('transcribe', model, { seconds: await audioSeconds(params.file) });
+      }
+      return result;
+    },
+
+    async translate(params) {
+      let reported = null;
+      const text = await provider.translate({ ...params, onUsage: usage => { reported = usage; } });
+      const current = recorder();
+      if (current) {
+        current.add('translate', provider.models.translate, reported || {
+          inputTokens: Math.ceil((params.system.length + params.user.length) / CHARS_PER_TOKEN),
+          outputTokens: Math.ceil(text.length / CHARS_PER_TOKEN)
+        });
+      }
+      return text;
+    },
+
+    async speak(params) {
+      const buffer = await provider.speak(params);
+      const current = recorder();
+      if (current) {
+        current.add('speech', provider.models.speech, { characters: params.text.length });
+      }
+      return buffer;
+    }
+  };
+}
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * Inspect and prune the transcription / translation / TTS cache
+ *
+ *   node dub-cache.js stats
+ *   node dub-cache.js prune [--max-size <MB>] [--older-than <dias>]
+ *   node dub-cache.js clear
+ */
+
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { createCache } from './cache.js';
+
+function formatMb(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function showHelp(cache) {
+  console.log(`
+Uso: node dub-cache.js <comando> [opções]
+
+Comandos:
+  stats                     Mostra o tamanho do cache por tipo
+  prune                     Remove as entradas usadas há mais tempo até caber no limite
+  clear                     Apaga todo o cache
+
+Opções:
+      --max-size <MB>       Limite usado pelo prune (padrão: DUB_CACHE_MAX_MB ou ${formatMb(cache.maxBytes)})
+      --older-than <dias>   prune também remove entradas não usadas há mais que isso
+  -h, --help                Mostra esta ajuda
+
+Cache em: ${cache.root} (DUB_CACHE_DIR)`);
+}
+
+function printStats(cache) {
+  const stats = cache.stats();
+  console.log(`📦 Cache em ${cache.root}: ${stats.entries} entradas, ${formatMb(stats.bytes)} de ${formatMb(cache.maxBytes)}`);
+  for (const [kind, entry] of Object.entries(stats.byKind)) {
+    console.log(`   ${kind}: ${entry.entries} entradas, ${formatMb(entry.bytes)}`);
+  }
+}
+
+function main(argv) {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      options: {
+        'max-size': { type: 'string' },
+        'older-than': { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+      },
+      allowPositionals: true,
+      strict: true
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 2;
+  }
+
+  const cache = createCache();
+  const { values, positionals } = args;
+  const command = positionals[0];
+
+  if (values.help || !command) {
+    showHelp(cache);
+    return values.help ? 0 : 2;
+  }
+
+  switch (command) {
+    case 'stats':
+      printStats(cache);
+      return 0;
+
+    case 'prune': {
+      const maxSize = values['max-size'] !== undefined ? Number(values['max-size']) : null;
+      const olderThan = values['older-than'] !== undefined ? Number(values['older-than']) : null;
+      if (maxSize !== null && !(maxSize >= 0)) {
+        console.error(`❌ Tamanho inválido: ${values['max-size']}`);
+        return 2;
+      }
+      if (olderThan !== null && !(olderThan >= 0)) {
+        console.error(`❌ Número de dias inválido: ${values['older-than']}`);
+        return 2;
+      }
+
+      const result = cache.prune({
+        maxBytes: maxSize !== null ? maxSize * 1024 * 1024 : cache.maxBytes,
+        olderThanDays: olderThan
+      });
+      console.log(`🧹 ${result.removed} entradas removidas (${formatMb(result.freed)} liberados)`);
+      printStats(cache);
+      return 0;
+    }
+
+    case 'clear':
+      cache.clear();
+      console.log(`🗑️  Cache apagado: ${cache.root}`);
+      return 0;
+
+    default:
+      console.error(`❌ Comando desconhecido: ${command} (use stats, prune ou clear)`);
+      return 2;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -1,10 +1,7 @@
 import 'dotenv/config';
 import OpenAI from 'openai';
 import fs from 'fs';
-import { exec } from 'child_process';
-import { promisify } from 'util';
-
-const execAsync = promisify(exec);
+import { runFfmpeg, probeDuration } from './ffmpeg.js';
 
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
@@ -16,7 +13,7 @@ async function dubVideo(inputVideo, outputVideo) {
   // Step 1: Extract audio from video
   console.log('📤 Extracting audio from video...');
   const audioFile = 'temp_audio.mp3';
-  await execAsync(`ffmpeg -i "${inputVideo}" -vn -acodec libmp3lame -q:a 2 "${audioFile}" -y`);
+  await runFfmpeg(['-y', '-i', inputVideo, '-vn', '-acodec', 'libmp3lame', '-q:a', '2', audioFile]);
   console.log('✅ Audio extracted\n');
 
   // Step 2: Transcribe Portuguese audio to text
@@ -61,11 +58,9 @@ async function dubVideo(inputVideo, outputVideo) {
 
   // Step 5: Get video duration to check if we need to adjust audio speed
   console.log('⏱️  Checking video/audio duration...');
-  const { stdout: videoInfo } = await execAsync(`ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${inputVideo}"`);
-  const videoDuration = parseFloat(videoInfo.trim());
+  const videoDuration = await probeDuration(inputVideo);
 
-  const { stdout: audioInfo } = await execAsync(`ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${englishAudioFile}"`);
-  const audioDuration = parseFloat(audioInfo.trim());
+  const audioDuration = await probeDuration(englishAudioFile);
 
   console.log(`Video duration: ${videoDuration.toFixed(2)}s`);
   console.log(`Audio duration: ${audioDuration.toFixed(2)}s\n`);
@@ -73,16 +68,16 @@ async function dubVideo(inputVideo, outputVideo) {
   // Step 6: Replace audio in video (with speed adjustment if needed)
   console.log('🎥 Replacing audio in video...');
 
-  let audioFilter = '';
+  let audioFilter = [];
   const speedRatio = videoDuration / audioDuration;
 
   // Only adjust if difference is significant (more than 5%)
   if (Math.abs(speedRatio - 1) > 0.05) {
     console.log(`⚙️  Adjusting audio speed by ${(speedRatio * 100).toFixed(1)}% to match video duration...`);
-    audioFilter = `-filter:a "atempo=${speedRatio}"`;
+    audioFilter = ['-filter:a', `atempo=${speedRatio}`];
   }
 
-  await execAsync(`ffmpeg -i "${inputVideo}" -i "${englishAudioFile}" -c:v copy ${audioFilter} -map 0:v:0 -map 1:a:0 -shortest "${outputVideo}" -y`);
+  await runFfmpeg(['-y', '-i', inputVideo, '-i', englishAudioFile, '-c:v', 'copy', ...audioFilter, '-map', '0:v:0', '-map', '1:a:0', '-shortest', outputVideo]);
   console.log('✅ Video with English dub created\n');
 
   // Cleanup
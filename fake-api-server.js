@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for the OpenAI API that fails on purpose, to exercise retries and error handling
+ *
+ * Serves the three endpoints the pipeline uses (audio/transcriptions, chat/completions,
+ * audio/speech) with the answers of the fake provider. The first requests follow a script
+ * of failures, in the order they arrive; once the script is used up every request succeeds.
+ *
+ *   node fake-api-server.js --fail 429x2,500,hang,reset
+ *   DUB_PROVIDER=openai-compatible DUB_PROVIDER_BASE_URL=http://localhost:8787/v1 DUB_API_TIMEOUT=5 \
+ *     node ai-video-dub.js -i video.mp4 -s pt -t en -v onyx -m fast -y
+ */
+
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseArgs } from 'util';
+import { createFakeProvider } from './providers.js';
+
+const DEFAULT_PORT = 8787;
+
+// Failures that can be scripted: HTTP status, body error code and whether Retry-After is sent
+const FAILURES = {
+  '400': { status: 400, code: 'invalid_request_error', message: 'Invalid request' },
+  '401': { status: 401, code: 'invalid_api_key', message: 'Incorrect API key provided' },
+  '429': { status: 429, code: 'rate_limit_exceeded', message: 'Rate limit reached', retryAfter: true },
+  'quota': { status: 429, code: 'insufficient_quota', message: 'You exceeded your current quota' },
+  '500': { status: 500, code: 'server_error', message: 'The server had an error' },
+  '503': { status: 503, code: 'overloaded', message: 'The engine is currently overloaded', retryAfter: true },
+  'hang': { hang: true },    // Never answers, so the client times out
+  'reset': { reset: true }   // Closes the connection without answering
+};
+
+const fake = createFakeProvider();
+
+// "429x2,500" → ['429', '429', '500']
+function parseScript(value) {
+  const script = [];
+  for (const item of value.split(',').map(part => part.trim()).filter(Boolean)) {
+    const [name, times = '1'] = item.split('x');
+    if (!FAILURES[name] && name !== 'ok') {
+      throw new Error(`Falha desconhecida: ${name} (use ${[...Object.keys(FAILURES), 'ok'].join(', ')})`);
+    }
+    for (let i = 0; i < Number(times); i++) script.push(name);
+  }
+  return script;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Fields of a multipart/form-data body: { name: { filename, data } }
+function parseMultipart(body, contentType) {
+  const boundary = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+  const fields = {};
+
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const end = body.indexOf(delimiter, start + delimiter.length);
+    if (end === -1) break;
+    const part = body.subarray(start + delimiter.length + 2, end - 2);  // Skip the CRLF around the part
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const headers = part.subarray(0, headerEnd).toString('utf8');
+    const name = headers.match(/name="([^"]+)"/)?.[1];
+    const filename = headers.match(/filename="([^"]*)"/)?.[1];
+    if (name) fields[name] = { filename, data: part.subarray(headerEnd + 4) };
+    start = end;
+  }
+  return fields;
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+async function answer(req, body) {
+  if (req.url.endsWith('/audio/transcriptions')) {
+    const fields = parseMultipart(body, req.headers['content-type'] || '');
+    const file = path.join(os.tmpdir(), `fake-api-${process.pid}-${Date.now()}${path.extname(fields.file?.filename || '.mp3')}`);
+    fs.writeFileSync(file, fields.file?.data || Buffer.alloc(0));
+    try {
+      const verbose = fields.response_format?.data.toString() === 'verbose_json';
+      const result = await fake.transcribe({ file, timestamps: verbose });
+      return { json: verbose ? result : { text: result.text } };
+    } finally {
+      fs.rmSync(file, { force: true });
+    }
+  }
+
+  if (req.url.endsWith('/chat/completions')) {
+    const { messages } = JSON.parse(body.toString('utf8'));
+    const system = messages.find(message => message.role === 'system')?.content || '';
+    const user = messages.find(message => message.role === 'user')?.content || '';
+    const text = await fake.translate({ system, user });
+    return {
+      json: {
+        id: 'chatcmpl-fake',
+        object: 'chat.completion',
+        choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: Math.ceil((system.length + user.length) / 4), completion_tokens: Math.ceil(text.length / 4) }
+      }
+    };
+  }
+
+  if (req.url.endsWith('/audio/speech')) {
+    const { input, voice } = JSON.parse(body.toString('utf8'));
+    return { audio: await fake.speak({ text: input, voice }) };
+  }
+
+  return null;
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', short: 'p', default: String(DEFAULT_PORT) },
+      fail: { type: 'string', default: '' },
+      'retry-after': { type: 'string', default: '1' }
+    }
+  });
+
+  const script = parseScript(values.fail);
+  let requestCount = 0;
+
+  const server = http.createServer(async (req, res) => {
+    const body = await readBody(req);
+    const number = ++requestCount;
+    const step = script.shift() || 'ok';
+    const failure = FAILURES[step];
+    console.log(`#${number} ${req.method} ${req.url} → ${step}`);
+
+    if (failure?.hang) return;
+    if (failure?.reset) {
+      req.socket.destroy();
+      return;
+    }
+    if (failure) {
+      const headers = failure.retryAfter ? { 'Retry-After': values['retry-after'] } : {};
+      sendJson(res, failure.status, { error: { message: failure.message, type: failure.code, code: failure.code } }, headers);
+      return;
+    }
+
+    try {
+      const result = await answer(req, body);
+      if (!result) {
+        sendJson(res, 404, { error: { message: `Unknown endpoint ${req.url}`, type: 'invalid_request_error' } });
+      } else if (result.audio) {
+        res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+        res.end(result.audio);
+      } else {
+        sendJson(res, 200, result.json);
+      }
+    } catch (error) {
+      sendJson(res, 500, { error: { message: error.message, type: 'server_error' } });
+    }
+  });
+
+  server.listen(Number(values.port), () => {
+    console.log(`🧪 API falsa em http://localhost:${values.port}/v1 (${script.length} falha(s) programada(s))`);
+  });
+}
+
+main().catch(error => {
+  console.error('❌ Erro:', error.message);
+  process.exitCode = 1;
+});
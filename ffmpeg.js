@@ -0,0 +1,175 @@
+/**
+ * Safe ffmpeg / ffprobe runner
+ *
+ * Commands are spawned with argument arrays, never through a shell, so file names with
+ * quotes, spaces or $ are passed as they are. ffmpeg reports its progress on an extra pipe
+ * (-progress pipe:3), parsed into { percent, time, speed, eta } events when the expected
+ * duration is known. Any call can be cancelled with an AbortSignal.
+ *
+ * Failures are thrown as Errors with error.code:
+ *   FFMPEG_NOT_FOUND - the binary is not installed / not in PATH
+ *   FFMPEG_FAILED    - non-zero exit; error.exitCode, error.args and error.stderrTail tell why
+ *   FFMPEG_ABORTED   - cancelled through the signal
+ */
+
+import { spawn } from 'child_process';
+import path from 'path';
+
+export const FFMPEG_ERRORS = {
+  NOT_FOUND: 'FFMPEG_NOT_FOUND',
+  FAILED: 'FFMPEG_FAILED',
+  ABORTED: 'FFMPEG_ABORTED'
+};
+
+// Lines of stderr kept in error messages
+const STDERR_TAIL_LINES = 15;
+
+function stderrTail(stderr) {
+  return stderr.trim().split('\n').slice(-STDERR_TAIL_LINES).join('\n');
+}
+
+function toolError(code, tool, args, message, extra = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.tool = tool;
+  error.args = args;
+  Object.assign(error, extra);
+  return error;
+}
+
+// Parse "-progress" key=value blocks, calling onProgress at the end of each block
+function createProgressParser(duration, onProgress) {
+  let pending = '';
+  let current = {};
+
+  return (chunk) => {
+    pending += chunk.toString('utf8');
+    const lines = pending.split('\n');
+    pending = lines.pop();
+
+    for (const line of lines) {
+      const [key, value] = line.trim().split('=');
+      if (key === 'out_time_us' || key === 'out_time_ms') {
+        // Both are in microseconds (out_time_ms is misnamed in ffmpeg)
+        const time = Number(value) / 1e6;
+        if (time >= 0) current.time = time;
+      } else if (key === 'speed') {
+        current.speed = parseFloat(value) || null;
+      } else if (key === 'progress') {
+        const time = current.time || 0;
+        const percent = duration > 0 ? Math.min(100, (time / duration) * 100) : null;
+        const eta = duration > 0 && current.speed ? Math.max(0, (duration - time) / current.speed) : null;
+        onProgress({ percent, time, speed: current.speed || null, eta, done: value === 'end' });
+        current = {};
+      }
+    }
+  };
+}
+
+// Run a binary with arguments. Resolves { stdout, stderr }; stdout is a Buffer when encoding is 'buffer'
+function runTool(tool, args, { signal, onProgress, duration, encoding = 'utf8' } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(toolError(FFMPEG_ERRORS.ABORTED, tool, args, `${tool} cancelado`));
+      return;
+    }
+
+    const child = spawn(tool, args, { stdio: ['ignore', 'pipe', 'pipe', onProgress ? 'pipe' : 'ignore'] });
+    const stdout = [];
+    let stderr = '';
+    let aborted = false;
+
+    const abort = () => {
+      aborted = true;
+      child.kill('SIGTERM');
+    };
+    signal?.addEventListener('abort', abort, { once: true });
+
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => { stderr += chunk.toString('utf8'); });
+    if (onProgress) {
+      child.stdio[3].on('data', createProgressParser(duration, onProgress));
+    }
+
+    child.on('error', error => {
+      signal?.removeEventListener('abort', abort);
+      if (error.code === 'ENOENT') {
+        reject(toolError(FFMPEG_ERRORS.NOT_FOUND, tool, args, `${tool} não encontrado. Instale o FFmpeg e confira se está no PATH`));
+      } else {
+        reject(toolError(FFMPEG_ERRORS.FAILED, tool, args, `${tool} não pôde ser executado: ${error.message}`, { cause: error }));
+      }
+    });
+
+    child.on('close', (exitCode) => {
+      signal?.removeEventListener('abort', abort);
+      const output = Buffer.concat(stdout);
+
+      if (aborted) {
+        reject(toolError(FFMPEG_ERRORS.ABORTED, tool, args, `${tool} cancelado`));
+      } else if (exitCode !== 0) {
+        const tail = stderrTail(stderr);
+        const lastLine = tail.split('\n').pop() || 'sem saída de erro';
+        reject(toolError(FFMPEG_ERRORS.FAILED, tool, args, `${tool} falhou (código ${exitCode}): ${lastLine}`, {
+          exitCode: exitCode,
+          stderrTail: tail
+        }));
+      } else {
+        resolve({ stdout: encoding === 'buffer' ? output : output.toString(encoding), stderr });
+      }
+    });
+  });
+}
+
+// ffmpeg without banner, stats or stdin; with onProgress the progress goes to pipe 3
+export function runFfmpeg(args, options = {}) {
+  const progressArgs = options.onProgress ? ['-progress', 'pipe:3'] : [];
+  return runTool('ffmpeg', ['-hide_banner', '-nostdin', '-nostats', ...progressArgs, ...args], options);
+}
+
+export function runFfprobe(args, options = {}) {
+  return runTool('ffprobe', ['-v', 'error', ...args], options);
+}
+
+// Duration of a media file in seconds
+export async function probeDuration(file, options = {}) {
+  const { stdout } = await runFfprobe(['-show_entries', 'format=duration', '-of', 'default=noprint_wrappers=1:nokey=1', file], options);
+  return parseFloat(stdout.trim());
+}
+
+// Number of channels of the first audio stream
+export async function probeAudioChannels(file, options = {}) {
+  const { stdout } = await runFfprobe(['-select_streams', 'a:0', '-show_entries', 'stream=channels', '-of', 'csv=p=0', file], options);
+  return parseInt(stdout.trim(), 10);
+}
+
+// Line of an ffmpeg concat list, escaping quotes in the path. The path is made absolute because
+// the concat demuxer resolves relative entries against the list's folder, not the current one
+export function concatListLine(file) {
+  return `file '${path.resolve(file).replace(/'/g, "'\\''")}'`;
+}
+
+function formatSeconds(seconds) {
+  const total = Math.round(seconds);
+  return total >= 60 ? `${Math.floor(total / 60)}m${String(total % 60).padStart(2, '0')}s` : `${total}s`;
+}
+
+// onProgress handler printing "label: 42% (ETA 1m05s)": redrawn in place on a terminal,
+// every 10% otherwise (e.g. logs of a batch run)
+export function progressPrinter(label) {
+  const interactive = process.stdout.isTTY;
+  let lastStep = -1;
+
+  return ({ percent, eta, done }) => {
+    if (percent === null) return;
+    const text = `   ⏳ ${label}: ${percent.toFixed(0)}%${eta !== null && !done ? ` (ETA ${formatSeconds(eta)})` : ''}`;
+    if (interactive) {
+      process.stdout.write(`\r${text.padEnd(60)}${done ? '\n' : ''}`);
+      return;
+    }
+    const step = Math.floor(percent / 10);
+    if (step > lastStep) {
+      lastStep = step;
+      console.log(text);
+    }
+  };
+}
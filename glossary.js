@@ -0,0 +1,118 @@
+/**
+ * Per-project glossary for the translation step
+ *
+ * glossary.json:
+ *   {
+ *     "doNotTranslate": ["OpenAI", "Luna"],
+ *     "terms": {
+ *       "inscreva-se": "subscribe",
+ *       "es": { "canal": "canal", "dica": "truco" }
+ *     }
+ *   }
+ *
+ * A term mapped to a string applies to every target language; a language code mapped to an
+ * object holds terms used only when dubbing into that language.
+ *
+ * The entries for the target language are added to the translation prompt, and the
+ * translation is checked afterwards: a source term whose expected translation is missing,
+ * or a do-not-translate term that was changed, is reported as a violation.
+ */
+
+import fs from 'fs';
+
+// Used when no --glossary is given and this file exists in the working directory
+export const DEFAULT_GLOSSARY_FILE = 'glossary.json';
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Read and validate a glossary file
+export function loadGlossary(file) {
+  let glossary;
+  try {
+    glossary = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Glossário inválido (${file}): ${e.message}`);
+  }
+  if (!isPlainObject(glossary)) {
+    throw new Error(`Glossário inválido (${file}): deve ser um objeto { "doNotTranslate": [...], "terms": {...} }`);
+  }
+
+  const doNotTranslate = glossary.doNotTranslate || [];
+  const terms = glossary.terms || {};
+
+  if (!Array.isArray(doNotTranslate) || !doNotTranslate.every(term => typeof term === 'string' && term.trim())) {
+    throw new Error(`Glossário inválido (${file}): "doNotTranslate" deve ser uma lista de textos`);
+  }
+  if (!isPlainObject(terms)) {
+    throw new Error(`Glossário inválido (${file}): "terms" deve ser um objeto { "termo original": "tradução" }`);
+  }
+  for (const [key, value] of Object.entries(terms)) {
+    const valid = typeof value === 'string' ||
+      (isPlainObject(value) && Object.values(value).every(target => typeof target === 'string'));
+    if (!valid) {
+      throw new Error(`Glossário inválido (${file}): entrada "${key}" deve ser um texto ou um objeto por idioma`);
+    }
+  }
+
+  return { file, doNotTranslate, terms };
+}
+
+// Entries that apply when translating into targetCode: { doNotTranslate: [...], terms: [[source, target]] }
+export function glossaryFor(glossary, targetCode) {
+  if (!glossary) return null;
+
+  const generic = Object.entries(glossary.terms).filter(([, value]) => typeof value === 'string');
+  const specific = isPlainObject(glossary.terms[targetCode]) ? Object.entries(glossary.terms[targetCode]) : [];
+
+  // Language-specific entries come last, so they win over generic ones for the same term
+  const terms = [...generic, ...specific];
+  const byTerm = new Map(terms.map(([source, target]) => [source.toLowerCase(), [source, target]]));
+  const entries = { doNotTranslate: [...glossary.doNotTranslate], terms: [...byTerm.values()] };
+  return entries.doNotTranslate.length > 0 || entries.terms.length > 0 ? entries : null;
+}
+
+// Section appended to the translation system prompt
+export function buildGlossaryPrompt(entries) {
+  if (!entries) return '';
+
+  const lines = [];
+  if (entries.terms.length > 0) {
+    lines.push('GLOSSARY (mandatory terminology, always use these translations):');
+    entries.terms.forEach(([source, target]) => lines.push(`- "${source}" → "${target}"`));
+  }
+  if (entries.doNotTranslate.length > 0) {
+    if (lines.length > 0) lines.push('');
+    lines.push('DO NOT TRANSLATE (names and terms that must be kept exactly as written):');
+    entries.doNotTranslate.forEach(term => lines.push(`- ${term}`));
+  }
+  return `\n\n${lines.join('\n')}`;
+}
+
+// Whole-word match that also works for accented and non-Latin text
+function containsTerm(text, term, caseSensitive = false) {
+  const escaped = term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, caseSensitive ? 'u' : 'iu').test(text);
+}
+
+// Check translated pieces ({ label, sourceText, text }) against the glossary, returning the violations
+export function checkGlossary(entries, pieces) {
+  if (!entries) return [];
+
+  const violations = [];
+  for (const piece of pieces) {
+    for (const [source, target] of entries.terms) {
+      if (containsTerm(piece.sourceText, source) && !containsTerm(piece.text, target)) {
+        violations.push({ where: piece.label, type: 'term', term: source, expected: target, text: piece.text });
+      }
+    }
+    for (const term of entries.doNotTranslate) {
+      // Names must survive with the exact same spelling
+      if (containsTerm(piece.sourceText, term) && !containsTerm(piece.text, term, true)) {
+        violations.push({ where: piece.label, type: 'doNotTranslate', term: term, expected: term, text: piece.text });
+      }
+    }
+  }
+  return violations;
+}
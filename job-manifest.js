@@ -0,0 +1,169 @@
+/**
+ * Resumable dubbing jobs
+ *
+ * Each job gets its own directory (jobs/<id>) holding a manifest.json with the
+ * finished stages and their artifacts. The job id is derived from the input video and
+ * the dubbing parameters, so rerunning the same command finds the same directory and
+ * skips every stage whose artifacts are still there.
+ *
+ * Stages used by ai-video-dub.js:
+ *   extract              - audio extracted from the video
+ *   background:<filter> - original audio with the voice suppressed (--keep-background)
+ *   transcribe:chunk:<i> - one transcribed audio chunk
+ *   transcribe:regions:<i> - one speech region (fast method, short audio)
+ *   transcribe           - full transcription (transcription.txt + segments.json; silence settings in data)
+ *   translate            - translation (translation.txt + blocks.json)
+ *   tts:block:<i>        - TTS audio of one speech block
+ *   tts                  - TTS audio when the text is not split in blocks
+ *   assemble             - dubbed audio track with silences
+ *   loudness             - dubbed audio track brought to the loudness target (measurements in data)
+ *   mux                  - final video
+ *
+ * Throwaway files of a run (chunks, attempts, silences, concat lists) go to a separate
+ * temporary work directory instead, see job.temp() and workdir.js.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { createWorkdir } from './workdir.js';
+
+// Folder holding one work directory per job
+export const JOBS_ROOT = 'jobs';
+
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+// Last run id handed out, so jobs opened in the same millisecond (batch mode) never share one
+let lastTimestamp = 0;
+
+function nextTimestamp() {
+  lastTimestamp = Math.max(Date.now(), lastTimestamp + 1);
+  return lastTimestamp;
+}
+
+// Short stable hash used for job ids and stage keys
+export function hashKey(...parts) {
+  return crypto.createHash('sha1').update(JSON.stringify(parts)).digest('hex').slice(0, 16);
+}
+
+// Open the job for this input and parameters, creating it or loading its manifest
+export function openJob(inputVideo, params, root = JOBS_ROOT) {
+  // Size and modification time make a replaced video start a fresh job
+  const stats = fs.statSync(inputVideo);
+  const id = hashKey(path.resolve(inputVideo), stats.size, stats.mtimeMs, params);
+  const dir = path.join(root, id);
+  const manifestFile = path.join(dir, MANIFEST_FILE);
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  let manifest = null;
+  if (fs.existsSync(manifestFile)) {
+    try {
+      manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+    } catch (e) {
+      console.log(`⚠️  Manifesto corrompido, recomeçando job: ${manifestFile}`);
+    }
+    if (manifest && manifest.version !== MANIFEST_VERSION) {
+      manifest = null;
+    }
+  }
+
+  const resumed = manifest !== null && Object.keys(manifest.stages).length > 0;
+
+  if (!manifest) {
+    manifest = {
+      version: MANIFEST_VERSION,
+      id: id,
+      input: inputVideo,
+      params: params,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      stages: {}
+    };
+  }
+
+  function save() {
+    manifest.updatedAt = new Date().toISOString();
+    // Write and rename so an interrupted run never leaves a half-written manifest
+    fs.writeFileSync(`${manifestFile}.tmp`, JSON.stringify(manifest, null, 2));
+    fs.renameSync(`${manifestFile}.tmp`, manifestFile);
+  }
+
+  // Temporary work directory of this run, created on first use
+  let workdir = null;
+
+  const job = {
+    id,
+    dir,
+    manifest,
+    resumed,
+    // Run id used to name temporary files and debug logs
+    timestamp: nextTimestamp(),
+
+    // Path of a file inside the job directory
+    path(...parts) {
+      const file = path.join(dir, ...parts);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      return file;
+    },
+
+    // A stage is done when it was recorded with the same key and its artifacts still exist
+    isDone(stage, key = null) {
+      const record = manifest.stages[stage];
+      if (!record) return false;
+      if (key !== null && record.key !== key) return false;
+      return record.artifacts.every(artifact => fs.existsSync(path.join(dir, artifact)));
+    },
+
+    stage(stage) {
+      return manifest.stages[stage] || null;
+    },
+
+    // Record a finished stage. Artifacts are paths inside the job directory
+    complete(stage, { artifacts = [], key = null, data = null } = {}) {
+      manifest.stages[stage] = {
+        completedAt: new Date().toISOString(),
+        key: key,
+        artifacts: artifacts.map(artifact => path.relative(dir, path.resolve(artifact))),
+        data: data
+      };
+      save();
+    },
+
+    // Forget every stage whose name starts with the prefix (e.g. 'tts' after a new translation)
+    invalidate(prefix) {
+      let changed = false;
+      for (const stage of Object.keys(manifest.stages)) {
+        if (stage.startsWith(prefix)) {
+          delete manifest.stages[stage];
+          changed = true;
+        }
+      }
+      if (changed) save();
+    },
+
+    // Path of a temporary file of this run, outside the job directory
+    temp(...parts) {
+      workdir = workdir || createWorkdir(`${id}-${job.timestamp}`);
+      return workdir.path(...parts);
+    },
+
+    // Remove the temporary work directory (kept with --keep-workdir)
+    removeTemp() {
+      workdir?.remove();
+      workdir = null;
+    },
+
+    completedStages() {
+      return Object.keys(manifest.stages);
+    },
+
+    remove() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+
+  save();
+  return job;
+}
@@ -0,0 +1,94 @@
+/**
+ * Loudness measurement and normalization (EBU R128, ffmpeg loudnorm)
+ *
+ * measureLoudness() runs loudnorm in analysis mode and returns the integrated loudness (LUFS),
+ * true peak (dBTP), loudness range (LU) and gating threshold. normalizeLoudness() is the second
+ * pass: with those measurements loudnorm applies a single gain (linear mode), so the dynamics of
+ * the speech are kept and only its level changes.
+ *
+ * Modes (--loudness):
+ *   match - the assembled dub gets the integrated loudness of the original audio (default)
+ *   block - each TTS block gets the loudness of the same stretch of the original
+ *   off   - TTS audio is used at the level the model produced
+ *   <n>   - the assembled dub is brought to a fixed target, e.g. -16 (streaming) or -23 (broadcast)
+ */
+
+import { runFfmpeg } from './ffmpeg.js';
+
+export const LOUDNESS_MODES = ['match', 'block', 'off'];
+export const DEFAULT_LOUDNESS = 'match';
+
+// Targets accepted by loudnorm
+const MIN_TARGET = -70;
+const MAX_TARGET = -5;
+
+// Ceiling for peaks after normalization, and the widest range loudnorm accepts, so linear
+// mode is not turned into dynamic compression
+const TRUE_PEAK = -1.5;
+const LOUDNESS_RANGE = 20;
+
+// Stretches quieter than this (silence, room tone) are not used as a reference or normalized
+const SILENCE_LUFS = -60;
+
+// 'match' | 'block' | 'off' | target in LUFS → { mode, target }; mode 'fixed' carries the target
+export function parseLoudness(value = DEFAULT_LOUDNESS) {
+  const text = String(value).trim().toLowerCase();
+  if (LOUDNESS_MODES.includes(text)) {
+    return { mode: text, target: null };
+  }
+
+  const target = Number(text);
+  if (text === '' || Number.isNaN(target) || target < MIN_TARGET || target > MAX_TARGET) {
+    const error = new Error(`Loudness inválido: ${value} (use ${LOUDNESS_MODES.join(', ')} ou um alvo em LUFS entre ${MIN_TARGET} e ${MAX_TARGET}, ex.: -16)`);
+    error.code = 'INVALID_LOUDNESS';
+    throw error;
+  }
+  return { mode: 'fixed', target: target };
+}
+
+// loudnorm prints "-inf" for silence
+function toNumber(value) {
+  return value === '-inf' ? -Infinity : Number(value);
+}
+
+// Loudness of a file, or of `duration` seconds from `start`
+export async function measureLoudness(file, { start = null, duration = null } = {}) {
+  const range = [
+    ...(start !== null ? ['-ss', String(start)] : []),
+    ...(duration !== null ? ['-t', String(duration)] : [])
+  ];
+  const { stderr } = await runFfmpeg([
+    ...range, '-i', file, '-vn', '-sn',
+    '-af', `loudnorm=TP=${TRUE_PEAK}:LRA=${LOUDNESS_RANGE}:print_format=json`, '-f', 'null', '-'
+  ]);
+
+  // The summary is the last {...} block of the log
+  const json = stderr.slice(stderr.lastIndexOf('{'), stderr.lastIndexOf('}') + 1);
+  const summary = JSON.parse(json);
+  return {
+    integrated: toNumber(summary.input_i),
+    truePeak: toNumber(summary.input_tp),
+    range: toNumber(summary.input_lra),
+    threshold: toNumber(summary.input_thresh)
+  };
+}
+
+// Whether a measurement has enough signal to be a reference or to be normalized
+export function isAudible(measurement) {
+  return measurement.integrated > SILENCE_LUFS;
+}
+
+// Apply a gain so `input` (already measured) lands on `target` LUFS
+export async function normalizeLoudness(input, output, target, measured) {
+  const filter = `loudnorm=I=${target}:TP=${TRUE_PEAK}:LRA=${LOUDNESS_RANGE}` +
+    `:measured_I=${measured.integrated}:measured_TP=${measured.truePeak}` +
+    `:measured_LRA=${measured.range}:measured_thresh=${measured.threshold}:linear=true`;
+  // loudnorm works at 192 kHz internally, so the output rate is set back explicitly
+  await runFfmpeg(['-y', '-i', input, '-af', filter, '-ar', '44100', '-acodec', 'libmp3lame', '-q:a', '2', output]);
+  return output;
+}
+
+// "-18.3 LUFS" / "silêncio"
+export function formatLoudness(measurement) {
+  return isAudible(measurement) ? `${measurement.integrated.toFixed(1)} LUFS` : 'silêncio';
+}
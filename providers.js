@@ -0,0 +1,229 @@
+/**
+ * Provider layer for transcription (ASR), translation and speech (TTS)
+ *
+ * Every provider exposes the same three methods:
+ *   transcribe({ file, language, timestamps }) → { text, segments, words }
+ *   translate({ system, user, onUsage })       → translated text (onUsage gets the real token counts, if known)
+ *   speak({ text, voice })                     → Buffer with MP3 audio
+ * Each also accepts an AbortSignal as `signal`, used to cancel requests that timed out.
+ * Retries and timeouts themselves are added by withRetries() in retry.js.
+ *
+ * Available providers:
+ *   openai            - OpenAI API (default)
+ *   openai-compatible - any server speaking the OpenAI API (local whisper.cpp, TTS servers...)
+ *   fake              - deterministic offline provider, canned text and generated tones
+ */
+
+import OpenAI from 'openai';
+import fs from 'fs';
+import { runFfmpeg, probeDuration } from './ffmpeg.js';
+
+// Default models used by the OpenAI provider
+export const OPENAI_MODELS = {
+  transcribe: 'gpt-4o-mini-transcribe',  // Fast transcription, text only
+  timestamps: 'whisper-1',               // Transcription with segment timestamps
+  translate: 'o4-mini',
+  speech: 'gpt-4o-mini-tts'
+};
+
+// Provider talking to the OpenAI API (or any server implementing it)
+export function createOpenAIProvider({ name = 'openai', apiKey, baseURL, models = {} } = {}) {
+  const providerModels = { ...OPENAI_MODELS, ...models };
+  let client = null;
+
+  // Client is created on first use, so a missing API key only fails when a request is made
+  function getClient() {
+    if (!client) {
+      client = new OpenAI({
+        apiKey: apiKey,
+        ...(baseURL && { baseURL: baseURL }),
+        // Retries are done by withRetries(), which also honors Retry-After
+        maxRetries: 0
+      });
+    }
+    return client;
+  }
+
+  return {
+    name,
+    models: providerModels,
+
+    async transcribe({ file, language, timestamps = false, signal }) {
+      if (!timestamps) {
+        const transcription = await getClient().audio.transcriptions.create({
+          file: fs.createReadStream(file),
+          model: providerModels.transcribe,
+          language: language
+        }, { signal });
+        return { text: transcription.text, segments: [], words: [] };
+      }
+
+      const transcription = await getClient().audio.transcriptions.create({
+        file: fs.createReadStream(file),
+        model: providerModels.timestamps,
+        language: language,
+        response_format: 'verbose_json',
+        timestamp_granularities: ['segment', 'word']
+      }, { signal });
+      // Words come without punctuation; servers that ignore word granularity return none
+      return {
+        text: transcription.text,
+        segments: transcription.segments || [],
+        words: (transcription.words || []).map(({ word, start, end }) => ({ word, start, end }))
+      };
+    },
+
+    async translate({ system, user, onUsage, signal }) {
+      const response = await getClient().chat.completions.create({
+        model: providerModels.translate,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: user }
+        ]
+      }, { signal });
+      // Completion tokens include the hidden reasoning tokens of reasoning models
+      if (onUsage && response.usage) {
+        onUsage({ inputTokens: response.usage.prompt_tokens, outputTokens: response.usage.completion_tokens });
+      }
+      return response.choices[0].message.content;
+    },
+
+    async speak({ text, voice, signal }) {
+      const speechResponse = await getClient().audio.speech.create({
+        model: providerModels.speech,
+        voice: voice,
+        input: text
+      }, { signal });
+      return Buffer.from(await speechResponse.arrayBuffer());
+    }
+  };
+}
+
+// Canned sentences returned by the fake provider, cycled in order
+const FAKE_SENTENCES = [
+  'This is a fake transcription used for offline runs.',
+  'Every sentence is deterministic so results can be compared.',
+  'No network request is made by this provider.',
+  'The dubbed audio is a generated tone instead of a voice.'
+];
+
+// Fake provider timing: speech length per segment, and a pause after every few segments
+const FAKE_SEGMENT_DURATION = 4;
+const FAKE_PAUSE_DURATION = 2.5;
+const FAKE_SEGMENTS_PER_BLOCK = 3;
+
+// Characters per second used to size the generated tones
+const FAKE_CHARS_PER_SECOND = 15;
+
+// Silence around and between sentences of the fake speech, like real TTS output has
+const FAKE_LEAD_IN = 0.3;
+const FAKE_TRAIL = 0.6;
+const FAKE_SENTENCE_PAUSE = 0.4;
+
+// Deterministic offline provider: canned transcription, echo translation, sine tones for speech
+export function createFakeProvider() {
+  return {
+    name: 'fake',
+    models: { transcribe: 'fake', timestamps: 'fake', translate: 'fake', speech: 'fake' },
+
+    async transcribe({ file, timestamps = false, signal }) {
+      const duration = await probeDuration(file, { signal });
+
+      // Lay out canned segments across the audio, with a pause after every block of segments
+      const segments = [];
+      let cursor = 0;
+      while (cursor + 1 < duration) {
+        const end = Math.min(cursor + FAKE_SEGMENT_DURATION, duration);
+        segments.push({
+          start: cursor,
+          end: end,
+          text: FAKE_SENTENCES[segments.length % FAKE_SENTENCES.length]
+        });
+        cursor = end;
+        if (segments.length % FAKE_SEGMENTS_PER_BLOCK === 0) {
+          cursor += FAKE_PAUSE_DURATION;
+        }
+      }
+
+      const text = segments.map(s => s.text).join(' ') || FAKE_SENTENCES[0];
+      if (!timestamps) {
+        return { text, segments: [], words: [] };
+      }
+
+      // Words spread evenly over their segment, without punctuation like Whisper returns them
+      const words = segments.flatMap(segment => {
+        const tokens = segment.text.split(/\s+/);
+        const step = (segment.end - segment.start) / tokens.length;
+        return tokens.map((token, i) => ({
+          word: token.replace(/[^\p{L}\p{N}'-]/gu, ''),
+          start: segment.start + i * step,
+          end: segment.start + (i + 1) * step
+        }));
+      });
+      return { text, segments, words };
+    },
+
+    // The text to translate is always the last paragraph of the prompt; return it untranslated
+    async translate({ user }) {
+      const paragraphs = user.split(/\n\s*\n/);
+      return paragraphs[paragraphs.length - 1].replace(/^[A-Z ()]+:\n/, '').trim();
+    },
+
+    // A tone per sentence, muted before, between and after the sentences
+    async speak({ text, signal }) {
+      const sentences = text.split(/(?<=[.!?])\s+/).filter(Boolean);
+      const silences = [[0, FAKE_LEAD_IN]];
+      let cursor = FAKE_LEAD_IN;
+      sentences.forEach((sentence, i) => {
+        cursor += Math.max(0.5, sentence.length / FAKE_CHARS_PER_SECOND);
+        const pause = i < sentences.length - 1 ? FAKE_SENTENCE_PAUSE : FAKE_TRAIL;
+        silences.push([cursor, cursor + pause]);
+        cursor += pause;
+      });
+
+      const mute = silences.map(([start, end]) => `between(t,${start.toFixed(2)},${end.toFixed(2)})`).join('+');
+      const { stdout } = await runFfmpeg(
+        ['-v', 'error', '-f', 'lavfi', '-i', `sine=frequency=440:sample_rate=44100:duration=${cursor.toFixed(2)}`,
+          '-af', `volume=0:enable='${mute}'`, '-ac', '2', '-acodec', 'libmp3lame', '-q:a', '2', '-f', 'mp3', '-'],
+        { encoding: 'buffer', signal }
+      );
+      return stdout;
+    }
+  };
+}
+
+// Create a provider by name, reading defaults from the environment
+export function createProvider(name = process.env.DUB_PROVIDER || 'openai', options = {}) {
+  switch (name) {
+    case 'openai':
+      return createOpenAIProvider({
+        apiKey: process.env.OPENAI_API_KEY,
+        ...options
+      });
+
+    case 'openai-compatible': {
+      const baseURL = options.baseURL || process.env.DUB_PROVIDER_BASE_URL;
+      if (!baseURL) {
+        throw new Error('Provider openai-compatible precisa de DUB_PROVIDER_BASE_URL');
+      }
+      return createOpenAIProvider({
+        name: 'openai-compatible',
+        // Local servers usually ignore the key, but the SDK requires one
+        apiKey: process.env.DUB_PROVIDER_API_KEY || 'not-needed',
+        baseURL: baseURL,
+        models: {
+          ...(process.env.DUB_TRANSCRIBE_MODEL && { transcribe: process.env.DUB_TRANSCRIBE_MODEL, timestamps: process.env.DUB_TRANSCRIBE_MODEL }),
+          ...(process.env.DUB_TRANSLATE_MODEL && { translate: process.env.DUB_TRANSLATE_MODEL }),
+          ...(process.env.DUB_SPEECH_MODEL && { speech: process.env.DUB_SPEECH_MODEL })
+        },
+        ...options
+      });
+    }
+
+    case 'fake':
+      return createFakeProvider();
+
+    default:
+      throw new Error(`Provider desconhecido: ${name} (use openai, openai-compatible ou fake)`);
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * Retries, timeouts and error classification for provider calls
+ *
+ * withRetries() wraps a provider so every call gets a timeout and, when it fails with a
+ * temporary error, is retried with exponential backoff and jitter (or after the server's
+ * Retry-After). Errors that reach the caller are sorted into three kinds, exposed as error.code:
+ *   PROVIDER_RETRYABLE    - rate limit, 5xx, timeout or network error that kept failing
+ *   PROVIDER_QUOTA        - credits or quota exhausted; retrying won't help
+ *   PROVIDER_INVALID_INPUT - the request itself was refused (bad input, model, API key...)
+ * The original error is kept in error.cause.
+ */
+
+import OpenAI from 'openai';
+
+export const ERROR_KINDS = {
+  RETRYABLE: 'PROVIDER_RETRYABLE',
+  QUOTA: 'PROVIDER_QUOTA',
+  INVALID_INPUT: 'PROVIDER_INVALID_INPUT'
+};
+
+// Attempts after the first one (DUB_API_RETRIES overrides)
+export const DEFAULT_RETRIES = 5;
+
+// Backoff: the wait doubles from BASE_DELAY up to MAX_DELAY, and a random part of it is used
+const BASE_DELAY = 1000;
+const MAX_DELAY = 60000;
+
+// Seconds before a request is abandoned, per provider method (DUB_API_TIMEOUT overrides all)
+export const REQUEST_TIMEOUTS = {
+  transcribe: 300,  // Up to 25 MB of audio
+  translate: 300,   // Reasoning models can think for a while on long texts
+  speak: 120
+};
+
+// HTTP statuses worth retrying
+const RETRYABLE_STATUSES = [408, 409, 425, 429, 500, 502, 503, 504];
+
+// Network errors worth retrying
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET'];
+
+// A 429 with one of these codes means the account is out of credits, not just going too fast
+const QUOTA_ERROR_CODES = ['insufficient_quota', 'billing_hard_limit_reached', 'billing_not_active'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function header(headers, name) {
+  if (!headers) return null;
+  return typeof headers.get === 'function' ? headers.get(name) : headers[name] ?? null;
+}
+
+// Wait requested by the server in ms (retry-after-ms, or Retry-After in seconds or as a date),
+// capped at MAX_DELAY like the backoff so a bogus or far-off value can't stall the run
+export function retryAfterMs(error) {
+  const requested = requestedDelay(error);
+  return requested === null ? null : Math.min(MAX_DELAY, requested);
+}
+
+function requestedDelay(error) {
+  const ms = Number(header(error.headers, 'retry-after-ms'));
+  if (ms > 0) return ms;
+
+  const value = header(error.headers, 'retry-after');
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// RETRYABLE, QUOTA or INVALID_INPUT for API and network errors; null for anything else (bugs, missing files...)
+export function classifyError(error) {
+  if (error.timedOut) return ERROR_KINDS.RETRYABLE;
+
+  const status = error.status;
+  if (!status) {
+    const code = error.code || error.cause?.code;
+    return error instanceof OpenAI.APIConnectionError || RETRYABLE_NETWORK_CODES.includes(code) ? ERROR_KINDS.RETRYABLE : null;
+  }
+
+  const apiCode = error.code || error.error?.code || error.type;
+  if (status === 402 || QUOTA_ERROR_CODES.includes(apiCode)) return ERROR_KINDS.QUOTA;
+  if (RETRYABLE_STATUSES.includes(status) || status >= 500) return ERROR_KINDS.RETRYABLE;
+  if (status >= 400) return ERROR_KINDS.INVALID_INPUT;
+  return null;
+}
+
+function describe(error) {
+  if (error.timedOut) return `sem resposta em ${error.timeout}s`;
+  return error.message.replace(/\.$/, '');
+}
+
+// Error thrown to the caller once a call is given up
+function providerError(kind, label, error, attempts) {
+  let message;
+  switch (kind) {
+    case ERROR_KINDS.QUOTA:
+      message = `Cota ou créditos da API esgotados (${label}): ${describe(error)}. Verifique o plano e o faturamento da conta`;
+      break;
+    case ERROR_KINDS.INVALID_INPUT:
+      message = error.status === 401 || error.status === 403
+        ? `Acesso negado pela API (${label}): ${describe(error)}. Verifique a API key e o acesso ao modelo`
+        : `Requisição recusada pela API (${label}): ${describe(error)}`;
+      break;
+    default:
+      message = `API indisponível (${label}) após ${attempts} tentativa(s): ${describe(error)}`;
+  }
+
+  const wrapped = new Error(message, { cause: error });
+  wrapped.code = kind;
+  wrapped.status = error.status;
+  return wrapped;
+}
+
+// Run fn({ signal }) with a timeout, retrying temporary failures
+export async function callWithRetry(fn, { label, retries = DEFAULT_RETRIES, timeout }) {
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    let timer = null;
+
+    try {
+      // The race also covers providers that ignore the abort signal
+      const timedOut = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          const error = new Error(`Timeout after ${timeout}s`);
+          error.timedOut = true;
+          error.timeout = timeout;
+          controller.abort(error);
+          reject(error);
+        }, timeout * 1000);
+      });
+      return await Promise.race([fn({ signal: controller.signal }), timedOut]);
+    } catch (error) {
+      const kind = classifyError(error);
+      if (!kind) throw error;
+      if (kind !== ERROR_KINDS.RETRYABLE || attempt >= retries) {
+        throw providerError(kind, label, error, attempt + 1);
+      }
+
+      const backoff = Math.random() * Math.min(MAX_DELAY, BASE_DELAY * 2 ** attempt);
+      const delay = retryAfterMs(error) ?? backoff;
+      console.log(`   ⏳ ${label}: ${describe(error)}. Nova tentativa em ${(delay / 1000).toFixed(1)}s (${attempt + 1}/${retries})`);
+      await sleep(delay);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+// Wrap a provider so every call has a timeout and temporary failures are retried
+export function withRetries(provider, {
+  retries = Number(process.env.DUB_API_RETRIES ?? DEFAULT_RETRIES),
+  timeout = process.env.DUB_API_TIMEOUT ? Number(process.env.DUB_API_TIMEOUT) : null
+} = {}) {
+  function call(method, label, params) {
+    return callWithRetry(
+      ({ signal }) => provider[method]({ ...params, signal }),
+      { label: `${label} via ${provider.name}`, retries, timeout: timeout || REQUEST_TIMEOUTS[method] }
+    );
+  }
+
+  return {
+    ...provider,
+    transcribe: (params) => call('transcribe', 'transcrição', params),
+    translate: (params) => call('translate', 'tradução', params),
+    speak: (params) => call('speak', 'TTS', params)
+  };
+}
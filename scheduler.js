@@ -0,0 +1,127 @@
+/**
+ * Bounded scheduler for the per-chunk and per-block work of a dub
+ *
+ * run(fn) starts fn once fewer than `concurrency` tasks are running. map(items, fn) runs one
+ * task per item and returns the results in the order of the items, whatever order they finish
+ * in, so chunks and blocks are still assembled along the timeline.
+ *
+ * Requests to the API are limited separately: withRateLimit() wraps a provider so each call
+ * waits for a free slot in a one-minute window of `requestsPerMinute` (0 = no limit).
+ * Every retry is a new request, so the limiter sits below the retry wrapper.
+ */
+
+// Tasks running at the same time (DUB_CONCURRENCY overrides)
+export const DEFAULT_CONCURRENCY = 4;
+
+// API requests started per minute, 0 for no limit (DUB_REQUESTS_PER_MINUTE overrides)
+export const DEFAULT_REQUESTS_PER_MINUTE = 0;
+
+const RATE_WINDOW = 60000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Marks tasks of a map() that never started because an earlier one failed
+const SKIPPED = Symbol('skipped');
+
+export function createScheduler({
+  concurrency = Number(process.env.DUB_CONCURRENCY || DEFAULT_CONCURRENCY),
+  requestsPerMinute = Number(process.env.DUB_REQUESTS_PER_MINUTE || DEFAULT_REQUESTS_PER_MINUTE)
+} = {}) {
+  let running = 0;
+  const waiting = [];
+
+  // Start times of the requests in the last minute
+  const requestTimes = [];
+  let rateQueue = Promise.resolve();
+
+  function next() {
+    while (running < scheduler.concurrency && waiting.length > 0) {
+      running += 1;
+      waiting.shift()();
+    }
+  }
+
+  async function waitForRequestSlot() {
+    if (!(scheduler.requestsPerMinute > 0)) return;
+
+    for (;;) {
+      const now = Date.now();
+      while (requestTimes.length > 0 && requestTimes[0] <= now - RATE_WINDOW) {
+        requestTimes.shift();
+      }
+      if (requestTimes.length < scheduler.requestsPerMinute) {
+        requestTimes.push(now);
+        return;
+      }
+      await sleep(requestTimes[0] + RATE_WINDOW - now);
+    }
+  }
+
+  const scheduler = {
+    concurrency: Math.max(1, concurrency),
+    requestsPerMinute,
+
+    async run(fn) {
+      await new Promise(resolve => {
+        waiting.push(resolve);
+        next();
+      });
+      try {
+        return await fn();
+      } finally {
+        running -= 1;
+        next();
+      }
+    },
+
+    // Results in item order. After a failure no new task of this map starts; the ones already
+    // running are awaited and the first error is thrown
+    async map(items, fn) {
+      let failed = false;
+      const results = await Promise.allSettled(items.map((item, i) => scheduler.run(async () => {
+        if (failed) throw SKIPPED;
+        try {
+          return await fn(item, i);
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
+      })));
+
+      const rejected = results.find(result => result.status === 'rejected' && result.reason !== SKIPPED);
+      if (rejected) throw rejected.reason;
+      return results.map(result => result.value);
+    },
+
+    // Wait until another request may start. Requests queue up so they are granted in order
+    request() {
+      const slot = rateQueue.then(waitForRequestSlot);
+      rateQueue = slot;
+      return slot;
+    }
+  };
+
+  return scheduler;
+}
+
+// Wrap a provider so every call waits for the scheduler's requests-per-minute limit
+export function withRateLimit(provider, scheduler) {
+  return {
+    ...provider,
+
+    async transcribe(params) {
+      await scheduler.request();
+      return provider.transcribe(params);
+    },
+
+    async translate(params) {
+      await scheduler.request();
+      return provider.translate(params);
+    },
+
+    async speak(params) {
+      await scheduler.request();
+      return provider.speak(params);
+    }
+  };
+}
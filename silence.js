@@ -0,0 +1,188 @@
+/**
+ * Silence detection with ffmpeg's silencedetect filter
+ *
+ * A fixed threshold doesn't suit every recording: on a noisy vlog the background never drops
+ * below -30 dB, so no pause is found, while on a quiet lecture every breath does. calibrateSilence()
+ * measures the peak level of the file in short windows (astats; silencedetect compares every
+ * sample, so peaks are what matter) and takes a low percentile as the noise floor and a high one
+ * as the speech level. The threshold sits between them, and the minimum pause is the one that
+ * splits the speech into blocks of about TARGET_BLOCK_DURATION. Either value can be fixed instead
+ * (--silence-threshold / --min-silence).
+ */
+
+import { runFfmpeg } from './ffmpeg.js';
+
+// Values used before calibration existed, and when a file can't be measured
+export const DEFAULT_SILENCE_THRESHOLD = -30;
+export const DEFAULT_MIN_SILENCE = 2.0;
+
+// Length of each level measurement, in seconds
+const LEVEL_WINDOW = 0.1;
+
+// Percentiles of the window levels taken as the noise floor and the speech level
+const NOISE_PERCENTILE = 0.1;
+const SPEECH_PERCENTILE = 0.9;
+
+// Where the threshold sits between the noise floor (0) and the speech level (1)
+const THRESHOLD_POSITION = 0.3;
+
+// Digital silence measures -inf; it counts as this level
+const LEVEL_FLOOR = -90;
+
+// Range of thresholds and minimum pauses accepted, calibrated or given
+const MIN_THRESHOLD = -70;
+const MAX_THRESHOLD = -10;
+const MIN_PAUSE = 1.0;
+const MAX_PAUSE = 3.0;
+
+// Speech between two pauses aimed for: the minimum pause keeps the longest pauses, about one per
+// TARGET_BLOCK_DURATION, so breaths don't split a block and a talk without long pauses still gets
+// some. Pauses shorter than PAUSE_RUN aren't counted
+const TARGET_BLOCK_DURATION = 15;
+const PAUSE_RUN = 0.3;
+
+// Silences of a file: [{ start, end, duration }]. noise is a level ('-30dB') or amplitude,
+// minDuration the shortest silence reported, in seconds
+export async function detectSilences(file, { noise = '-30dB', minDuration = 2.0, signal } = {}) {
+  const { stderr } = await runFfmpeg(['-i', file, '-vn', '-af', `silencedetect=noise=${noise}:d=${minDuration}`, '-f', 'null', '-'], { signal });
+
+  const silences = [];
+  let start = null;
+  for (const line of stderr.split('\n')) {
+    const startMatch = line.match(/silence_start: (-?[\d.]+)/);
+    const endMatch = line.match(/silence_end: ([\d.]+) \| silence_duration: ([\d.]+)/);
+    if (startMatch) {
+      start = Math.max(0, parseFloat(startMatch[1]));
+    } else if (endMatch && start !== null) {
+      silences.push({ start: start, end: parseFloat(endMatch[1]), duration: parseFloat(endMatch[2]) });
+      start = null;
+    }
+  }
+  return silences;
+}
+
+// 'auto' → null, '-35' or '-35dB' → -35
+export function parseSilenceThreshold(value) {
+  if (value === undefined || value === null || String(value).trim().toLowerCase() === 'auto') return null;
+
+  const threshold = Number(String(value).trim().replace(/db$/i, ''));
+  if (String(value).trim() === '' || Number.isNaN(threshold) || threshold < MIN_THRESHOLD || threshold > MAX_THRESHOLD) {
+    const error = new Error(`Limiar de silêncio inválido: ${value} (use auto ou um nível em dB entre ${MIN_THRESHOLD} e ${MAX_THRESHOLD}, ex.: -35)`);
+    error.code = 'INVALID_SILENCE';
+    throw error;
+  }
+  return threshold;
+}
+
+// 'auto' → null, '1.5' → 1.5 seconds
+export function parseMinSilence(value) {
+  if (value === undefined || value === null || String(value).trim().toLowerCase() === 'auto') return null;
+
+  const minDuration = Number(String(value).trim().replace(/s$/i, ''));
+  if (String(value).trim() === '' || !(minDuration >= 0.1 && minDuration <= 10)) {
+    const error = new Error(`Pausa mínima inválida: ${value} (use auto ou segundos entre 0.1 e 10, ex.: 1.5)`);
+    error.code = 'INVALID_SILENCE';
+    throw error;
+  }
+  return minDuration;
+}
+
+function percentile(sorted, fraction) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Peak level (dBFS) of every LEVEL_WINDOW of the file
+async function measureLevels(file, signal) {
+  const { stderr } = await runFfmpeg([
+    '-i', file, '-vn', '-ac', '1', '-ar', '16000',
+    '-af', `asetnsamples=n=${Math.round(16000 * LEVEL_WINDOW)},astats=metadata=1:reset=1,ametadata=mode=print:key=lavfi.astats.Overall.Peak_level`,
+    '-f', 'null', '-'
+  ], { signal });
+  return parseLevels(stderr);
+}
+
+// Window levels from the ametadata lines measureLevels() gets from ffmpeg
+export function parseLevels(stderr) {
+  const levels = [];
+  for (const match of stderr.matchAll(/lavfi\.astats\.Overall\.Peak_level=(\S+)/g)) {
+    const level = parseFloat(match[1]);
+    levels.push(Number.isFinite(level) ? Math.max(LEVEL_FLOOR, level) : LEVEL_FLOOR);
+  }
+  return levels;
+}
+
+// Length (seconds) of every stretch of windows below `threshold`, except those touching the edges
+function pauseLengths(levels, threshold) {
+  const lengths = [];
+  let run = 0;
+  levels.forEach((level, i) => {
+    if (level < threshold) {
+      run++;
+      return;
+    }
+    if (run > 0 && run < i) lengths.push(run * LEVEL_WINDOW);
+    run = 0;
+  });
+  return lengths.filter(length => length >= PAUSE_RUN);
+}
+
+// Threshold (dB) and minimum pause (s) for silencedetect on this file. Given values are kept;
+// the rest are calibrated from the file. Returns
+// { threshold, minDuration, noiseFloor, speechLevel, calibrated: { threshold, minDuration } }
+export async function calibrateSilence(file, { threshold = null, minDuration = null, signal } = {}) {
+  // Nothing to measure when both values are given
+  const levels = threshold !== null && minDuration !== null ? [] : await measureLevels(file, signal);
+  return calibrateFromLevels(levels, { threshold, minDuration });
+}
+
+// The calibration of calibrateSilence() from the window levels of the file
+export function calibrateFromLevels(levels, { threshold = null, minDuration = null } = {}) {
+  const settings = {
+    threshold: threshold,
+    minDuration: minDuration,
+    noiseFloor: null,
+    speechLevel: null,
+    calibrated: { threshold: threshold === null, minDuration: minDuration === null }
+  };
+  if (levels.length === 0) {
+    settings.threshold ??= DEFAULT_SILENCE_THRESHOLD;
+    settings.minDuration ??= DEFAULT_MIN_SILENCE;
+    return settings;
+  }
+
+  const sorted = [...levels].sort((a, b) => a - b);
+  settings.noiseFloor = percentile(sorted, NOISE_PERCENTILE);
+  settings.speechLevel = percentile(sorted, SPEECH_PERCENTILE);
+  settings.threshold ??= clamp(settings.noiseFloor + (settings.speechLevel - settings.noiseFloor) * THRESHOLD_POSITION, MIN_THRESHOLD, MAX_THRESHOLD);
+
+  if (settings.minDuration === null) {
+    const pauses = pauseLengths(levels, settings.threshold).sort((a, b) => b - a);
+    const wanted = Math.max(1, Math.floor(levels.length * LEVEL_WINDOW / TARGET_BLOCK_DURATION));
+    // One window less than the shortest pause kept, as silencedetect measures a little differently
+    settings.minDuration = pauses.length > wanted
+      ? clamp(pauses[wanted - 1] - LEVEL_WINDOW, MIN_PAUSE, MAX_PAUSE)
+      : MIN_PAUSE;
+  }
+  return settings;
+}
+
+// silencedetect noise parameter for a threshold in dB
+export function silenceNoise(settings) {
+  return `${settings.threshold.toFixed(1)}dB`;
+}
+
+// "limiar -34.2 dB (auto: ruído -48.0 dB, fala -21.3 dB), pausa mínima 1.40s (auto)"
+export function formatSilenceSettings(settings) {
+  const levels = settings.noiseFloor !== null
+    ? `ruído ${settings.noiseFloor.toFixed(1)} dB, fala ${settings.speechLevel.toFixed(1)} dB`
+    : null;
+  const threshold = settings.calibrated.threshold
+    ? `${settings.threshold.toFixed(1)} dB (auto${levels ? `: ${levels}` : ''})`
+    : `${settings.threshold.toFixed(1)} dB`;
+  const minDuration = `${settings.minDuration.toFixed(2)}s${settings.calibrated.minDuration ? ' (auto)' : ''}`;
+  return `limiar ${threshold}, pausa mínima ${minDuration}`;
+}
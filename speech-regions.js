@@ -0,0 +1,28 @@
+/**
+ * Speech regions of the fast transcription method
+ *
+ * The fast method has no timestamps, so speech is located with silencedetect: each stretch
+ * between two silences is a region, and every region is transcribed on its own request so its
+ * block gets the words actually said in it. Regions are not sent together: the fast model
+ * returns plain text, with nothing that tells where one region ends in it, and it is billed by
+ * audio length, so one request per region costs the same as a batch.
+ */
+
+// [{ start, end, text: '' }] for the speech between `silences` ([{ start, end }], in order) in
+// audio of `duration` seconds; the whole audio is one region when there is no silence
+export function speechRegions(silences, duration) {
+  const regions = [];
+  let lastEnd = 0;
+
+  for (const silence of silences) {
+    if (silence.start > lastEnd) {
+      regions.push({ start: lastEnd, end: silence.start, text: '' });
+    }
+    lastEnd = silence.end;
+  }
+  if (lastEnd < duration) {
+    regions.push({ start: lastEnd, end: duration, text: '' });
+  }
+
+  return regions.length > 0 ? regions : [{ start: 0, end: duration, text: '' }];
+}
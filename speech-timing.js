@@ -0,0 +1,119 @@
+/**
+ * Timing of synthesized speech before it is stretched into its slot
+ *
+ * TTS clips come with their own silence at the start and end, and with pauses between
+ * sentences. trimSilence() cuts the edges so only the speech counts toward the block's
+ * duration; fitPauses() then lengthens or shortens the internal pauses toward the slot. atempo
+ * only has to make up what is left, so the speech rate changes less and sounds more natural.
+ */
+
+import fs from 'fs';
+import { runFfmpeg, probeDuration, FFMPEG_ERRORS } from './ffmpeg.js';
+
+// TTS renders silence as (nearly) digital silence, so the threshold can sit low
+const SILENCE_THRESHOLD_DB = -50;
+
+// Silence left at each edge, so the first and last syllables are not clipped
+const EDGE_SILENCE = 0.05;
+
+// Shortest silence counted as a pause between words or sentences
+const MIN_PAUSE = 0.2;
+
+// How far pauses are scaled, all by the same factor, and the shortest pause left after scaling
+const MIN_PAUSE_SCALE = 0.5;
+const MAX_PAUSE_SCALE = 2.5;
+const MIN_PAUSE_LENGTH = 0.12;
+
+// Scale changes under 5% are not worth a re-encode
+const MIN_SCALE_CHANGE = 0.05;
+
+// Copy of `input` without the silence at its start and end. Returns the durations before and
+// after; a clip that is all silence is copied unchanged
+export async function trimSilence(input, output) {
+  const trim = `silenceremove=start_periods=1:start_threshold=${SILENCE_THRESHOLD_DB}dB:start_silence=${EDGE_SILENCE}`;
+  // silenceremove only trims reliably from the start, so the end is trimmed on the reversed clip
+  await runFfmpeg(['-y', '-i', input, '-af', `${trim},areverse,${trim},areverse`, '-acodec', 'libmp3lame', '-q:a', '2', output]);
+
+  const original = await probeDuration(input);
+  let trimmed = 0;
+  try {
+    trimmed = await probeDuration(output);
+  } catch (error) {
+    // Nothing left after trimming: ffprobe can't read a file without audio frames
+    if (error.code !== FFMPEG_ERRORS.FAILED) throw error;
+  }
+  if (!(trimmed > EDGE_SILENCE * 2)) {
+    fs.copyFileSync(input, output);
+    return { original: original, duration: original };
+  }
+  return { original: original, duration: trimmed };
+}
+
+// Pauses inside a clip: [{ start, end, duration }]
+export async function detectPauses(file) {
+  const { stderr } = await runFfmpeg(['-i', file, '-af', `silencedetect=noise=${SILENCE_THRESHOLD_DB}dB:d=${MIN_PAUSE}`, '-f', 'null', '-']);
+
+  const pauses = [];
+  let start = null;
+  for (const line of stderr.split('\n')) {
+    const startMatch = line.match(/silence_start: ([\d.]+)/);
+    const endMatch = line.match(/silence_end: ([\d.]+)/);
+    if (startMatch) {
+      start = parseFloat(startMatch[1]);
+    } else if (endMatch && start !== null) {
+      const end = parseFloat(endMatch[1]);
+      pauses.push({ start: start, end: end, duration: end - start });
+      start = null;
+    }
+  }
+  return pauses;
+}
+
+// New length of each pause so the clip gets as close to `target` as the scale limits allow
+export function planPauses(pauses, duration, target) {
+  const pauseTotal = pauses.reduce((sum, pause) => sum + pause.duration, 0);
+  if (pauseTotal <= 0) return null;
+
+  const speech = duration - pauseTotal;
+  const scale = Math.min(MAX_PAUSE_SCALE, Math.max(MIN_PAUSE_SCALE, (target - speech) / pauseTotal));
+  if (Math.abs(scale - 1) < MIN_SCALE_CHANGE) return null;
+
+  return pauses.map(pause => ({ ...pause, length: Math.max(MIN_PAUSE_LENGTH, pause.duration * scale) }));
+}
+
+// Rebuild `input` with its internal pauses resized toward `target` seconds. Returns
+// { count, before, after, duration } or null when the pauses were left alone
+export async function fitPauses(input, output, target) {
+  const duration = await probeDuration(input);
+  // Silence touching the edges was left by trimSilence on purpose; only inner pauses are resized
+  const pauses = (await detectPauses(input)).filter(pause => pause.start > 0.01 && pause.end < duration - 0.01);
+  const plan = planPauses(pauses, duration, target);
+  if (!plan) return null;
+
+  // Alternate speech and pause pieces; each pause is padded with silence, then cut to its new length
+  const pieces = [];
+  let cursor = 0;
+  for (const pause of plan) {
+    pieces.push({ start: cursor, end: pause.start });
+    pieces.push({ start: pause.start, end: pause.end, length: pause.length });
+    cursor = pause.end;
+  }
+  pieces.push({ start: cursor, end: duration });
+
+  const labels = pieces.map((piece, i) => `[a${i}]`).join('');
+  const filters = [`[0:a]asplit=${pieces.length}${labels}`];
+  pieces.forEach((piece, i) => {
+    const resize = piece.length !== undefined ? `,apad,atrim=duration=${piece.length.toFixed(3)}` : '';
+    filters.push(`[a${i}]atrim=start=${piece.start.toFixed(3)}:end=${piece.end.toFixed(3)},asetpts=PTS-STARTPTS${resize}[p${i}]`);
+  });
+  filters.push(`${pieces.map((piece, i) => `[p${i}]`).join('')}concat=n=${pieces.length}:v=0:a=1[out]`);
+
+  await runFfmpeg(['-y', '-i', input, '-filter_complex', filters.join(';'), '-map', '[out]', '-acodec', 'libmp3lame', '-q:a', '2', output]);
+
+  return {
+    count: plan.length,
+    before: plan.reduce((sum, pause) => sum + pause.duration, 0),
+    after: plan.reduce((sum, pause) => sum + pause.length, 0),
+    duration: await probeDuration(output)
+  };
+}
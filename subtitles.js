@@ -0,0 +1,206 @@
+/**
+ * Subtitle helpers: build timed cues and write them as SRT / WebVTT
+ *
+ * A cue is { start, end, text } with times in seconds, the same shape as the
+ * transcription segments and speech blocks used by ai-video-dub.js. Existing
+ * SRT/VTT files can also be parsed back into cues.
+ */
+
+import fs from 'fs';
+
+// Longest text shown at once (two lines of ~42 characters)
+const MAX_CUE_CHARS = 84;
+
+// Shortest time a cue stays on screen when a long cue is split
+const MIN_CUE_DURATION = 1.0;
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+// 3725.5 → "01:02:05,500" (SRT) or "01:02:05.500" (VTT)
+export function formatTimestamp(seconds, decimalSeparator = ',') {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${decimalSeparator}${pad(ms, 3)}`;
+}
+
+// Break text into pieces of at most maxChars, preferring sentence and then word boundaries
+function splitText(text, maxChars) {
+  const sentences = text.match(/[^.!?。！？]+[.!?。！？]+["')\]]*\s*|[^.!?。！？]+$/g) || [text];
+  const pieces = [];
+  let current = '';
+
+  for (const sentence of sentences) {
+    const words = sentence.trim().split(/\s+/);
+    for (const word of words) {
+      if (current && (current + ' ' + word).length > maxChars) {
+        pieces.push(current);
+        current = word;
+      } else {
+        current = current ? `${current} ${word}` : word;
+      }
+    }
+    // Start a new cue at the end of a sentence when the cue is already half full
+    if (current.length > maxChars / 2) {
+      pieces.push(current);
+      current = '';
+    }
+  }
+
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+// Split long cues into readable ones, sharing the cue time in proportion to characters
+export function splitLongCues(cues, maxChars = MAX_CUE_CHARS) {
+  const result = [];
+
+  for (const cue of cues) {
+    const text = (cue.text || '').replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+
+    const duration = cue.end - cue.start;
+    const pieces = text.length > maxChars ? splitText(text, maxChars) : [text];
+    // Don't split beyond what can stay on screen for a minimum time
+    const maxPieces = Math.max(1, Math.floor(duration / MIN_CUE_DURATION));
+    while (pieces.length > maxPieces) {
+      const last = pieces.pop();
+      pieces[pieces.length - 1] += ' ' + last;
+    }
+
+    const totalChars = pieces.reduce((sum, piece) => sum + piece.length, 0);
+    let cursor = cue.start;
+    pieces.forEach((piece, i) => {
+      const end = i === pieces.length - 1 ? cue.end : cursor + duration * (piece.length / totalChars);
+      result.push({ start: cursor, end: end, text: piece });
+      cursor = end;
+    });
+  }
+
+  return result;
+}
+
+// Cue text that can't end the cue early: a blank line ends it and "-->" reads as a timing line
+function cueText(text) {
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim().replace(/-->/g, '->'))
+    .filter(Boolean)
+    .join('\n');
+}
+
+// WebVTT cue text is markup: &, < and > must be written as entities
+function escapeVtt(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+export function formatSrt(cues) {
+  return cues.map((cue, i) =>
+    `${i + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cueText(cue.text)}\n`
+  ).join('\n');
+}
+
+export function formatVtt(cues) {
+  const body = cues.map(cue =>
+    `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${escapeVtt(cueText(cue.text))}\n`
+  ).join('\n');
+  return `WEBVTT\n\n${body}`;
+}
+
+// Write <basePath>.srt and <basePath>.vtt, returning both paths
+export function writeSubtitles(basePath, cues) {
+  const readableCues = splitLongCues(cues);
+  const srtFile = `${basePath}.srt`;
+  const vttFile = `${basePath}.vtt`;
+  fs.writeFileSync(srtFile, formatSrt(readableCues));
+  fs.writeFileSync(vttFile, formatVtt(readableCues));
+  return { srt: srtFile, vtt: vttFile, cueCount: readableCues.length };
+}
+
+// "01:02:05,500", "01:02:05.500" or "02:05.500" → seconds
+export function parseTimestamp(value) {
+  const match = value.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/);
+  if (!match) {
+    throw new Error(`Timestamp de legenda inválido: ${value}`);
+  }
+  const [, hours = '0', minutes, seconds, ms] = match;
+  return parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseInt(seconds, 10) + parseInt(ms.padEnd(3, '0'), 10) / 1000;
+}
+
+// Character references allowed in WebVTT cue text (written by formatVtt)
+const VTT_ENTITIES = { amp: '&', lt: '<', gt: '>', nbsp: ' ', lrm: '\u200E', rlm: '\u200F', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));/gi, (entity, decimal, hex, name) => {
+    if (decimal) return String.fromCodePoint(parseInt(decimal, 10));
+    if (hex) return String.fromCodePoint(parseInt(hex, 16));
+    return VTT_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+// Parse SRT or WebVTT content into cues, dropping formatting tags and repeated rolling captions.
+// A cue is its timing line and the text lines up to a blank line or the next timing line, so a
+// missing blank line between cues doesn't merge them; other blocks (WEBVTT header, NOTE, STYLE,
+// REGION) are skipped. An invalid timestamp throws, naming its line
+export function parseSubtitles(content) {
+  const lines = content
+    .replace(/^\uFEFF/, '')  // Byte order mark
+    .replace(/\r\n?/g, '\n')
+    .split('\n');
+
+  const blocks = [];
+  let current = null;
+  lines.forEach((line, i) => {
+    if (line.includes('-->')) {
+      // The cue number of the next cue when the blank line before it is missing
+      if (current && /^\d+$/.test(current.text[current.text.length - 1]?.trim())) current.text.pop();
+      current = { timing: line, line: i + 1, text: [] };
+      blocks.push(current);
+    } else if (line.trim() === '') {
+      current = null;
+    } else if (current) {
+      current.text.push(line);
+    }
+  });
+
+  const cues = [];
+
+  for (const block of blocks) {
+    const [startText, endRest] = block.timing.split('-->');
+    // VTT cue settings (align:start position:10%...) follow the end time
+    const endText = endRest.trim().split(/\s+/)[0];
+
+    const markup = block.text
+      .join(' ')
+      .replace(/<[^>]+>/g, '')      // <i>, <c.color>, <00:00:01.000> karaoke timings
+      .replace(/\{\\[^}]*\}/g, ''); // {\an8} positioning
+    const text = decodeEntities(markup).replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+
+    let cue;
+    try {
+      cue = { start: parseTimestamp(startText), end: parseTimestamp(endText), text };
+    } catch (error) {
+      throw new Error(`${error.message} (linha ${block.line})`);
+    }
+
+    // Auto-generated captions repeat the previous line while scrolling: extend instead of duplicating
+    const previous = cues[cues.length - 1];
+    if (previous && previous.text === cue.text) {
+      previous.end = Math.max(previous.end, cue.end);
+      continue;
+    }
+
+    cues.push(cue);
+  }
+
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+export function readSubtitles(file) {
+  return parseSubtitles(fs.readFileSync(file, 'utf8'));
+}
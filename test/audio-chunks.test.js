@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planChunks, mergeChunkTexts, mergeChunkSegments, mergeChunkWords, CHUNK_OVERLAP } from '../audio-chunks.js';
+
+const silence = (start, end) => ({ start, end, duration: end - start });
+
+test('short audio is a single chunk', () => {
+  const chunks = planChunks(120, [], { target: 300 });
+  assert.deepEqual(chunks, [{ index: 0, from: 0, to: 120, start: 0, end: 120, inSilence: true }]);
+});
+
+test('cuts go in the longest silence before the target, with overlap', () => {
+  const chunks = planChunks(700, [silence(280, 281), silence(290, 293), silence(570, 572)], { target: 300 });
+  assert.equal(chunks.length, 3);
+  assert.equal(chunks[0].to, 291.5);
+  assert.equal(chunks[0].end, 291.5 + CHUNK_OVERLAP);
+  assert.equal(chunks[1].from, 291.5);
+  assert.equal(chunks[1].start, 291.5 - CHUNK_OVERLAP);
+  assert.equal(chunks[1].to, 571);
+  assert.equal(chunks[2].to, 700);
+  assert.equal(chunks[2].end, 700);
+  assert.ok(chunks.every(chunk => chunk.inSilence));
+});
+
+test('without a silence near the target the cut falls on the target', () => {
+  const chunks = planChunks(650, [silence(100, 102)], { target: 300 });
+  assert.deepEqual(chunks.map(chunk => chunk.to), [300, 600, 650]);
+  assert.equal(chunks[0].inSilence, false);
+});
+
+test('text repeated across a cut is kept once', () => {
+  assert.equal(
+    mergeChunkTexts(['Olá a todos, hoje vamos falar', 'hoje vamos falar de áudio.']),
+    'Olá a todos, hoje vamos falar de áudio.'
+  );
+});
+
+test('segments are moved to the full timeline and heard once', () => {
+  const chunks = [
+    { index: 0, from: 0, to: 10, start: 0, end: 12 },
+    { index: 1, from: 10, to: 20, start: 8, end: 20 }
+  ];
+  const merged = mergeChunkSegments(chunks, [
+    { segments: [{ start: 0, end: 5, text: 'Primeira frase.' }, { start: 9, end: 11.5, text: 'Frase no corte.' }] },
+    { segments: [{ start: 1, end: 3.5, text: 'Frase no corte.' }, { start: 4, end: 9, text: 'Última frase.' }] }
+  ]);
+  assert.deepEqual(merged.map(seg => seg.text), ['Primeira frase.', 'Frase no corte.', 'Última frase.']);
+  assert.equal(merged[2].start, 12);
+  assert.equal(merged[2].end, 17);
+});
+
+test('each word comes from the chunk that owns its middle', () => {
+  const chunks = [
+    { index: 0, from: 0, to: 10, start: 0, end: 12 },
+    { index: 1, from: 10, to: 20, start: 8, end: 20 }
+  ];
+  const merged = mergeChunkWords(chunks, [
+    { words: [{ word: 'um', start: 8, end: 9 }, { word: 'dois', start: 10.2, end: 11 }] },
+    { words: [{ word: 'um', start: 0, end: 1 }, { word: 'dois', start: 2.2, end: 3 }, { word: 'três', start: 4, end: 5 }] }
+  ]);
+  assert.deepEqual(merged.map(word => word.word), ['um', 'dois', 'três']);
+  assert.deepEqual(merged.map(word => word.start), [8, 10.2, 12]);
+});
+
+test('targets shorter than the search window still move forward', () => {
+  const chunks = planChunks(100, [silence(4, 6)], { target: 20 });
+  assert.deepEqual(chunks.map(chunk => chunk.to), [20, 40, 60, 80, 100]);
+
+  const cutInSilence = planChunks(60, [silence(14, 16), silence(16.5, 17)], { target: 20 });
+  assert.deepEqual(cutInSilence.map(chunk => chunk.to), [15, 35, 55, 60]);
+  assert.ok(cutInSilence.every((chunk, i) => i === 0 || chunk.from > cutInSilence[i - 1].from));
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { collectItems, expandGlob, findDuplicateTargets, outputVideoFor } from '../batch-dub.js';
+
+const en = { code: 'en' };
+const es = { code: 'es' };
+
+// aulas/{a.mp4, b.MKV, notas.txt, extra/c.mp4, extra/fundo/d.webm}
+function makeTree(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dub-batch-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const file of ['a.mp4', 'b.MKV', 'notas.txt', 'extra/c.mp4', 'extra/fundo/d.webm']) {
+    fs.mkdirSync(path.dirname(path.join(dir, 'aulas', file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'aulas', file), '');
+  }
+  return dir;
+}
+
+const sources = (items) => items.map(item => path.basename(item.source));
+
+test('a folder gives its own videos, sorted, without going into subfolders', (t) => {
+  const dir = makeTree(t);
+  assert.deepEqual(sources(collectItems([path.join(dir, 'aulas')])), ['a.mp4', 'b.MKV']);
+});
+
+test('globs match *, ? and ** across folders', (t) => {
+  const dir = makeTree(t);
+  const base = dir.split(path.sep).join('/');
+  assert.deepEqual(expandGlob(`${base}/aulas/*.mp4`).map(file => path.basename(file)), ['a.mp4']);
+  assert.deepEqual(expandGlob(`${base}/aulas/?.mp4`).map(file => path.basename(file)), ['a.mp4']);
+  assert.deepEqual(sources(collectItems([`${base}/aulas/**/*`])), ['a.mp4', 'b.MKV', 'c.mp4', 'd.webm']);
+});
+
+test('a list file gives URLs and paths, skipping blank lines and comments', (t) => {
+  const dir = makeTree(t);
+  const list = path.join(dir, 'urls.txt');
+  fs.writeFileSync(list, `# aulas\r\nhttps://youtu.be/abc\r\n\r\n  ${path.join(dir, 'aulas', 'a.mp4')}  \r\n# fim\r\n`);
+  assert.deepEqual(collectItems([list]), [
+    { source: 'https://youtu.be/abc', type: 'url' },
+    { source: path.join(dir, 'aulas', 'a.mp4'), type: 'file' }
+  ]);
+});
+
+test('a missing file stops the batch', () => {
+  assert.throws(() => collectItems(['nao-existe.mp4']), /não encontrado: nao-existe\.mp4/);
+});
+
+test('the output is named after the video and the target languages', () => {
+  assert.equal(outputVideoFor(path.join('aulas', 'b.mkv'), [en, es]), path.join('aulas', 'b_en-es.mp4'));
+  assert.equal(outputVideoFor(path.join('aulas', 'b.mkv'), [en], 'dublados'), path.join('dublados', 'b_en.mp4'));
+});
+
+test('videos or URLs listed twice are rejected', (t) => {
+  const dir = makeTree(t);
+  const items = collectItems([path.join(dir, 'aulas'), path.join(dir, 'aulas', 'a.mp4'), 'https://youtu.be/abc', 'https://youtu.be/abc']);
+  assert.deepEqual(findDuplicateTargets(items, [en]), [
+    `${path.join(dir, 'aulas', 'a.mp4')} aparece mais de uma vez`,
+    'https://youtu.be/abc aparece mais de uma vez'
+  ]);
+});
+
+test('videos with the same name sent to one output folder are rejected', (t) => {
+  const dir = makeTree(t);
+  fs.writeFileSync(path.join(dir, 'aulas', 'extra', 'a.mp4'), '');
+  const items = collectItems([path.join(dir, 'aulas', 'a.mp4'), path.join(dir, 'aulas', 'extra', 'a.mp4')]);
+  assert.deepEqual(findDuplicateTargets(items, [en]), []);
+  const problems = findDuplicateTargets(items, [en], path.join(dir, 'dublados'));
+  assert.equal(problems.length, 1);
+  assert.match(problems[0], /gerariam o mesmo vídeo: .*a_en\.mp4$/);
+});
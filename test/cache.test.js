@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createCache, withCache } from '../cache.js';
+
+// Provider that counts its calls and answers from the parameters
+function countingProvider() {
+  const calls = { transcribe: 0, translate: 0, speak: 0 };
+  return {
+    calls,
+    provider: {
+      name: 'test',
+      models: { transcribe: 'small', timestamps: 'large', translate: 'llm', speech: 'tts' },
+      async transcribe({ timestamps = false }) {
+        calls.transcribe++;
+        return { text: timestamps ? 'com tempos' : 'texto', segments: [], words: [] };
+      },
+      async translate({ user }) {
+        calls.translate++;
+        return user.toUpperCase();
+      },
+      async speak({ text, voice }) {
+        calls.speak++;
+        return Buffer.from(`${voice}:${text}`);
+      }
+    }
+  };
+}
+
+function tempCache(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dub-cache-test-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  return createCache({ root, maxBytes: 1024 * 1024, enabled: true });
+}
+
+test('translations are keyed by prompt and model', async (t) => {
+  const { provider, calls } = countingProvider();
+  const cached = withCache(provider, tempCache(t));
+
+  assert.equal(await cached.translate({ system: 'pt→en', user: 'olá' }), 'OLÁ');
+  assert.equal(await cached.translate({ system: 'pt→en', user: 'olá' }), 'OLÁ');
+  assert.equal(calls.translate, 1);
+
+  await cached.translate({ system: 'pt→es', user: 'olá' });
+  assert.equal(calls.translate, 2);
+
+  const otherModel = withCache({ ...provider, models: { ...provider.models, translate: 'other' } }, tempCache(t));
+  await otherModel.translate({ system: 'pt→en', user: 'olá' });
+  assert.equal(calls.translate, 3);
+});
+
+test('speech is keyed by voice and text', async (t) => {
+  const { provider, calls } = countingProvider();
+  const cached = withCache(provider, tempCache(t));
+
+  assert.equal((await cached.speak({ voice: 'onyx', text: 'oi' })).toString(), 'onyx:oi');
+  assert.equal((await cached.speak({ voice: 'onyx', text: 'oi' })).toString(), 'onyx:oi');
+  assert.equal(calls.speak, 1);
+
+  await cached.speak({ voice: 'nova', text: 'oi' });
+  await cached.speak({ voice: 'onyx', text: 'tchau' });
+  assert.equal(calls.speak, 3);
+});
+
+test('transcriptions are keyed by audio content and granularity', async (t) => {
+  const { provider, calls } = countingProvider();
+  const cache = tempCache(t);
+  const cached = withCache(provider, cache);
+  const audio = path.join(cache.root, 'audio.mp3');
+  fs.writeFileSync(audio, 'áudio 1');
+
+  await cached.transcribe({ file: audio, language: 'pt' });
+  await cached.transcribe({ file: audio, language: 'pt' });
+  assert.equal(calls.transcribe, 1);
+
+  assert.equal((await cached.transcribe({ file: audio, language: 'pt', timestamps: true })).text, 'com tempos');
+  assert.equal(calls.transcribe, 2);
+
+  fs.writeFileSync(audio, 'áudio 2');
+  await cached.transcribe({ file: audio, language: 'pt' });
+  assert.equal(calls.transcribe, 3);
+});
+
+test('a disabled cache always calls the provider', async (t) => {
+  const { provider, calls } = countingProvider();
+  const cache = tempCache(t);
+  cache.enabled = false;
+  const cached = withCache(provider, cache);
+
+  await cached.translate({ system: 's', user: 'u' });
+  await cached.translate({ system: 's', user: 'u' });
+  assert.equal(calls.translate, 2);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { loadConfig, menuOptions } from '../config.js';
+
+function configFile(t, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dub-config-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'dubbing.config.json');
+  fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  return file;
+}
+
+test('the shipped file is a valid configuration', () => {
+  const config = loadConfig({ file: null, profile: null, env: {} });
+  assert.equal(config.limits.maxTtsChars, 4000);
+  assert.equal(config.languages.pt.iso639_2, 'por');
+  assert.deepEqual(config.profiles, ['lecture', 'vlog']);
+  assert.equal(config.profile, null);
+});
+
+test('a project file is merged key by key and null removes an entry', (t) => {
+  const file = configFile(t, {
+    languages: { ru: { iso639_2: 'rus', name: 'Русский', systemPrompt: 'Russian' }, zh: null },
+    voices: { onyx: { name: 'Onyx (grave)' } },
+    limits: { maxBlockDuration: 25 }
+  });
+  const config = loadConfig({ file, profile: null, env: {} });
+  assert.equal(config.languages.ru.systemPrompt, 'Russian');
+  assert.equal(config.languages.zh, undefined);
+  assert.equal(config.languages.pt.name, 'Português 🇧🇷');
+  assert.equal(config.voices.onyx.name, 'Onyx (grave)');
+  assert.equal(config.limits.maxBlockDuration, 25);
+  assert.equal(config.limits.maxTtsChars, 4000);
+});
+
+test('profile, then environment, win over the files', () => {
+  const vlog = loadConfig({ file: null, profile: 'vlog', env: {} });
+  assert.equal(vlog.loudness, '-16');
+  assert.equal(vlog.limits.maxBlockDuration, 20);
+
+  const overridden = loadConfig({ file: null, profile: 'vlog', env: { DUB_LOUDNESS: 'match', DUB_MAX_TTS_CHARS: '2000', DUB_TRANSCRIBE_MODEL: 'local' } });
+  assert.equal(overridden.loudness, 'match');
+  assert.equal(overridden.limits.maxTtsChars, 2000);
+  assert.equal(overridden.models.transcribe, 'local');
+  assert.equal(overridden.models.timestamps, 'local');
+});
+
+test('invalid values, unknown keys and unknown profiles are rejected', (t) => {
+  const load = (options) => () => loadConfig({ file: null, profile: null, env: {}, ...options });
+
+  assert.throws(load({ env: { DUB_MAX_TTS_CHARS: 'muitos' } }), { code: 'INVALID_CONFIG', message: /DUB_MAX_TTS_CHARS.*limits\.maxTtsChars/ });
+  assert.throws(load({ env: { DUB_LOUDNESS: 'alto' } }), { code: 'INVALID_CONFIG', message: /loudness/ });
+  assert.throws(load({ env: { DUB_AUDIO_CHUNK_DURATION: '20' } }), { code: 'INVALID_CONFIG', message: /limits\.audioChunkDuration: deve ser um número a partir de 32/ });
+  assert.throws(load({ profile: 'podcast' }), { code: 'INVALID_CONFIG', message: /perfil desconhecido: podcast/ });
+  assert.throws(load({ file: configFile(t, { voicez: {} }) }), { code: 'INVALID_CONFIG', message: /voicez: chave desconhecida/ });
+  assert.throws(load({ file: configFile(t, { languages: { ru: { name: 'Русский' } } }) }), { code: 'INVALID_CONFIG', message: /languages\.ru\.iso639_2: obrigatório/ });
+  assert.throws(load({ file: configFile(t, '{ quebrado') }), { code: 'INVALID_CONFIG' });
+  assert.throws(load({ file: '/nao/existe.json' }), { code: 'INVALID_CONFIG', message: /arquivo não encontrado/ });
+});
+
+test('menuOptions numbers the entries for the menus', () => {
+  assert.deepEqual(menuOptions({ alloy: { name: 'Alloy' }, onyx: { name: 'Onyx' } }, 'id'), {
+    1: { id: 'alloy', name: 'Alloy' },
+    2: { id: 'onyx', name: 'Onyx' }
+  });
+});
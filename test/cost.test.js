@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { emptyUsage, priceUsage, formatUsd, createUsageRecorder, trackUsage } from '../cost.js';
+
+const hasFfmpeg = spawnSync('ffmpeg', ['-version']).status === 0;
+const SCRIPT = fileURLToPath(new URL('../ai-video-dub.js', import.meta.url));
+
+const MODELS = { transcribe: 'gpt-4o-mini-transcribe', timestamps: 'whisper-1', translate: 'o4-mini', speech: 'gpt-4o-mini-tts' };
+
+test('usage is priced per minute, per million tokens and per million characters', () => {
+  const usage = emptyUsage(MODELS);
+  usage.transcribe = { ...usage.transcribe, requests: 2, seconds: 600 };
+  usage.translate = { ...usage.translate, requests: 3, inputTokens: 1e6, outputTokens: 5e5 };
+  usage.speech = { ...usage.speech, requests: 4, characters: 2e5 };
+
+  const cost = priceUsage(usage);
+  assert.equal(cost.transcribe, 0.03);
+  assert.equal(cost.translate, 3.3);
+  assert.equal(cost.speech, 3);
+  assert.equal(cost.total, cost.transcribe + cost.translate + cost.speech);
+  assert.deepEqual(cost.unknownModels, []);
+});
+
+test('kinds without requests cost nothing and unknown models are listed', () => {
+  const usage = emptyUsage({ transcribe: 'whisper-large-local', translate: 'llama3', speech: 'kokoro' });
+  usage.translate = { ...usage.translate, requests: 1, inputTokens: 1000, outputTokens: 1000 };
+  const cost = priceUsage(usage);
+  assert.equal(cost.total, 0);
+  assert.deepEqual(cost.unknownModels, ['llama3']);
+});
+
+test('amounts under a dollar keep four decimals', () => {
+  assert.equal(formatUsd(0.00123), 'US$ 0.0012');
+  assert.equal(formatUsd(12.345), 'US$ 12.35');
+});
+
+// Provider whose calls take `delay` ms, so concurrent runs interleave
+function slowProvider(delay) {
+  const wait = () => new Promise(resolve => setTimeout(resolve, delay));
+  return {
+    name: 'stub',
+    models: MODELS,
+    async transcribe() { await wait(); return { text: 'oi' }; },
+    async translate({ onUsage }) { await wait(); onUsage({ inputTokens: 10, outputTokens: 4 }); return 'hi'; },
+    async speak() { await wait(); return Buffer.alloc(0); }
+  };
+}
+
+test('each run records only its own calls, also when runs overlap', async () => {
+  const provider = trackUsage(slowProvider(5));
+  const first = createUsageRecorder();
+  const second = createUsageRecorder();
+
+  await Promise.all([
+    first.run(async () => {
+      await provider.translate({ system: 's', user: 'u' });
+      await provider.speak({ text: 'hello there' });
+    }),
+    second.run(async () => {
+      await provider.speak({ text: 'hi' });
+      await provider.transcribe({ file: 'nao-existe.mp3', timestamps: true });
+    })
+  ]);
+  // Calls outside a run are not recorded anywhere
+  await provider.speak({ text: 'fora' });
+
+  assert.deepEqual(first.usage.translate, { model: 'o4-mini', requests: 1, inputTokens: 10, outputTokens: 4 });
+  assert.deepEqual(first.usage.speech, { model: 'gpt-4o-mini-tts', requests: 1, characters: 11 });
+  assert.equal(first.usage.transcribe.requests, 0);
+  assert.deepEqual(second.usage.speech, { model: 'gpt-4o-mini-tts', requests: 1, characters: 2 });
+  assert.deepEqual(second.usage.transcribe, { model: 'whisper-1', requests: 1, seconds: 0 });
+});
+
+test('translation tokens are estimated when the provider does not report them', async () => {
+  const provider = trackUsage({ ...slowProvider(0), async translate() { return 'abcdefgh'; } });
+  const recorder = createUsageRecorder();
+  await recorder.run(() => provider.translate({ system: 'x'.repeat(10), user: 'y'.repeat(10) }));
+  assert.equal(recorder.usage.translate.inputTokens, 5);
+  assert.equal(recorder.usage.translate.outputTokens, 2);
+});
+
+test('the recorder saves the usage with its price', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dub-cost-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const recorder = createUsageRecorder();
+  recorder.add('speech', 'tts-1', { characters: 1e6 });
+
+  const file = path.join(dir, 'usage.json');
+  recorder.save(file, { estimate: null });
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.equal(saved.usage.speech.requests, 1);
+  assert.equal(saved.cost.total, 15);
+  assert.equal(saved.estimate, null);
+});
+
+test('a run estimated over the budget refuses to start', { skip: !hasFfmpeg && 'ffmpeg não encontrado', timeout: 120000 }, (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dub-budget-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const input = path.join(dir, 'input.mp4');
+  const ffmpeg = spawnSync('ffmpeg', [
+    '-v', 'error', '-f', 'lavfi', '-i', 'color=c=black:s=160x120:d=30', '-f', 'lavfi', '-i', 'sine=frequency=300:duration=30',
+    '-shortest', '-c:v', 'libx264', '-c:a', 'aac', input
+  ]);
+  assert.equal(ffmpeg.status, 0, ffmpeg.stderr?.toString());
+
+  // Priced OpenAI models behind an address nothing listens on: any API call would fail the run
+  const dub = spawnSync(process.execPath, [SCRIPT, '-i', input, '-s', 'pt', '-t', 'en', '-v', 'onyx', '-m', 'fast', '-y', '--no-cache', '--budget', '0.0001'], {
+    cwd: dir,
+    env: { ...process.env, DUB_PROVIDER: 'openai-compatible', DUB_PROVIDER_BASE_URL: 'http://127.0.0.1:9/v1', DUB_TEMP_DIR: path.join(dir, 'tmp') },
+    stdio: ['ignore', 'pipe', 'pipe'],
+    encoding: 'utf8',
+    timeout: 100000
+  });
+
+  assert.equal(dub.status, 4, dub.stdout + dub.stderr);
+  assert.match(dub.stdout + dub.stderr, /acima do orçamento de US\$ 0\.0001/);
+  assert.ok(!fs.existsSync(path.join(dir, 'jobs')), 'nenhum job deveria ter sido criado');
+  assert.ok(!fs.existsSync(path.join(dir, 'input_en.mp4')));
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { loadGlossary, glossaryFor, buildGlossaryPrompt, checkGlossary } from '../glossary.js';
+
+function glossaryFile(t, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dub-glossary-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'glossary.json');
+  fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  return file;
+}
+
+const GLOSSARY = {
+  doNotTranslate: ['OpenAI', 'Luna'],
+  terms: {
+    'inscreva-se': 'subscribe',
+    dica: 'tip',
+    es: { dica: 'truco', canal: 'canal' }
+  }
+};
+
+test('a glossary file is loaded, with missing sections left empty', (t) => {
+  const file = glossaryFile(t, GLOSSARY);
+  const glossary = loadGlossary(file);
+  assert.equal(glossary.file, file);
+  assert.deepEqual(glossary.doNotTranslate, ['OpenAI', 'Luna']);
+  assert.equal(glossary.terms.dica, 'tip');
+
+  const empty = glossaryFile(t, {});
+  assert.deepEqual(loadGlossary(empty), { file: empty, doNotTranslate: [], terms: {} });
+});
+
+test('invalid glossaries fail with the file and the problem', (t) => {
+  assert.throws(() => loadGlossary(glossaryFile(t, '{ "terms": ')), /Glossário inválido \(.*glossary\.json\)/);
+  assert.throws(() => loadGlossary(glossaryFile(t, '[]')), /deve ser um objeto/);
+  assert.throws(() => loadGlossary(glossaryFile(t, { doNotTranslate: 'OpenAI' })), /"doNotTranslate" deve ser uma lista de textos/);
+  assert.throws(() => loadGlossary(glossaryFile(t, { doNotTranslate: ['  '] })), /"doNotTranslate"/);
+  assert.throws(() => loadGlossary(glossaryFile(t, { terms: ['dica'] })), /"terms" deve ser um objeto/);
+  assert.throws(() => loadGlossary(glossaryFile(t, { terms: { dica: 3 } })), /entrada "dica"/);
+  assert.throws(() => loadGlossary(glossaryFile(t, { terms: { es: { dica: null } } })), /entrada "es"/);
+});
+
+test('terms for the target language win over the generic ones', () => {
+  const glossary = { file: 'glossary.json', ...GLOSSARY };
+  assert.deepEqual(glossaryFor(glossary, 'es').terms, [['inscreva-se', 'subscribe'], ['dica', 'truco'], ['canal', 'canal']]);
+  assert.deepEqual(glossaryFor(glossary, 'en').terms, [['inscreva-se', 'subscribe'], ['dica', 'tip']]);
+  assert.equal(glossaryFor({ file: 'g.json', doNotTranslate: [], terms: { es: { dica: 'truco' } } }, 'en'), null);
+  assert.equal(glossaryFor(null, 'en'), null);
+});
+
+test('the prompt lists the terms and the names to keep', () => {
+  const prompt = buildGlossaryPrompt({ doNotTranslate: ['Luna'], terms: [['dica', 'tip']] });
+  assert.equal(prompt, '\n\nGLOSSARY (mandatory terminology, always use these translations):\n- "dica" → "tip"\n\nDO NOT TRANSLATE (names and terms that must be kept exactly as written):\n- Luna');
+  assert.equal(buildGlossaryPrompt(null), '');
+});
+
+test('missing term translations and changed names are reported', () => {
+  const entries = { doNotTranslate: ['Luna'], terms: [['dica', 'tip'], ['inscreva-se', 'subscribe']] };
+  const violations = checkGlossary(entries, [
+    { label: 'bloco 1', sourceText: 'Uma dica da Luna.', text: 'A hint from Moon.' },
+    { label: 'bloco 2', sourceText: 'Inscreva-se no canal!', text: 'Subscribe to the channel!' },
+    { label: 'bloco 3', sourceText: 'Falei com a luna ontem', text: 'I talked to luna yesterday' }
+  ]);
+  assert.deepEqual(violations.map(v => [v.where, v.type, v.term]), [
+    ['bloco 1', 'term', 'dica'],
+    ['bloco 1', 'doNotTranslate', 'Luna'],
+    ['bloco 3', 'doNotTranslate', 'Luna']
+  ]);
+});
+
+test('terms match whole words only, also with accents', () => {
+  const entries = { doNotTranslate: [], terms: [['dica', 'tip'], ['ação', 'action']] };
+  const violations = checkGlossary(entries, [
+    { label: 'a', sourceText: 'indicação de leitura', text: 'reading suggestion' },
+    { label: 'b', sourceText: 'Uma ação rápida', text: 'A quick action' },
+    { label: 'c', sourceText: 'Uma ação rápida', text: 'A quick reaction' }
+  ]);
+  assert.deepEqual(violations.map(v => v.where), ['c']);
+  assert.deepEqual(checkGlossary(null, [{ label: 'a', sourceText: 'dica', text: 'x' }]), []);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const hasFfmpeg = spawnSync('ffmpeg', ['-version']).status === 0;
+
+const SCRIPT = fileURLToPath(new URL('../ai-video-dub.js', import.meta.url));
+
+// Whole dub with the offline fake provider: needs ffmpeg, no network. It runs the command line in
+// a child process, since jobs/ and debug_logs/ are written to the working directory
+test('a video is dubbed offline with the fake provider', { skip: !hasFfmpeg && 'ffmpeg não encontrado', timeout: 300000 }, (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dub-pipeline-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // 12 s of tone with a pause in the middle, as speech - silence - speech
+  const input = path.join(dir, 'input.mp4');
+  const ffmpeg = spawnSync('ffmpeg', [
+    '-v', 'error', '-f', 'lavfi', '-i', 'color=c=black:s=160x120:d=12',
+    '-f', 'lavfi', '-i', 'sine=frequency=300:duration=12',
+    '-af', "volume=0:enable='between(t,5,8)'", '-shortest', '-c:v', 'libx264', '-c:a', 'aac', input
+  ]);
+  assert.equal(ffmpeg.status, 0, ffmpeg.stderr?.toString());
+
+  const output = path.join(dir, 'output.mp4');
+  const dub = spawnSync(process.execPath, [SCRIPT, '-i', input, '-s', 'pt', '-t', 'en', '-v', 'onyx', '-m', 'fast', '-o', output, '-y', '--no-cache'], {
+    cwd: dir,
+    env: { ...process.env, DUB_PROVIDER: 'fake', DUB_TEMP_DIR: path.join(dir, 'tmp') },
+    stdio: ['ignore', 'pipe', 'pipe'],
+    encoding: 'utf8',
+    timeout: 280000
+  });
+
+  assert.equal(dub.status, 0, dub.stdout + dub.stderr);
+  assert.ok(fs.statSync(output).size > 0);
+  assert.ok(fs.existsSync(path.join(dir, 'output.en.srt')));
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { fileURLToPath } from 'node:url';
+import { callWithRetry, classifyError, retryAfterMs, withRetries, ERROR_KINDS } from '../retry.js';
+import { createOpenAIProvider } from '../providers.js';
+
+// Error shaped like the ones the OpenAI SDK throws
+function apiError(status, { code = null, headers = {} } = {}) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  error.code = code;
+  error.headers = headers;
+  return error;
+}
+
+// A call failing with `errors` in order, then returning 'ok'
+function scripted(errors) {
+  let calls = 0;
+  const fn = async () => {
+    calls++;
+    if (errors.length > 0) throw errors.shift();
+    return 'ok';
+  };
+  return { fn, calls: () => calls };
+}
+
+test('classifyError sorts API and network errors', () => {
+  assert.equal(classifyError(apiError(429)), ERROR_KINDS.RETRYABLE);
+  assert.equal(classifyError(apiError(503)), ERROR_KINDS.RETRYABLE);
+  assert.equal(classifyError(apiError(429, { code: 'insufficient_quota' })), ERROR_KINDS.QUOTA);
+  assert.equal(classifyError(apiError(400)), ERROR_KINDS.INVALID_INPUT);
+  assert.equal(classifyError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), ERROR_KINDS.RETRYABLE);
+  assert.equal(classifyError(new Error('bug')), null);
+});
+
+test('retryAfterMs reads retry-after-ms and Retry-After in seconds', () => {
+  assert.equal(retryAfterMs(apiError(429, { headers: { 'retry-after-ms': '250' } })), 250);
+  assert.equal(retryAfterMs(apiError(429, { headers: { 'retry-after': '2' } })), 2000);
+  assert.equal(retryAfterMs(apiError(429)), null);
+});
+
+test('retryAfterMs caps the server wait at the maximum backoff', () => {
+  assert.equal(retryAfterMs(apiError(429, { headers: { 'retry-after': '3600' } })), 60000);
+  assert.equal(retryAfterMs(apiError(429, { headers: { 'retry-after-ms': '900000' } })), 60000);
+  const later = new Date(Date.now() + 24 * 3600 * 1000).toUTCString();
+  assert.equal(retryAfterMs(apiError(503, { headers: { 'retry-after': later } })), 60000);
+});
+
+test('temporary errors are retried until the call succeeds', async () => {
+  const call = scripted([
+    apiError(503, { headers: { 'retry-after-ms': '1' } }),
+    apiError(429, { headers: { 'retry-after-ms': '1' } })
+  ]);
+  assert.equal(await callWithRetry(call.fn, { label: 'teste', retries: 3, timeout: 5 }), 'ok');
+  assert.equal(call.calls(), 3);
+});
+
+test('a call that keeps failing gives up with PROVIDER_RETRYABLE', async () => {
+  const errors = Array.from({ length: 5 }, () => apiError(500, { headers: { 'retry-after-ms': '1' } }));
+  const call = scripted(errors);
+  await assert.rejects(callWithRetry(call.fn, { label: 'teste', retries: 2, timeout: 5 }), { code: ERROR_KINDS.RETRYABLE });
+  assert.equal(call.calls(), 3);
+});
+
+test('quota and invalid input errors are not retried', async () => {
+  const quota = scripted([apiError(429, { code: 'insufficient_quota' })]);
+  await assert.rejects(callWithRetry(quota.fn, { label: 'teste', retries: 3, timeout: 5 }), { code: ERROR_KINDS.QUOTA });
+  assert.equal(quota.calls(), 1);
+
+  const invalid = scripted([apiError(400)]);
+  await assert.rejects(callWithRetry(invalid.fn, { label: 'teste', retries: 3, timeout: 5 }), { code: ERROR_KINDS.INVALID_INPUT });
+  assert.equal(invalid.calls(), 1);
+});
+
+test('a call without an answer times out and is retried', async () => {
+  let calls = 0;
+  const fn = () => (++calls === 1 ? new Promise(() => {}) : Promise.resolve('ok'));
+  assert.equal(await callWithRetry(fn, { label: 'teste', retries: 1, timeout: 0.05 }), 'ok');
+  assert.equal(calls, 2);
+});
+
+test('translation through fake-api-server survives scripted failures', async (t) => {
+  const port = 18787 + (process.pid % 1000);
+  const server = spawn(process.execPath, ['fake-api-server.js', '--port', String(port), '--fail', '500,429,reset', '--retry-after', '0'], {
+    cwd: fileURLToPath(new URL('..', import.meta.url)),
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  t.after(() => server.kill());
+  await once(server.stdout, 'data');
+
+  const provider = withRetries(
+    createOpenAIProvider({ name: 'openai-compatible', apiKey: 'not-needed', baseURL: `http://localhost:${port}/v1` }),
+    { retries: 3, timeout: 5 }
+  );
+  const text = await provider.translate({ system: 'Translate', user: 'TEXT:\nOlá, mundo.' });
+  assert.equal(text, 'Olá, mundo.');
+});
@@ -0,0 +1,120 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScheduler, withRateLimit } from '../scheduler.js';
+
+// Let pending promise callbacks run; setImmediate is left real by the fake timers below
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+function useFakeTimers(t) {
+  mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  t.after(() => mock.timers.reset());
+}
+
+test('no more than `concurrency` tasks run at once', async (t) => {
+  useFakeTimers(t);
+  const scheduler = createScheduler({ concurrency: 2, requestsPerMinute: 0 });
+  let running = 0;
+  let maxRunning = 0;
+  const started = [];
+
+  const tasks = [300, 100, 200, 100, 50].map((ms, i) => scheduler.run(async () => {
+    running += 1;
+    maxRunning = Math.max(maxRunning, running);
+    started.push([i, Date.now()]);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    running -= 1;
+    return i;
+  }));
+
+  for (let i = 0; i < 6; i++) {
+    await flush();
+    mock.timers.tick(100);
+  }
+  assert.deepEqual(await Promise.all(tasks), [0, 1, 2, 3, 4]);
+  assert.equal(maxRunning, 2);
+  // Each task starts as soon as a slot frees up, in the order they were queued
+  assert.deepEqual(started, [[0, 0], [1, 0], [2, 100], [3, 300], [4, 300]]);
+});
+
+test('a concurrency below one still runs tasks one at a time', async () => {
+  const scheduler = createScheduler({ concurrency: 0, requestsPerMinute: 0 });
+  assert.equal(scheduler.concurrency, 1);
+  assert.equal(await scheduler.run(async () => 'ok'), 'ok');
+});
+
+test('map returns results in item order, whatever order they finish in', async (t) => {
+  useFakeTimers(t);
+  const scheduler = createScheduler({ concurrency: 3, requestsPerMinute: 0 });
+  const finished = [];
+  const results = scheduler.map([300, 100, 200], async (ms, i) => {
+    await new Promise(resolve => setTimeout(resolve, ms));
+    finished.push(i);
+    return `item ${i}`;
+  });
+
+  for (let i = 0; i < 3; i++) {
+    await flush();
+    mock.timers.tick(100);
+  }
+  assert.deepEqual(await results, ['item 0', 'item 1', 'item 2']);
+  assert.deepEqual(finished, [1, 2, 0]);
+});
+
+test('after a failure map starts no new task and throws the error', async () => {
+  const scheduler = createScheduler({ concurrency: 1, requestsPerMinute: 0 });
+  const called = [];
+  await assert.rejects(scheduler.map(['a', 'b', 'c'], async (item) => {
+    called.push(item);
+    if (item === 'b') throw new Error('falhou b');
+    return item;
+  }), /falhou b/);
+  assert.deepEqual(called, ['a', 'b']);
+});
+
+test('requests beyond the per-minute limit wait for the oldest one to leave the window', async (t) => {
+  useFakeTimers(t);
+  const scheduler = createScheduler({ concurrency: 4, requestsPerMinute: 2 });
+  const granted = [];
+  for (let i = 0; i < 3; i++) {
+    scheduler.request().then(() => granted.push([i, Date.now()]));
+  }
+
+  await flush();
+  assert.deepEqual(granted, [[0, 0], [1, 0]]);
+  mock.timers.tick(59999);
+  await flush();
+  assert.equal(granted.length, 2);
+  mock.timers.tick(1);
+  await flush();
+  assert.deepEqual(granted, [[0, 0], [1, 0], [2, 60000]]);
+});
+
+test('without a limit every request starts at once', async (t) => {
+  useFakeTimers(t);
+  const scheduler = createScheduler({ concurrency: 1, requestsPerMinute: 0 });
+  let granted = 0;
+  for (let i = 0; i < 100; i++) scheduler.request().then(() => { granted += 1; });
+  await flush();
+  assert.equal(granted, 100);
+});
+
+test('a rate-limited provider waits before each call', async (t) => {
+  useFakeTimers(t);
+  const calls = [];
+  const provider = withRateLimit({
+    name: 'stub',
+    models: {},
+    async transcribe() { calls.push(['transcribe', Date.now()]); return { text: '' }; },
+    async translate() { calls.push(['translate', Date.now()]); return ''; },
+    async speak() { calls.push(['speak', Date.now()]); return Buffer.alloc(0); }
+  }, createScheduler({ concurrency: 4, requestsPerMinute: 1 }));
+
+  const done = Promise.all([provider.speak({ text: 'a' }), provider.translate({}), provider.transcribe({})]);
+  for (let i = 0; i < 3; i++) {
+    await flush();
+    mock.timers.tick(60000);
+  }
+  await done;
+  assert.equal(provider.name, 'stub');
+  assert.deepEqual(calls, [['speak', 0], ['translate', 60000], ['transcribe', 120000]]);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calibrateSilence,
+  calibrateFromLevels,
+  parseLevels,
+  parseSilenceThreshold,
+  parseMinSilence,
+  formatSilenceSettings,
+  DEFAULT_SILENCE_THRESHOLD,
+  DEFAULT_MIN_SILENCE
+} from '../silence.js';
+
+// ffmpeg stderr of the astats/ametadata measurement, one 0.1 s window per level
+function cannedAstats(levels) {
+  return levels.map((level, i) => [
+    `[Parsed_ametadata_3 @ 0x5581c2a0] frame:${i}    pts:${i * 1600}    pts_time:${(i * 0.1).toFixed(1)}`,
+    `[Parsed_ametadata_3 @ 0x5581c2a0] lavfi.astats.Overall.Peak_level=${level}`
+  ].join('\n')).join('\n');
+}
+
+const windows = (count, level) => Array(count).fill(level);
+
+// 44.8 s: speech at -20 dB split by pauses of 2.5 s (digital silence), 0.8 s and 1.5 s (room noise)
+const TALK = cannedAstats([
+  ...windows(100, '-20.000000'), ...windows(25, '-inf'),
+  ...windows(100, '-20.000000'), ...windows(8, '-60.000000'),
+  ...windows(100, '-20.000000'), ...windows(15, '-60.000000'),
+  ...windows(100, '-20.000000')
+]);
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+test('window levels are read from the astats lines, with -inf at the floor', () => {
+  assert.deepEqual(parseLevels(cannedAstats(['-20.5', '-inf', '-95.0', 'nan'])), [-20.5, -90, -90, -90]);
+  assert.deepEqual(parseLevels('Stream #0:0: Audio: pcm_s16le\nsize=N/A time=00:00:01.00'), []);
+});
+
+test('the threshold sits between the noise floor and speech percentiles', () => {
+  const settings = calibrateFromLevels(parseLevels(TALK));
+  assert.equal(settings.noiseFloor, -60);
+  assert.equal(settings.speechLevel, -20);
+  near(settings.threshold, -48);
+  assert.deepEqual(settings.calibrated, { threshold: true, minDuration: true });
+});
+
+test('the minimum pause keeps about one pause per 15 s of audio', () => {
+  // 44.8 s wants 2 pauses: the 2.5 s and the 1.5 s ones, less one window
+  near(calibrateFromLevels(parseLevels(TALK)).minDuration, 1.4);
+});
+
+test('with fewer pauses than wanted, or only pauses at the edges, the shortest minimum is used', () => {
+  const edges = cannedAstats([...windows(50, '-inf'), ...windows(400, '-20.0'), ...windows(50, '-inf')]);
+  assert.equal(calibrateFromLevels(parseLevels(edges)).minDuration, 1);
+});
+
+test('calibrated values stay within the accepted range', () => {
+  const silent = calibrateFromLevels(parseLevels(cannedAstats(windows(100, '-inf'))));
+  assert.equal(silent.threshold, -70);
+  assert.equal(silent.minDuration, 1);
+
+  const longPauses = cannedAstats([
+    ...windows(60, '-20.0'), ...windows(60, '-inf'), ...windows(60, '-20.0'), ...windows(60, '-inf'),
+    ...windows(60, '-20.0'), ...windows(60, '-inf'), ...windows(60, '-20.0')
+  ]);
+  // Pauses of 6 s would make the minimum 5.9 s; it stops at 3
+  assert.equal(calibrateFromLevels(parseLevels(longPauses)).minDuration, 3);
+});
+
+test('values fixed for the job are kept and only the others are calibrated', () => {
+  const levels = parseLevels(TALK);
+
+  const threshold = calibrateFromLevels(levels, { threshold: -35 });
+  assert.equal(threshold.threshold, -35);
+  near(threshold.minDuration, 1.4);
+  assert.deepEqual(threshold.calibrated, { threshold: false, minDuration: true });
+
+  const minDuration = calibrateFromLevels(levels, { minDuration: 2.5 });
+  near(minDuration.threshold, -48);
+  assert.equal(minDuration.minDuration, 2.5);
+  assert.deepEqual(minDuration.calibrated, { threshold: true, minDuration: false });
+});
+
+test('with both values fixed the file is not measured at all', async () => {
+  const settings = await calibrateSilence('nao-existe.mp3', { threshold: -40, minDuration: 1.5 });
+  assert.deepEqual(settings, {
+    threshold: -40,
+    minDuration: 1.5,
+    noiseFloor: null,
+    speechLevel: null,
+    calibrated: { threshold: false, minDuration: false }
+  });
+  assert.equal(formatSilenceSettings(settings), 'limiar -40.0 dB, pausa mínima 1.50s');
+});
+
+test('a file without level measurements falls back to the defaults', () => {
+  const settings = calibrateFromLevels([]);
+  assert.equal(settings.threshold, DEFAULT_SILENCE_THRESHOLD);
+  assert.equal(settings.minDuration, DEFAULT_MIN_SILENCE);
+  assert.equal(formatSilenceSettings(settings), 'limiar -30.0 dB (auto), pausa mínima 2.00s (auto)');
+});
+
+test('overrides are parsed from flags and config values', () => {
+  assert.equal(parseSilenceThreshold('auto'), null);
+  assert.equal(parseSilenceThreshold('-35dB'), -35);
+  assert.equal(parseSilenceThreshold(-42), -42);
+  assert.throws(() => parseSilenceThreshold('-5'), /Limiar de silêncio inválido: -5/);
+  assert.equal(parseMinSilence('1.5s'), 1.5);
+  assert.equal(parseMinSilence(undefined), null);
+  assert.throws(() => parseMinSilence('0'), /Pausa mínima inválida: 0/);
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { speechRegions } from '../speech-regions.js';
+
+const silence = (start, end) => ({ start, end, duration: end - start });
+
+test('the speech between silences becomes one region each', () => {
+  assert.deepEqual(speechRegions([silence(3, 5), silence(9, 10)], 14), [
+    { start: 0, end: 3, text: '' },
+    { start: 5, end: 9, text: '' },
+    { start: 10, end: 14, text: '' }
+  ]);
+});
+
+test('silences at the edges leave no empty region', () => {
+  assert.deepEqual(speechRegions([silence(0, 2), silence(6, 8)], 8), [{ start: 2, end: 6, text: '' }]);
+});
+
+test('audio without silences, or with nothing but silence, is one region', () => {
+  assert.deepEqual(speechRegions([], 12), [{ start: 0, end: 12, text: '' }]);
+  assert.deepEqual(speechRegions([silence(0, 12)], 12), [{ start: 0, end: 12, text: '' }]);
+});
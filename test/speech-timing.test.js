@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { planPauses, trimSilence, detectPauses, fitPauses } from '../speech-timing.js';
+
+const hasFfmpeg = spawnSync('ffmpeg', ['-version']).status === 0;
+const needsFfmpeg = { skip: !hasFfmpeg && 'ffmpeg não encontrado', timeout: 60000 };
+
+const pause = (start, end) => ({ start, end, duration: end - start });
+
+test('pauses are all scaled by the factor that brings the clip to the target', () => {
+  // 6 s of speech and 2 s of pauses, to fill 9 s: the pauses grow to 3 s
+  const plan = planPauses([pause(2, 3), pause(5, 6)], 8, 9);
+  assert.deepEqual(plan.map(p => p.length), [1.5, 1.5]);
+  assert.deepEqual(plan[0], { start: 2, end: 3, duration: 1, length: 1.5 });
+});
+
+test('the pause scale is kept within its limits', () => {
+  // Growing 1 s of pauses to 10 s would be scale 10; it stops at 2.5
+  assert.deepEqual(planPauses([pause(1, 2)], 5, 14).map(p => p.length), [2.5]);
+  // Shrinking them to nothing stops at half
+  assert.deepEqual(planPauses([pause(1, 2)], 5, 3).map(p => p.length), [0.5]);
+});
+
+test('a pause never gets shorter than the minimum pause length', () => {
+  const plan = planPauses([pause(1, 1.2), pause(3, 4)], 6, 5.4);
+  assert.equal(plan[0].length, 0.12);
+  assert.ok(Math.abs(plan[1].length - 0.5) < 1e-9);
+});
+
+test('pauses are left alone without pauses or for changes under 5%', () => {
+  assert.equal(planPauses([], 5, 8), null);
+  assert.equal(planPauses([pause(1, 2)], 5, 5.04), null);
+});
+
+// Tone with silence around it: 0.5 s silence, 1 s tone, 0.6 s pause, 1 s tone, 0.5 s silence
+function makeClip(dir, expression = 'between(t,0.5,1.5)+between(t,2.1,3.1)') {
+  const file = path.join(dir, 'clip.mp3');
+  const ffmpeg = spawnSync('ffmpeg', [
+    '-v', 'error', '-y', '-f', 'lavfi', '-i', `aevalsrc='if(${expression},0.5*sin(2*PI*440*t),0)':s=44100:d=3.6`,
+    '-acodec', 'libmp3lame', '-q:a', '2', file
+  ]);
+  assert.equal(ffmpeg.status, 0, ffmpeg.stderr?.toString());
+  return file;
+}
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dub-speech-timing-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('the silence at the edges of a clip is trimmed, keeping a little margin', needsFfmpeg, async (t) => {
+  const dir = tempDir(t);
+  const trimmed = path.join(dir, 'trimmed.mp3');
+  const result = await trimSilence(makeClip(dir), trimmed);
+
+  assert.ok(Math.abs(result.original - 3.6) < 0.1, `original ${result.original}`);
+  // 2.6 s from the first to the last tone, plus the margins
+  assert.ok(Math.abs(result.duration - 2.7) < 0.12, `trimmed ${result.duration}`);
+
+  const pauses = await detectPauses(trimmed);
+  assert.equal(pauses.length, 1);
+  assert.ok(Math.abs(pauses[0].duration - 0.6) < 0.1, `pause ${pauses[0].duration}`);
+});
+
+test('a clip that is all silence is kept as it is', needsFfmpeg, async (t) => {
+  const dir = tempDir(t);
+  const input = makeClip(dir, '0');
+  const output = path.join(dir, 'trimmed.mp3');
+  const result = await trimSilence(input, output);
+  assert.equal(result.duration, result.original);
+  assert.deepEqual(fs.readFileSync(output), fs.readFileSync(input));
+});
+
+test('the inner pause is stretched toward the target', needsFfmpeg, async (t) => {
+  const dir = tempDir(t);
+  const trimmed = path.join(dir, 'trimmed.mp3');
+  const { duration } = await trimSilence(makeClip(dir), trimmed);
+
+  const fitted = await fitPauses(trimmed, path.join(dir, 'fitted.mp3'), duration + 0.8);
+  assert.equal(fitted.count, 1);
+  assert.ok(fitted.after > fitted.before + 0.6, `pausa ${fitted.before} → ${fitted.after}`);
+  assert.ok(Math.abs(fitted.duration - (duration + 0.8)) < 0.15, `duração ${fitted.duration}`);
+
+  // Already the right length: nothing to do
+  assert.equal(await fitPauses(trimmed, path.join(dir, 'same.mp3'), duration), null);
+});
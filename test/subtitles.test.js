@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatTimestamp, formatSrt, formatVtt, splitLongCues, parseTimestamp, parseSubtitles } from '../subtitles.js';
+
+test('timestamps are rounded to the millisecond and roll over into minutes and hours', () => {
+  assert.equal(formatTimestamp(3725.5), '01:02:05,500');
+  assert.equal(formatTimestamp(3725.5, '.'), '01:02:05.500');
+  assert.equal(formatTimestamp(1.2346), '00:00:01,235');
+  assert.equal(formatTimestamp(59.9999), '00:01:00,000');
+  assert.equal(formatTimestamp(3599.9999), '01:00:00,000');
+  assert.equal(formatTimestamp(360000), '100:00:00,000');
+  assert.equal(formatTimestamp(-0.2), '00:00:00,000');
+});
+
+test('SRT cues are numbered from 1 and separated by a blank line', () => {
+  const cues = [{ start: 0, end: 1.5, text: 'Olá.' }, { start: 2, end: 3, text: 'Tudo bem?' }];
+  assert.equal(formatSrt(cues), '1\n00:00:00,000 --> 00:00:01,500\nOlá.\n\n2\n00:00:02,000 --> 00:00:03,000\nTudo bem?\n');
+});
+
+test('WebVTT starts with its header and escapes markup characters', () => {
+  const cues = [{ start: 0, end: 2, text: 'a < b & c > d' }];
+  assert.equal(formatVtt(cues), 'WEBVTT\n\n00:00:00.000 --> 00:00:02.000\na &lt; b &amp; c &gt; d\n');
+});
+
+test('cue text never holds a blank line or a timing arrow', () => {
+  const cues = [{ start: 0, end: 2, text: 'linha 1\n\n  linha 2 --> fim' }];
+  assert.equal(formatSrt(cues), '1\n00:00:00,000 --> 00:00:02,000\nlinha 1\nlinha 2 -> fim\n');
+  assert.equal(formatVtt(cues), 'WEBVTT\n\n00:00:00.000 --> 00:00:02.000\nlinha 1\nlinha 2 -&gt; fim\n');
+});
+
+test('long cues are split at sentences, sharing the time by characters', () => {
+  const text = 'Primeira frase bem comprida para ocupar espaço na tela. Segunda frase também longa o bastante aqui.';
+  const cues = splitLongCues([{ start: 10, end: 20, text }], 60);
+  assert.deepEqual(cues.map(cue => cue.text), [
+    'Primeira frase bem comprida para ocupar espaço na tela.',
+    'Segunda frase também longa o bastante aqui.'
+  ]);
+  assert.equal(cues[0].start, 10);
+  assert.equal(cues[1].end, 20);
+  assert.ok(cues[0].end > 15 && cues[0].end < 16);
+});
+
+test('a cue too short to split stays whole, and empty cues are dropped', () => {
+  const text = 'Uma frase. Outra frase. Mais uma frase que passa do limite.';
+  assert.deepEqual(splitLongCues([{ start: 0, end: 1.5, text }, { start: 2, end: 3, text: '  ' }], 20), [{ start: 0, end: 1.5, text }]);
+});
+
+test('SRT with a byte order mark, CRLF and multi-line cues is parsed', () => {
+  const srt = '\uFEFF1\r\n00:00:01,000 --> 00:00:02,500\r\nPrimeira linha\r\n<i>segunda</i> linha\r\n\r\n2\r\n00:00:03,000 --> 00:00:04,000\r\n{\\an8}Fim.\r\n';
+  assert.deepEqual(parseSubtitles(srt), [
+    { start: 1, end: 2.5, text: 'Primeira linha segunda linha' },
+    { start: 3, end: 4, text: 'Fim.' }
+  ]);
+});
+
+test('WebVTT headers, NOTE and STYLE blocks, cue ids and settings are skipped', () => {
+  const vtt = [
+    'WEBVTT - legendas', 'Kind: captions', '',
+    'NOTE revisar', 'a tradução', '',
+    'STYLE', '::cue { color: yellow }', '',
+    'abertura', '01:05.000 --> 01:07.250 align:start position:10%', 'a &lt; b &amp;&nbsp;c', '',
+    '00:01:08.000 --> 00:01:09.000', '<c.verde>Tchau</c>', ''
+  ].join('\n');
+  assert.deepEqual(parseSubtitles(vtt), [
+    { start: 65, end: 67.25, text: 'a < b & c' },
+    { start: 68, end: 69, text: 'Tchau' }
+  ]);
+});
+
+test('a VTT written by formatVtt reads back the same text', () => {
+  const cues = [{ start: 0, end: 2, text: 'Tom & Jerry <3' }];
+  assert.deepEqual(parseSubtitles(formatVtt(cues)), cues);
+});
+
+test('cues without a blank line between them stay apart', () => {
+  const srt = '1\n00:00:01,000 --> 00:00:02,000\nUm\n2\n00:00:03,000 --> 00:00:04,000\nDois\n';
+  assert.deepEqual(parseSubtitles(srt).map(cue => cue.text), ['Um', 'Dois']);
+});
+
+test('empty cues are dropped and rolling captions repeated while scrolling are merged', () => {
+  const srt = '1\n00:00:01,000 --> 00:00:02,000\n\n2\n00:00:02,000 --> 00:00:03,000\nOi\n\n3\n00:00:03,000 --> 00:00:05,000\nOi\n';
+  assert.deepEqual(parseSubtitles(srt), [{ start: 2, end: 5, text: 'Oi' }]);
+});
+
+test('malformed timestamps fail with the line of the cue', () => {
+  assert.equal(parseTimestamp('1:02:03.4'), 3723.4);
+  assert.throws(() => parseTimestamp('00:00:01'), /Timestamp de legenda inválido: 00:00:01/);
+  assert.throws(() => parseSubtitles('1\n00:00:01,000 --> depois\nTexto\n'), /inválido: depois \(linha 2\)/);
+});
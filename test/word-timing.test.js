@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { alignSentences, findPhrase, endsSentence, normalizeWord } from '../word-timing.js';
+
+// Timed words, one per second
+function timed(text) {
+  return text.split(' ').map((word, i) => ({ word, start: i, end: i + 0.8 }));
+}
+
+test('tokens ending in . ! ? or … close a sentence', () => {
+  assert.ok(endsSentence('fim.'));
+  assert.ok(endsSentence('sério?!'));
+  assert.ok(endsSentence('disse."'));
+  assert.ok(!endsSentence('vírgula,'));
+  assert.equal(normalizeWord('Olá,'), 'olá');
+});
+
+test('sentences get the time of their first and last words', () => {
+  const sentences = alignSentences('Olá a todos. Hoje vamos falar de áudio!', timed('olá a todos hoje vamos falar de áudio'));
+  assert.deepEqual(sentences, [
+    { start: 0, end: 2.8, text: 'Olá a todos.' },
+    { start: 3, end: 7.8, text: 'Hoje vamos falar de áudio!' }
+  ]);
+});
+
+test('words split differently from the text still align', () => {
+  const sentences = alignSentences('Mande um e-mail. Obrigado.', timed('mande um e mail obrigado'));
+  assert.deepEqual(sentences.map(sentence => [sentence.start, sentence.end]), [[0, 3.8], [4, 4.8]]);
+});
+
+test('words that do not follow the text give no sentences', () => {
+  assert.deepEqual(alignSentences('Um texto qualquer. Outro.', timed('nada a ver com isso')), []);
+  assert.deepEqual(alignSentences('Sem palavras.', []), []);
+});
+
+test('findPhrase finds every place a phrase is said', () => {
+  const words = timed('envie um e mail hoje e outro e mail amanhã');
+  assert.deepEqual(findPhrase(words, 'e-mail'), [
+    { start: 2, end: 3.8, index: 2 },
+    { start: 7, end: 8.8, index: 7 }
+  ]);
+  assert.deepEqual(findPhrase(words, 'ontem'), []);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createWorkdir, installCleanupHandlers } from '../workdir.js';
+
+const HANDLED_EVENTS = ['SIGINT', 'SIGTERM', 'uncaughtException', 'unhandledRejection'];
+const listeners = () => HANDLED_EVENTS.map(event => process.listenerCount(event));
+
+function tempRoot(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dub-workdir-test-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  return root;
+}
+
+test('a work directory is created under the root and removed by remove()', (t) => {
+  const root = tempRoot(t);
+  const workdir = createWorkdir('run-1', root);
+  const file = workdir.path('chunks', 'chunk_0.mp3');
+  fs.writeFileSync(file, '');
+  assert.equal(file, path.join(root, 'run-1', 'chunks', 'chunk_0.mp3'));
+
+  workdir.remove();
+  assert.ok(!fs.existsSync(workdir.dir));
+});
+
+test('the library leaves signals and uncaught errors to the program that uses it', (t) => {
+  const before = listeners();
+  createWorkdir('run-2', tempRoot(t)).remove();
+  assert.deepEqual(listeners(), before);
+
+  installCleanupHandlers();
+  installCleanupHandlers();
+  assert.deepEqual(listeners(), before.map(count => count + 1));
+});
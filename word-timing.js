@@ -0,0 +1,136 @@
+/**
+ * Word timestamps and the sentences built from them
+ *
+ * Whisper returns word timings (with word granularity) but its words carry no punctuation, while
+ * the transcript text does. alignSentences() walks the text and the words side by side, matching
+ * each token of the text to its timed word, and closes a sentence at every token ending in . ! ? or …
+ * Each sentence gets the start of its first word and the end of its last, so sentence boundaries
+ * are exact instead of being guessed from segment ends or silences.
+ */
+
+// Timed words looked at ahead of the current one when a token doesn't match right away
+// (words the model dropped or split differently from the text)
+const MATCH_LOOKAHEAD = 5;
+
+// Consecutive timed words joined to match a single token ("e-mail" → "e", "mail")
+const MAX_JOINED_WORDS = 3;
+
+// Below this share of matched tokens the text and the words don't describe the same audio
+const MIN_MATCHED_SHARE = 0.5;
+
+// Token that ends a sentence, optionally followed by a closing quote or bracket
+const SENTENCE_END = /[.!?…]["'”’)\]]*$/;
+
+// Whether a token of text closes a sentence
+export function endsSentence(token) {
+  return SENTENCE_END.test(token);
+}
+
+// Lowercase letters and digits only, so "Hello," and "hello" compare equal
+export function normalizeWord(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+// Number of timed words starting at `index` that spell `token`, or 0
+function matchWords(token, words, index) {
+  let joined = '';
+  for (let count = 1; count <= MAX_JOINED_WORDS && index + count <= words.length; count++) {
+    joined += normalizeWord(words[index + count - 1].word);
+    if (joined === token) return count;
+    if (!token.startsWith(joined)) return 0;
+  }
+  return 0;
+}
+
+// Tokens of `text` with the time of the timed words they match: [{ token, start, end }], start and
+// end null for tokens without a match. matched is the share of tokens (with letters) that matched
+export function alignTokens(text, words) {
+  const tokens = [];
+  let next = 0;
+  let tokenCount = 0;
+  let matchedCount = 0;
+
+  for (const token of (text || '').split(/\s+/).filter(Boolean)) {
+    const aligned = { token: token, start: null, end: null };
+    tokens.push(aligned);
+    const normalized = normalizeWord(token);
+    if (!normalized) continue;
+
+    tokenCount++;
+    for (let index = next; index < Math.min(words.length, next + MATCH_LOOKAHEAD); index++) {
+      const count = matchWords(normalized, words, index);
+      if (count > 0) {
+        aligned.start = words[index].start;
+        aligned.end = words[index + count - 1].end;
+        next = index + count;
+        matchedCount++;
+        break;
+      }
+    }
+  }
+
+  return { tokens, matched: tokenCount > 0 ? matchedCount / tokenCount : 0 };
+}
+
+// Whether alignTokens() found the words to follow the text
+export function followsText(alignment) {
+  return alignment.matched >= MIN_MATCHED_SHARE;
+}
+
+// Sentences of `text` with the time of their words: [{ start, end, text }]. Returns [] when there
+// are no words or they don't follow the text
+export function alignSentences(text, words) {
+  if (!text || !words || words.length === 0) return [];
+
+  const alignment = alignTokens(text, words);
+  if (!followsText(alignment)) return [];
+
+  const sentences = [];
+  let current = { start: null, end: null, tokens: [] };
+
+  for (const { token, start, end } of alignment.tokens) {
+    current.tokens.push(token);
+    if (start !== null) {
+      if (current.start === null) current.start = start;
+      current.end = end;
+    }
+
+    // A sentence without any timed word is carried into the next one
+    if (endsSentence(token) && current.start !== null) {
+      sentences.push({ start: current.start, end: current.end, text: current.tokens.join(' ') });
+      current = { start: null, end: null, tokens: [] };
+    }
+  }
+
+  if (current.start !== null) {
+    sentences.push({ start: current.start, end: current.end, text: current.tokens.join(' ') });
+  } else if (current.tokens.length > 0 && sentences.length > 0) {
+    sentences[sentences.length - 1].text += ' ' + current.tokens.join(' ');
+  }
+
+  return sentences;
+}
+
+// Every place where `phrase` is said: [{ start, end, index }], index being its first word.
+// Compared letter by letter across words, so "e-mail" matches the words "e" + "mail"
+export function findPhrase(words, phrase) {
+  const target = phrase.split(/\s+/).map(normalizeWord).join('');
+  if (!target) return [];
+
+  const timed = words
+    .map((word, index) => ({ ...word, index, normalized: normalizeWord(word.word) }))
+    .filter(word => word.normalized);
+
+  const matches = [];
+  for (let i = 0; i < timed.length; i++) {
+    let joined = '';
+    for (let j = i; j < timed.length && target.startsWith(joined + timed[j].normalized); j++) {
+      joined += timed[j].normalized;
+      if (joined === target) {
+        matches.push({ start: timed[i].start, end: timed[j].end, index: timed[i].index });
+        break;
+      }
+    }
+  }
+  return matches;
+}
@@ -0,0 +1,95 @@
+/**
+ * Temporary work directories
+ *
+ * Every dubbing run gets its own directory under the temp root (DUB_TEMP_DIR, default
+ * <system temp>/ai-video-dub) for intermediate files: audio chunks, TTS attempts, silences,
+ * concat lists... Checkpoints stay in jobs/<id>; only throwaway files go here.
+ *
+ * Directories still open when the process exits are removed, unless keepWorkdirs() was called
+ * (--keep-workdir) for debugging. Interruptions (SIGINT / SIGTERM) and uncaught errors end the
+ * process, so only the CLI entry points install their handlers, with installCleanupHandlers().
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export const DEFAULT_TEMP_ROOT = path.join(os.tmpdir(), 'ai-video-dub');
+
+// Exit codes used after a signal (128 + signal number, as shells do)
+const SIGNAL_EXIT_CODES = { SIGINT: 130, SIGTERM: 143 };
+
+const activeWorkdirs = new Set();
+let keep = false;
+let exitHandlerInstalled = false;
+let handlersInstalled = false;
+
+// Keep work directories on disk instead of removing them (for debugging)
+export function keepWorkdirs(value = true) {
+  keep = value;
+}
+
+function removeActiveWorkdirs() {
+  for (const workdir of [...activeWorkdirs]) {
+    workdir.remove();
+  }
+}
+
+// Clean up and exit on SIGINT / SIGTERM and uncaught errors; for CLI entry points only
+export function installCleanupHandlers() {
+  if (handlersInstalled) return;
+  handlersInstalled = true;
+
+  for (const [signal, exitCode] of Object.entries(SIGNAL_EXIT_CODES)) {
+    process.once(signal, () => {
+      console.log(`\n🛑 Interrompido (${signal}), limpando arquivos temporários...`);
+      removeActiveWorkdirs();
+      process.exit(exitCode);
+    });
+  }
+
+  for (const event of ['uncaughtException', 'unhandledRejection']) {
+    process.on(event, (error) => {
+      console.error('\n❌ Erro inesperado:', error?.stack || error);
+      removeActiveWorkdirs();
+      process.exit(1);
+    });
+  }
+}
+
+// Last chance for paths that never reached remove() (e.g. process.exit elsewhere)
+function installExitHandler() {
+  if (exitHandlerInstalled) return;
+  exitHandlerInstalled = true;
+  process.on('exit', removeActiveWorkdirs);
+}
+
+// Create <root>/<name>, removed by remove() or when the process ends
+export function createWorkdir(name, root = process.env.DUB_TEMP_DIR || DEFAULT_TEMP_ROOT) {
+  installExitHandler();
+
+  const dir = path.join(root, name);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const workdir = {
+    dir,
+
+    path(...parts) {
+      const file = path.join(dir, ...parts);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      return file;
+    },
+
+    remove() {
+      if (!activeWorkdirs.delete(workdir)) return;
+      if (keep) {
+        console.log(`📁 Arquivos temporários mantidos em: ${dir}`);
+        return;
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+
+  activeWorkdirs.add(workdir);
+  return workdir;
+}
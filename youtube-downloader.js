@@ -1,6 +1,7 @@
 import { spawn } from 'child_process';
 import { createInterface } from 'readline';
 import fs from 'fs';
+import { loadConfig, menuOptions } from './config.js';
 
 const rl = createInterface({
   input: process.stdin,
@@ -9,14 +10,8 @@ const rl = createInterface({
 
 const question = (query) => new Promise((resolve) => rl.question(query, resolve));
 
-// Quality options for YouTube download
-const QUALITY_OPTIONS = {
-  '1': { name: 'Original 🌟 (Melhor qualidade disponível)', format: 'bestvideo+bestaudio/best' },
-  '2': { name: '1080p 📺 (Full HD)', format: 'bestvideo[height<=1080]+bestaudio/best[height<=1080]' },
-  '3': { name: '720p 💻 (HD)', format: 'bestvideo[height<=720]+bestaudio/best[height<=720]' },
-  '4': { name: '480p 📱 (SD)', format: 'bestvideo[height<=480]+bestaudio/best[height<=480]' },
-  '5': { name: '360p 📞 (Baixa)', format: 'bestvideo[height<=360]+bestaudio/best[height<=360]' }
-};
+// Quality options for YouTube download, from dubbing.config.json (see config.js)
+const QUALITY_OPTIONS = menuOptions(loadConfig().qualities, 'id');
 
 async function downloadYouTubeVideo(url, formatOption, outputFolder = 'downloads', options = {}) {
   console.log('\n🚀 Iniciando download do YouTube...\n');
@@ -1,10 +1,8 @@
 import ytdl from '@distube/ytdl-core';
 import fs from 'fs';
 import { createInterface } from 'readline';
-import { exec } from 'child_process';
-import { promisify } from 'util';
-
-const execAsync = promisify(exec);
+import { runFfmpeg } from './ffmpeg.js';
+import { loadConfig, menuOptions } from './config.js';
 
 const rl = createInterface({
   input: process.stdin,
@@ -13,14 +11,8 @@ const rl = createInterface({
 
 const question = (query) => new Promise((resolve) => rl.question(query, resolve));
 
-// Quality options
-const QUALITY_OPTIONS = {
-  '1': { name: 'Original 🌟 (Melhor qualidade)', quality: 'highestvideo', audioQuality: 'highestaudio' },
-  '2': { name: '1080p 📺 (Full HD)', quality: '1080p', audioQuality: 'highestaudio' },
-  '3': { name: '720p 💻 (HD)', quality: '720p', audioQuality: 'highestaudio' },
-  '4': { name: '480p 📱 (SD)', quality: '480p', audioQuality: 'highestaudio' },
-  '5': { name: '360p 📞 (Baixa)', quality: '360p', audioQuality: 'highestaudio' }
-};
+// Quality options for YouTube download, from dubbing.config.json (see config.js)
+const QUALITY_OPTIONS = menuOptions(loadConfig().qualities, 'id');
 
 async function downloadVideo(url, qualityOption) {
   console.log('\n🚀 Iniciando download...\n');
@@ -50,7 +42,7 @@ async function downloadVideo(url, qualityOption) {
     // Download video
     console.log('🎬 Baixando stream de vídeo...');
     const videoStream = ytdl(url, {
-      quality: qualityOption.quality === 'highestvideo' ? 'highestvideo' : qualityOption.quality,
+      quality: qualityOption.ytdl,
       filter: 'videoonly'
     });
 
@@ -87,7 +79,7 @@ async function downloadVideo(url, qualityOption) {
 
     // Merge video and audio using ffmpeg
     console.log('🔗 Combinando vídeo e áudio com ffmpeg...');
-    await execAsync(`ffmpeg -i "${videoPath}" -i "${audioPath}" -c copy "${outputPath}" -y`);
+    await runFfmpeg(['-y', '-i', videoPath, '-i', audioPath, '-c', 'copy', outputPath]);
     console.log('✅ Arquivos combinados\n');
 
     // Cleanup temp files